@@ -1,14 +1,19 @@
 import { renderPPP } from "ppp-tools";
 import { handleInput } from "input-helper";
-import { guid, removeFromArray, hexToRGB, randomIntFromInterval, rgbToHex } from "common-helpers";
+import { guid, removeFromArray, hexToRGB, rgbToHex } from "common-helpers";
 
-window.addEventListener("resize", onResize);
+if(typeof window != "undefined") {
+    window.addEventListener("resize", onResize);
+}
 
 const TARGET_FRAMERATE = 60;
 const TARGET_DELTA = 1000 / TARGET_FRAMERATE;
 const DEF_TILE_SIZE = 16;
 const TEXTURE_CYCLE_MAX = 8;
+const DEFAULT_FRAME_DURATION = TEXTURE_CYCLE_MAX * TARGET_DELTA;
 const PI_ONE_EIGHTY = Math.PI / 180;
+const MAX_PARTICLE_DELTA = 20;
+const BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
 
 export const EFFECT_PROGRAMS = {
     "splat": partProgSplat,
@@ -16,6 +21,30 @@ export const EFFECT_PROGRAMS = {
     "ember": partProgEmber
 };
 
+export const TILE_FLAGS = {
+    "none": 0,
+    "flipX": 1,
+    "flipY": 2,
+    "flipDiagonal": 4
+};
+
+export const QUANTIZE_PALETTES = {
+    "gameboy": ["#0f380f", "#306230", "#8bac0f", "#9bbc0f"],
+    "nes": [
+        "#7c7c7c", "#0000fc", "#0000bc", "#4428bc", "#940084", "#a80020", "#a81000", "#881400",
+        "#503000", "#007800", "#006800", "#005800", "#004058", "#000000", "#bcbcbc", "#0078f8",
+        "#0058f8", "#6844fc", "#d800cc", "#e40058", "#f83800", "#e45c10", "#ac7c00", "#00b800",
+        "#00a800", "#00a844", "#008888", "#f8f8f8", "#3cbcfc", "#6888fc", "#9878f8", "#f878f8",
+        "#f85898", "#f87858", "#fca044", "#f8b800", "#b8f818", "#58d854", "#58f898", "#00e8d8",
+        "#787878", "#fcfcfc", "#a4e4fc", "#b8b8f8", "#d8b8f8", "#f8b8f8", "#f8a4c0", "#f0d0b0",
+        "#fce0a8", "#f8d878", "#d8f878", "#b8f8b8", "#b8f8d8", "#00fcfc", "#f8d8f8"
+    ],
+    "pico8": [
+        "#000000", "#1d2b53", "#7e2553", "#008751", "#ab5236", "#5f574f", "#c2c3c7", "#fff1e8",
+        "#ff004d", "#ffa300", "#ffec27", "#00e436", "#29adff", "#83769c", "#ff77a8", "#ffccaa"
+    ]
+};
+
 export const ENVIRONMENTAL_EFFECTS = {
     "none": 0,
     "rain": 1,
@@ -24,6 +53,7 @@ export const ENVIRONMENTAL_EFFECTS = {
 };
 
 let textureCycleCounter = 0;
+let animationClock = 0;
 
 /**
  * @type {Texture[]}
@@ -31,6 +61,48 @@ let textureCycleCounter = 0;
  */
 const allTextures = [];
 
+/**
+ * @type {Object<string, Texture>}
+ * @description Textures loaded from a src, keyed by their load options, so identical loads share one texture.
+ */
+const textureCache = {};
+
+/**
+ * @type {WeakMap<Object, Map<number, number>>}
+ * @description Compiled color lookups for palettes passed to drawSprite and drawTile, so each palette is only parsed once.
+ */
+const paletteLookups = new WeakMap();
+
+/**
+ * @type {Object<string, {fn: function, fullFrame: boolean, defaults: Object}>}
+ * @description The screen filters that setFilters can use, by name.  Add more with registerFilter.
+ */
+const filterRegistry = {
+    "red": { fn: filterRed, fullFrame: false, defaults: { intensity: 1 } },
+    "cyan": { fn: filterCyan, fullFrame: false, defaults: { intensity: 1 } },
+    "blue": { fn: filterBlue, fullFrame: false, defaults: { intensity: 1 } },
+    "green": { fn: filterGreen, fullFrame: false, defaults: { intensity: 1 } },
+    "crt": { fn: filterCRT, fullFrame: false, defaults: { intensity: 1 } },
+    "lcd": { fn: filterLCD, fullFrame: false, defaults: { intensity: 1 } },
+    "grid": { fn: filterGrid, fullFrame: false, defaults: { intensity: 1 } },
+    "noise": { fn: filterNoise, fullFrame: false, defaults: { intensity: 1 } },
+    "film": { fn: filterFilm, fullFrame: false, defaults: { intensity: 1 } },
+    "mono": { fn: filterMono, fullFrame: false, defaults: { intensity: 1 } },
+    "invert": { fn: filterInvert, fullFrame: false, defaults: { intensity: 1 } },
+    "sepia": { fn: filterSepia, fullFrame: false, defaults: { intensity: 1 } },
+    "sepiaalt": { fn: filterSepiaAlt, fullFrame: false, defaults: { intensity: 1 } }
+};
+
+/**
+ * @type {{r: number, g: number, b: number}}
+ * @description The pixel passed to per-pixel filters, reused for every pixel.
+ */
+const filterPixel = {
+    r: 0,
+    g: 0,
+    b: 0
+};
+
 /**
  * @type {Object<string, PixelEngineInstance>}
  * @description A dictionary to hold all instances of PixelEngine.
@@ -54,12 +126,24 @@ let overrideOffTurn = false;
 
 let lastRAF = null;
 
+let loopRunning = false;
+let rafHandle = null;
+
 /**
  * Initializes a new PixelEngine instance.
  * @param {HTMLElement} holder - The HTML element that will hold the canvas.
  * @param {Object} [options] - Optional configuration options for the instance.
  * @param {number} [options.width=256] - The width of the canvas.
  * @param {HTMLCanvasElement} [options.fixedCanvas] - The fixed canvas element to use.  The canvas will not be created or resized by the engine.
+ * @param {number|string} [options.randomSeed] - The seed for the instance's random number generator.  A random seed is used if not set.
+ * @param {string} [options.clearMode="preserve"] - How the output is cleared before each frame, see PixelEngineInstance.setClearMode.
+ * @param {string} [options.projection="orthogonal"] - The map projection, see PixelEngineInstance.setProjection.
+ * @param {string} [options.hexOrientation="pointy"] - The hex orientation when options.projection is "hex".
+ * @param {string} [options.hexCoordinates="offset"] - The hex coordinate system when options.projection is "hex".
+ * @param {string} [options.hexOffset="odd"] - Which offset rows or columns are shifted when options.projection is "hex".
+ * @param {string} [options.clearColor] - The clear color when options.clearMode is "color".
+ * @param {string[]} [options.clearColors] - The gradient colors when options.clearMode is "gradient".
+ * @param {string} [options.clearDirection] - The gradient direction when options.clearMode is "gradient".
  * @returns {PixelEngineInstance} The newly created PixelEngine instance.
  */
 export function getPixelEngineInstance(holder, options) {
@@ -73,26 +157,185 @@ export function getPixelEngineInstance(holder, options) {
     return engine;
 }
 
+/**
+ * Initializes a new headless PixelEngine instance.  Headless instances render into a plain RGBA
+ * buffer instead of a canvas and have no DOM, resize or input wiring, so they can be used in
+ * Node, in workers, or for generating images offscreen.
+ * @param {Object} [options] - Optional configuration options for the instance.
+ * @param {number} [options.width=256] - The width of the output buffer.
+ * @param {number} [options.height=224] - The height of the output buffer.
+ * @param {number} [options.tileSize=16] - The tile size of the instance.
+ * @param {ImageData|Uint8ClampedArray} [options.buffer] - An existing buffer to render into.  An ImageData-like object ({ width, height, data }) sets the dimensions; a raw Uint8ClampedArray uses options.width and options.height.  The buffer will not be resized by the engine.
+ * @returns {PixelEngineInstance} The newly created PixelEngine instance.
+ */
+export function getHeadlessEngineInstance(options) {
+    return getPixelEngineInstance(null, Object.assign({}, options, { headless: true }));
+}
+
 /**
  * Loads a texture into the engine.
  * @param {Object} options - The options for the texture.
- * @param {string} options.type - The type of the texture (e.g., "ppp", "image").
- * @param {string} options.data - The data for the texture (e.g., image URL, PPP object).
+ * @param {string} options.type - The type of the texture (e.g., "ppp", "ppptoken", "imagedata", "image", "spritesheet").
+ * @param {string} options.data - The data for the texture (e.g., PPP object, or an array of ImageData frames for "imagedata").
+ * For "image" and "spritesheet" this is an ImageBitmap, image, canvas or ImageData-like RGBA buffer ({ width, height, data }).
+ * For "imagedata" it can also be another Texture, whose frames are shared without copying once it has loaded, so one sheet
+ * can back several textures with their own clips.
+ * @param {string} [options.src] - A URL to load the data from instead, a PPP file for "ppp" or an image for "image" and "spritesheet".
+ * @param {number} [options.frameWidth] - For "image" and "spritesheet", slice the image into a grid of frames this wide.
+ * Without a grid or atlas the whole image is a single frame.
+ * @param {number} [options.frameHeight] - The height of each grid frame.  Defaults to frameWidth.
+ * @param {number} [options.margin=0] - The space around the grid in pixels.
+ * @param {number} [options.spacing=0] - The space between grid frames in pixels.
+ * @param {Object|string} [options.atlas] - A TexturePacker or Aseprite JSON atlas, or a URL to load one from, to slice frames by.
+ * Trimmed and rotated frames are restored to their source size.  Aseprite frame durations and tags become the texture's
+ * frameDuration and clips unless those are given.
  * @param {Array} [options.colors] - An array of color replacements for the texture.
  * @param {Array} [options.accessories] - An array of accessory objects for the texture.
  * @param {string} [options.state] - The state of the texture (e.g., "standing", "walking").
  * @param {string} [options.facing] - The facing direction of the texture (e.g., "e", "w").
  * @param {string} [options.outlineColor] - The outline color for the texture.
- * @returns {Texture} The loaded texture.
+ * @param {number|number[]} [options.frameDuration] - How long each frame shows in milliseconds, or an array with a duration for
+ * every frame.  Without it the texture cycles with every other animated texture.
+ * @param {Object[]} [options.clips] - Named animation clips, see Texture.addClip.
+ * @param {string} [options.clip] - The name of the clip the texture plays.
+ * @param {number} [options.retries=0] - How many times to retry loading after an error before giving up.
+ * @param {number} [options.retryDelay=1000] - The delay before each retry in milliseconds.
+ * @param {boolean} [options.unique=false] - Always create a new texture.  Otherwise loading a src with the same options as a
+ * texture that is still in use returns that texture, and it is only freed once every user has disposed it.
+ * @returns {Texture} The loaded texture.  Wait on texture.ready to know when it has loaded or failed.
  */
 export function loadTexture(options) {
+    const key = getTextureCacheKey(options);
+    const cached = key ? textureCache[key] : null;
+
+    if(cached && cached.status != "error") {
+        cached.refCount++;
+        return cached;
+    }
+
     const texture = new Texture(options);
 
+    if(key) {
+        texture.cacheKey = key;
+        textureCache[key] = texture;
+    }
+
     allTextures.push(texture);
 
     return texture;
 }
 
+/**
+ * Loads a batch of textures, reporting progress as each one loads or fails.
+ * @param {Array<Object|Texture>} textures - Texture options to load with loadTexture, or textures that are already loading.
+ * @param {Object} [options] - The options for the batch.
+ * @param {function(number, number, number, Texture): void} [options.onProgress] - Called each time a texture finishes loading
+ * or fails, with the fraction done, the number done, the total, and the texture.
+ * @param {function(Texture, Error): void} [options.onError] - Called for each texture that fails to load.
+ * @param {number} [options.retries] - The retries for texture options that don't set their own.
+ * @returns {Promise<Texture[]>} Resolves with the textures once all have loaded.  Rejects with the first error once every
+ * texture has finished if any failed.
+ */
+export function preloadTextures(textures, options) {
+    if(!options) {
+        options = {};
+    }
+
+    const loaded = textures.map(function(entry) {
+        if(entry instanceof Texture) {
+            return entry;
+        }
+
+        if(options.retries != undefined && entry.retries == undefined) {
+            entry = Object.assign({ retries: options.retries }, entry);
+        }
+
+        return loadTexture(entry);
+    });
+
+    let done = 0;
+    let firstError = null;
+
+    return Promise.all(loaded.map(function(texture) {
+        return texture.ready.catch(function(error) {
+            if(!firstError) {
+                firstError = error;
+            }
+
+            if(options.onError) {
+                options.onError(texture, error);
+            }
+        }).then(function() {
+            done++;
+
+            if(options.onProgress) {
+                options.onProgress(done / loaded.length, done, loaded.length, texture);
+            }
+        });
+    })).then(function() {
+        if(firstError) {
+            throw firstError;
+        }
+
+        return loaded;
+    });
+}
+
+/**
+ * Loads a map made in the Tiled map editor, from Tiled JSON (.tmj) or TMX XML (.tmx).
+ * Tilesets become textures, embedded or external, with one frame per tile.  Tiles keep their flip flags and animated
+ * tiles play their Tiled animation.  The map's tile size should match the tile size of the instances it is drawn in.
+ * Infinite maps are not supported.
+ * @param {Object|string} source - The parsed map JSON, the map's JSON or TMX text, or a URL to load it from.
+ * @param {Object} [options] - The options for the map.
+ * @param {string} [options.baseUrl] - The URL that tileset and image paths are relative to.  Defaults to the map's URL.
+ * @param {Object<string, ImageBitmap|HTMLImageElement|ImageData>} [options.images] - Images to use instead of loading them,
+ * keyed by the path in the map or by tileset name.
+ * @param {number} [options.z=0] - The zIndex of the first layer.  Each following layer is one higher.
+ * @returns {Promise<TiledMap>} Resolves with the map once it and any external tilesets are parsed.  Tileset textures
+ * keep loading afterwards like any other texture.
+ */
+export async function loadTiledMap(source, options) {
+    if(!options) {
+        options = {};
+    }
+
+    let baseUrl = options.baseUrl || "";
+    let data = source;
+
+    if(typeof source == "string" && !isTiledText(source)) {
+        baseUrl = options.baseUrl || source;
+
+        const response = checkResponse(await fetch(source), source);
+        data = await response.text();
+    }
+
+    return buildTiledMap(parseTiledDocument(data), baseUrl, options);
+}
+
+/**
+ * Registers a screen filter that setFilters can use by name, replacing any filter with the same name.
+ * Filters run once over the finished frame, in the order they are passed to setFilters.
+ * @param {string} name - The name of the filter.
+ * @param {function} fn - The filter.  A per-pixel filter is called as fn(pixel, x, y, params, instance) for every drawn
+ * pixel and changes pixel.r, pixel.g and pixel.b, which are clamped afterwards.  A full frame filter is called once as
+ * fn(outputData, params, instance) and changes outputData.data directly.
+ * @param {Object} [options] - The options for the filter.
+ * @param {boolean} [options.fullFrame=false] - Whether the filter works on the whole frame instead of one pixel at a time.
+ * @param {Object} [options.defaults] - Default values for the filter's parameters.
+ */
+export function registerFilter(name, fn, options) {
+    if(!options) {
+        options = {};
+    }
+
+    filterRegistry[name] = {
+        fn: fn,
+        fullFrame: !!options.fullFrame,
+        defaults: options.defaults || {}
+    };
+}
+
 /**
  * Returns the engine target framerate.
  * @returns {number} The target framerate.
@@ -101,6 +344,65 @@ export function getTargetFramerate() {
     return TARGET_FRAMERATE;
 }
 
+/**
+ * Starts the engine render loop.  The loop is started automatically when the module is loaded
+ * in an environment with requestAnimationFrame.
+ * @returns {boolean} True if the loop is running.
+ */
+export function start() {
+    if(loopRunning) {
+        return true;
+    }
+
+    if(typeof requestAnimationFrame == "undefined") {
+        return false;
+    }
+
+    loopRunning = true;
+    lastRAF = null;
+    rafHandle = requestAnimationFrame(globalRender);
+
+    return true;
+}
+
+/**
+ * Stops the engine render loop.  Call this right after loading the module to drive frames
+ * from your own game loop with stepFrame() instead.
+ * @returns {void}
+ */
+export function stop() {
+    loopRunning = false;
+    lastRAF = null;
+
+    if(rafHandle != null && typeof cancelAnimationFrame != "undefined") {
+        cancelAnimationFrame(rafHandle);
+    }
+
+    rafHandle = null;
+}
+
+/**
+ * Checks if the engine render loop is running.
+ * @returns {boolean} True if the loop is running.
+ */
+export function isRunning() {
+    return loopRunning;
+}
+
+/**
+ * Advances the engine by exactly one frame: renders every instance that is not paused and advances
+ * texture animation.  Intended for use while the loop is stopped.
+ * @param {number} [deltaMs] - The frame time in milliseconds.  Defaults to one target frame.
+ * @returns {void}
+ */
+export function stepFrame(deltaMs) {
+    if(deltaMs == undefined || deltaMs <= 0) {
+        deltaMs = TARGET_DELTA;
+    }
+
+    advanceFrame(deltaMs);
+}
+
 /**
  * Checks if a number is odd.
  * @param {number} num - The number to check.
@@ -132,41 +434,83 @@ export class PixelEngineInstance {
         this.fixedCanvas = false;
         this.holder = holder;
 
-        if(options.fixedCanvas) {
-            this.fixedCanvas = true;
-            this.canvas = options.fixedCanvas;
+        this.headless = options.headless || false;
+        this.fixedBuffer = false;
+        this.outputData = null;
+
+        this.width = options.width || 256;
+        this.height = options.height || 224;
+
+        if(this.headless) {
+            this.holder = null;
+            this.canvas = null;
+            this.context = null;
+
+            if(options.buffer) {
+                this.fixedBuffer = true;
+
+                if(options.buffer.data) {
+                    this.outputData = options.buffer;
+                } else {
+                    this.outputData = {
+                        width: this.width,
+                        height: this.height,
+                        data: options.buffer
+                    };
+                }
+
+                this.width = this.outputData.width;
+                this.height = this.outputData.height;
+            }
         } else {
-            
-            this.holder.innerHTML = "";
-            
-            this.canvas = document.createElement("canvas");
+            if(options.fixedCanvas) {
+                this.fixedCanvas = true;
+                this.canvas = options.fixedCanvas;
+            } else {
 
-            this.canvas.style.width = "100%";
-            this.canvas.style.height = "100%";
+                this.holder.innerHTML = "";
 
-            this.holder.appendChild(this.canvas);
-        }
+                this.canvas = document.createElement("canvas");
 
-        this.holder.style.overflow = "hidden";
+                this.canvas.style.width = "100%";
+                this.canvas.style.height = "100%";
 
-        this.context = this.canvas.getContext("2d", {
-            willReadFrequently: true
-        });
+                this.holder.appendChild(this.canvas);
+            }
 
+            this.holder.style.overflow = "hidden";
 
-        this.canvas.style.imageRendering = "pixelated";
-        this.context.imageSmoothingEnabled = false;
+            this.context = this.canvas.getContext("2d", {
+                willReadFrequently: true
+            });
 
-        this.width = options.width || 256;
-        this.height = options.height || 224;
+
+            this.canvas.style.imageRendering = "pixelated";
+            this.context.imageSmoothingEnabled = false;
+        }
 
         this.setupWidth = this.width;
+        this.setupHeight = this.height;
 
         this.renderScale = 1; // Internal resolution multiplier (1=default, 2=4x pixels, 3=9x pixels, etc.)
 
         this.tileSize = options.tileSize || DEF_TILE_SIZE;
         this.apparentTileSize = 0;
 
+        // How tile coordinates map to world pixels, see setProjection
+        this.projection = "orthogonal";
+        this.hexOrientation = "pointy";
+        this.hexCoordinates = "offset";
+        this.hexOffset = "odd";
+
+        setInstanceProjection(this, options.projection, {
+            orientation: options.hexOrientation,
+            coordinates: options.hexCoordinates,
+            offset: options.hexOffset
+        });
+
+        this.zoom = 1; // World pixels are drawn this many output pixels wide, around the view center
+
         this.rndAngle = 0;
 
         this.viewX = 0;
@@ -176,6 +520,7 @@ export class PixelEngineInstance {
         this.viewYraw = 0;
 
         this.renderFunction = null;
+        this.updateFunction = null;
         this.clickFunction = null;
         this.touchstickFunction = null;
         this.hoverFunction = null;
@@ -194,8 +539,22 @@ export class PixelEngineInstance {
 
         this.touchstickRadius = 40; // Will be scaled by renderScale
 
+        this.fixedStepMs = 0;      // 0 = simulate once per rendered frame with a variable delta
+        this.simAccumulator = 0;
+        this.maxSimSteps = 5;
+
+        this.camera = new Camera(this);
+        this.viewports = [];
+
+        // Where setColorAtPoint writes within outputData, so viewports can draw into their own region
+        this.outputStride = 0;
+        this.outputOffsetX = 0;
+        this.outputOffsetY = 0;
+
         this.renderInstructions = [];
         this.activeLights = [];
+        this.tileLayers = [];
+        this.parallaxLayers = [];
         this.programParticles = [];
 
         this.environmentalEffect = ENVIRONMENTAL_EFFECTS.none;
@@ -218,47 +577,129 @@ export class PixelEngineInstance {
 
         this.filters = [];
 
+        this.quantization = null;
+
+        // The last frame from before its filters, transition and quantization, see renderInstance
+        this.frameUnderlay = null;
+
+        // How the output buffer is cleared before each frame.  "preserve" (the default) keeps the previous
+        // frame wherever nothing is drawn, which suits scenes that cover the whole view every frame.
+        this.clearMode = "preserve";
+        this.clearColors = [];
+        this.clearDirection = "vertical";
+
+        this.activeTransition = null;
+
+        this.recording = null;
+
+        this.profiler = null;
+
+        this.sortMode = "default";
+        this.sortComparator = null;
+
         this.sunAngle = 0; // Sun direction in radians (0 = east/right, PI = west/left)
 
-        handleInput({
-            element: instanceRef.canvas,
-            down: function(e) {
-                onPointerDown(instanceRef, instanceRef.canvas, e.id, e.x, e.y, e.type, e.pressure, e.which, e.pageX, e.pageY);
-            },
-            move: function(e) {
-                onPointerMove(instanceRef, instanceRef.canvas, e.id, e.x, e.y, e.type, e.pressure, e.which, e.pageX, e.pageY);
-            },
-            up: function(e) {
-                onPointerUp(instanceRef, instanceRef.canvas, e.id, e.type, e.which, e.evt);
-            }
-        });
+        this.randomSeed = 0;
+        this.randomState = 0;
+
+        this.setRandomSeed(options.randomSeed ?? Math.floor(Math.random() * 4294967296));
+
+        if(options.clearMode != undefined) {
+            this.setClearMode(options.clearMode, {
+                color: options.clearColor,
+                colors: options.clearColors,
+                direction: options.clearDirection
+            });
+        }
+
+        if(!this.headless) {
+            handleInput({
+                element: instanceRef.canvas,
+                down: function(e) {
+                    onPointerDown(instanceRef, instanceRef.canvas, e.id, e.x, e.y, e.type, e.pressure, e.which, e.pageX, e.pageY);
+                },
+                move: function(e) {
+                    onPointerMove(instanceRef, instanceRef.canvas, e.id, e.x, e.y, e.type, e.pressure, e.which, e.pageX, e.pageY);
+                },
+                up: function(e) {
+                    onPointerUp(instanceRef, instanceRef.canvas, e.id, e.type, e.which, e.evt);
+                }
+            });
+        }
 
         this.deInit = false;
+        this.paused = false;
 
         resizeInstance(instanceRef);
+
+        this.camera.jumpTo(this.width / 2 / this.tileSize, this.height / 2 / this.tileSize);
     }
 
     getViewBounds() {
         const instance = this;
 
-        const xMin = Math.floor(instance.viewX / instance.tileSize);
-        const yMin = Math.floor(instance.viewY / instance.tileSize);
+        return computeViewBounds(instance, instance.viewX, instance.viewY, instance.width, instance.height, instance.zoom);
+    }
+
+    /**
+     * Sets how tile coordinates map to the screen.  Tiles, sprites, particles, lights, tile layers, view bounds,
+     * pointer picking and the camera all follow the projection.
+     * In "isometric" mode tiles are 2:1 diamonds tileSize wide and tileSize / 2 tall.  Tile textures sit on the bottom
+     * of their diamond, so taller textures rise above it, and sprites stand on the middle of their diamond.
+     * Instructions on the same z are ordered by depth (x + y) instead of y.
+     * In "hex" mode tiles are hexes tileSize wide and tileSize tall, with rows (pointy top) or columns (flat top) spaced
+     * three quarters of a tile apart.  Tile positions map to the center of their hex, tile textures sit on the bottom
+     * of the hex and sprites fill the hex's bounding box.  Pointer picking and screenToTile return the hex containing the
+     * point, and instructions on the same z are ordered by the y position of their hex center.  Fractional positions move
+     * smoothly in axial coordinates, in offset coordinates they jump half a tile when crossing into a shifted row or column.
+     * @param {string} projection - "orthogonal" (the default), "isometric" or "hex".
+     * @param {Object} [options] - Options for the "hex" projection.
+     * @param {string} [options.orientation="pointy"] - "pointy" for pointy top hexes in rows, "flat" for flat top hexes in columns.
+     * @param {string} [options.coordinates="offset"] - "offset" for a rectangular grid of staggered rows or columns, "axial" for axial (q, r) coordinates.
+     * @param {string} [options.offset="odd"] - For offset coordinates, "odd" shifts odd rows right (or odd columns down), "even" shifts odd rows left (or odd columns up).
+     */
+    setProjection(projection, options) {
+        const instance = this;
+
+        setInstanceProjection(instance, projection, options);
+
+        applyCameraView(instance);
+
+        for(let i = 0; i < instance.viewports.length; i++) {
+            applyCameraView(instance.viewports[i]);
+        }
+    }
+
+    /**
+     * Converts a tile position to a position on screen, in view pixels.
+     * @param {number} x - The x tile coordinate.
+     * @param {number} y - The y tile coordinate.
+     * @returns {{x: number, y: number}} The screen position.
+     */
+    tileToScreen(x, y) {
+        const instance = this;
+        const point = projectTile(instance, x, y);
 
-        const xMax = Math.ceil((instance.viewX + instance.width) / instance.tileSize);
-        const yMax = Math.ceil((instance.viewY + instance.height) / instance.tileSize);
+        return {
+            x: (point.x - instance.viewX) * instance.zoom,
+            y: (point.y - instance.viewY) * instance.zoom
+        };
+    }
 
-        const cx = Math.floor((instance.viewX + (instance.width / 2)) / instance.tileSize);
-        const cy = Math.floor((instance.viewY + (instance.height / 2)) / instance.tileSize);
+    /**
+     * Converts a position on screen, in view pixels, to a tile position.  Floor the result to get the tile under the point,
+     * hex maps return the hex under the point directly.
+     * @param {number} x - The x screen position.
+     * @param {number} y - The y screen position.
+     * @returns {{x: number, y: number}} The tile position.
+     */
+    screenToTile(x, y) {
+        const instance = this;
+        const tile = pickTile(instance, instance.viewX + (x / instance.zoom), instance.viewY + (y / instance.zoom));
 
         return {
-            w: instance.width,
-            h: instance.height,
-            xMin: xMin,
-            yMin: yMin,
-            xMax: xMax,
-            yMax: yMax,
-            cx: cx,
-            cy: cy
+            x: tile.x,
+            y: tile.y
         };
     }
 
@@ -271,10 +712,10 @@ export class PixelEngineInstance {
 
         for(let i = 0; i < instance.activeLights.length; i++) {
             const light = instance.activeLights[i];
-            const dx = x - light.x;
-            const dy = y - light.y;
+            const dx = x - light.lightX;
+            const dy = y - light.lightY;
             const distSq = (dx * dx) + (dy * dy);
-            const scaleSq = light.lightScaleSq || (light.scale * light.scale);
+            const scaleSq = light.lightScaleSq;
 
             if(distSq > scaleSq) {
                 continue;
@@ -282,7 +723,7 @@ export class PixelEngineInstance {
 
             const dist = Math.sqrt(distSq);
 
-            const bPer = 1 - (dist / light.scale);
+            const bPer = 1 - (dist / light.lightRadius);
             const brightness = light.frame * bPer;
 
             if(light.frame > 0 && brightness > 0) {
@@ -338,2535 +779,9034 @@ export class PixelEngineInstance {
         instance.weightedLighting.b = weighColors(0, instance.lighting.b, darknessWeight, instance.lighting.i);
     }
 
+    /**
+     * Sets the screen filters of the instance, applied once over the finished frame in the order given,
+     * before transitions and quantization.
+     * @param {string|Array<string|Object>} filters - A comma separated list of filter names, or an array of names and
+     * { name, ...params } objects, e.g. [{ name: "crt", intensity: 2 }, "mono"].  Built in filters are "red", "cyan",
+     * "blue", "green", "crt", "lcd", "grid", "noise", "film", "mono", "invert", "sepia" and "sepiaalt", and all take an
+     * intensity (default 1).  Unknown names are ignored.  Pass null to remove all filters.
+     */
     setFilters(filters) {
         const instance = this;
 
+        instance.filters = [];
+
         if(!filters || filters.length == 0) {
-            instance.filters = [];
             return;
         }
 
-        if(Array.isArray(filters)) {
-            instance.filters = filters;
-        } else {
-            instance.filters = filters.split(",");
+        if(!Array.isArray(filters)) {
+            filters = filters.split(",");
         }
-    }
-
-    setSunAngle(degrees) {
-        // Convert degrees to radians (0° = east/right, 180° = west/left)
-        this.sunAngle = degrees * PI_ONE_EIGHTY;
-    }
 
-    setRenderScale(scale) {
-        // Set internal resolution multiplier (1=default, 2=4x pixels, 3=9x pixels)
-        // Higher values improve rotation quality but increase pixel count
-        if(scale < 1) scale = 1;
-        if(scale > 8) scale = 8; // Cap at 8x for safety
-        
-        this.renderScale = Math.floor(scale);
-        resizeInstance(this);
-    }
+        for(let i = 0; i < filters.length; i++) {
+            let entry = filters[i];
 
-    setRenderFunction(func) {
-        const instance = this;
-        instance.renderFunction = func;
-    }
+            if(!entry) {
+                continue;
+            }
 
-    setViewCenter(x, y) {
-        const instance = this;
+            if(typeof entry == "string") {
+                entry = { name: entry.trim() };
+            }
 
-        const rawX = x * instance.tileSize;
-        const rawY = y * instance.tileSize;
+            const filter = filterRegistry[entry.name];
 
-        instance.viewXraw = rawX - (instance.width / 2);
-        instance.viewYraw = rawY - (instance.height / 2);
+            if(!filter) {
+                continue;
+            }
 
-        instance.viewX = Math.round(instance.viewXraw);
-        instance.viewY = Math.round(instance.viewYraw);
+            instance.filters.push({
+                name: entry.name,
+                filter: filter,
+                params: Object.assign({}, filter.defaults, entry)
+            });
+        }
     }
 
-    setClickFunction(func) {
+    /**
+     * Constrains the final image to a palette, for retro presentation modes.  It is applied once over the finished frame,
+     * after filters and transitions.
+     * @param {string|string[]} palette - The name of a palette in QUANTIZE_PALETTES ("gameboy", "nes" or "pico8"), or a list
+     * of hex colors.  Pass null to turn quantization off.
+     * @param {Object} [options] - The quantization options.
+     * @param {string} [options.match="rgb"] - "rgb" picks the nearest color by RGB distance, "perceptual" by distance in the
+     * Oklab color space, which keeps shading closer to how it looks.
+     * @param {string} [options.dither="none"] - "none", "bayer" for an ordered 4x4 pattern, or "diffusion" for Floyd-Steinberg
+     * error diffusion.
+     * @param {number} [options.ditherStrength=1] - How far "bayer" dithering spreads colors.  1 spreads them by 64 levels.
+     */
+    setQuantization(palette, options) {
         const instance = this;
-        instance.clickFunction = func;
-    }
 
-    setHoverFunction(func) {
-        const instance = this;
-        instance.hoverFunction = func;
-    }
+        if(!options) {
+            options = {};
+        }
 
-    setTouchstickListener(func) {
-        const instance = this;
-        instance.touchstickFunction = func;
-    }
+        const colors = typeof palette == "string" ? QUANTIZE_PALETTES[palette] : palette;
 
-    drawTile(options) {
-        if(!options.texture || options.texture.loading) {
+        if(!colors || colors.length == 0) {
+            instance.quantization = null;
             return;
         }
 
-        const instance = this;
+        const match = options.match == "perceptual" ? "perceptual" : "rgb";
 
-        const drawOp = getFreshDrawOperation();
+        const quantization = {
+            match: match,
+            dither: options.dither == "bayer" || options.dither == "diffusion" ? options.dither : "none",
+            ditherStrength: options.ditherStrength ?? 1,
+            colors: [],
+            lab: [],
+            cache: new Map()
+        };
 
-        drawOp.type = "tile";
-        drawOp.x = Math.floor(options.x);
-        drawOp.y = Math.floor(options.y);
+        for(let i = 0; i < colors.length; i++) {
+            const rgb = hexToRGB(colors[i]);
 
-        if(options.z != undefined) {
-            drawOp.z = Math.floor(options.z);
+            quantization.colors.push(rgb);
+
+            if(match == "perceptual") {
+                quantization.lab.push(rgbToOklab(rgb.r, rgb.g, rgb.b));
+            }
         }
 
-        drawOp.texture = options.texture;
+        instance.quantization = quantization;
+    }
 
-        if(options.frame != undefined) {
-            drawOp.frame = options.frame;
-        }
+    /**
+     * Seeds the random number generator used by this instance's particles, environmental effects and filters.
+     * Two instances with the same seed and the same inputs produce the same frames.
+     * @param {number|string} seed - The seed value.  Strings are hashed to a number.
+     */
+    setRandomSeed(seed) {
+        const instance = this;
 
-        if(options.opacity != undefined) {
-            drawOp.opacity = options.opacity;
+        if(typeof seed == "string") {
+            seed = hashSeedString(seed);
         }
 
-        if(options.distortion != undefined) {
-            drawOp.distortion = options.distortion;
-        }
+        instance.randomSeed = seed >>> 0;
+        instance.randomState = instance.randomSeed;
+    }
 
-        if(options.distortionSpeed != undefined) {
-            drawOp.distortionSpeed = options.distortionSpeed;
-        }
+    /**
+     * Returns the next random float from this instance's seeded generator.
+     * @returns {number} A number from 0 (inclusive) to 1 (exclusive).
+     */
+    random() {
+        return nextRandom(this);
+    }
 
-        if(options.distortionScale != undefined) {
-            drawOp.distortionScale = options.distortionScale;
-        }
+    /**
+     * Returns a random integer from this instance's seeded generator.
+     * @param {number} min - The minimum value (inclusive).
+     * @param {number} max - The maximum value (inclusive).
+     * @returns {number} The random integer.
+     */
+    randomInt(min, max) {
+        return Math.floor(nextRandom(this) * (max - min + 1) + min);
+    }
 
-        if(options.reflectivity != undefined) {
-            drawOp.reflectivity = options.reflectivity;
+    /**
+     * Sets how the output buffer is cleared before each frame is drawn.
+     * The default, "preserve", keeps whatever was drawn last frame wherever nothing draws this frame.
+     * @param {string} mode - "preserve", "transparent", "color" or "gradient".
+     * @param {Object} [options] - Options for the clear mode.
+     * @param {string} [options.color="#000000"] - The fill color for "color".
+     * @param {string[]} [options.colors] - Two or more colors, evenly spaced, for "gradient".
+     * @param {string} [options.direction="vertical"] - The gradient direction, "vertical" (top to bottom) or "horizontal" (left to right).
+     */
+    setClearMode(mode, options) {
+        const instance = this;
+
+        if(!options) {
+            options = {};
         }
 
-        if(options.shimmer != undefined) {
-            drawOp.shimmer = options.shimmer;
-        }
+        instance.clearColors = [];
+        instance.clearDirection = options.direction || "vertical";
 
-        instance.renderInstructions.push(drawOp);
-    }
+        if(mode == "color") {
+            instance.clearColors = [hexToRGB(options.color || "#000000")];
+        } else if(mode == "gradient") {
+            const colors = options.colors || [];
 
-    drawSprite(options) {
-        if(!options.texture || options.texture.loading) {
-            return;
-        }
+            for(let i = 0; i < colors.length; i++) {
+                instance.clearColors.push(hexToRGB(colors[i]));
+            }
 
-        const instance = this;
-        const drawOp = getFreshDrawOperation();
+            if(instance.clearColors.length == 0) {
+                mode = "transparent";
+            }
 
-        drawOp.type = "sprite";
+            if(instance.clearColors.length == 1) {
+                mode = "color";
+            }
+        } else if(mode != "transparent") {
+            mode = "preserve";
+        }
 
-        drawOp.x = options.x;
-        drawOp.y = options.y;
+        instance.clearMode = mode;
+    }
 
-        if(options.z != undefined) {
-            drawOp.z = options.z;
-        }
+    /**
+     * Clears the output buffer to a solid color before each frame.  Shorthand for setClearMode("color", { color: hex }).
+     * @param {string} hex - The clear color.
+     */
+    setClearColor(hex) {
+        this.setClearMode("color", {
+            color: hex
+        });
+    }
 
-        drawOp.texture = options.texture;
+    /**
+     * Starts a screen transition, applied as a final pass over the output after everything else is drawn.
+     * By default the screen is covered with a color for the first half, onMidpoint is called while it is fully
+     * covered so the scene can be swapped, and the new scene is uncovered in the second half.
+     * With options.snapshot the current frame is copied and onMidpoint is called straight away, so the
+     * outgoing frame transitions directly into the incoming scene.  Starting a transition replaces any running one.
+     * @param {Object} options - The transition options.
+     * @param {string} [options.type="fade"] - "fade", "wipe", "iris", "dissolve" or "mosaic".
+     * @param {number} [options.duration=500] - The total duration in milliseconds.
+     * @param {string} [options.color="#000000"] - The color the screen is covered with.
+     * @param {boolean} [options.snapshot=false] - Transition from a copy of the current frame instead of a color.
+     * @param {string} [options.direction="left"] - For "wipe", the edge the wipe starts from: "left", "right", "top" or "bottom".
+     * @param {number} [options.centerX] - For "iris", the x position of the iris center in view pixels.  Defaults to the view center.
+     * @param {number} [options.centerY] - For "iris", the y position of the iris center in view pixels.  Defaults to the view center.
+     * @param {number} [options.blockSize=16] - For "mosaic", the largest mosaic block size in view pixels.
+     * @param {Function} [options.onMidpoint] - Called once the screen is fully covered, or immediately with options.snapshot.
+     * @param {Function} [options.onComplete] - Called when the transition has finished.
+     */
+    transition(options) {
+        const instance = this;
 
-        if(options.scale != undefined) {
-            drawOp.scale = options.scale;
+        if(!options) {
+            options = {};
         }
 
-        if(options.opacity != undefined) {
-            drawOp.opacity = options.opacity;
-        }
+        const transition = {
+            type: options.type || "fade",
+            duration: Math.max(1, options.duration ?? 500),
+            time: 0,
+            color: hexToRGB(options.color || "#000000"),
+            snapshot: null,
+            direction: options.direction || "left",
+            centerX: options.centerX,
+            centerY: options.centerY,
+            blockSize: Math.max(1, options.blockSize ?? 16),
+            onMidpoint: options.onMidpoint || null,
+            onComplete: options.onComplete || null,
+            midpointReached: false
+        };
 
-        if(options.state) {
-            drawOp.useState = options.state;
+        if(options.snapshot && instance.outputData) {
+            transition.snapshot = instance.outputData.data.slice();
         }
 
-        if(options.facing) {
-            drawOp.useFacing = options.facing;
-        }
+        instance.activeTransition = transition;
 
-        if(options.frame != undefined) {
-            drawOp.frame = options.frame;
+        if(transition.snapshot) {
+            reachTransitionMidpoint(transition);
         }
+    }
 
-        if(options.useRaw != undefined) {
-            drawOp.useRaw = options.useRaw;
-        }
+    /**
+     * Checks if a screen transition is running.
+     * @returns {boolean} True if a transition is running.
+     */
+    isTransitioning() {
+        return this.activeTransition != null;
+    }
 
-        if(options.composit != undefined) {
-            drawOp.composit = options.composit;
-        }
+    /**
+     * Stops the running screen transition without calling any of its callbacks.
+     */
+    cancelTransition() {
+        this.activeTransition = null;
+    }
 
-        if(options.rotation != undefined) {
-            drawOp.rotation = -options.rotation * PI_ONE_EIGHTY;
-        }
+    /**
+     * Captures the last rendered frame, after lighting, filters and transitions but without the touchstick and stats
+     * overlays, which are only drawn on the canvas.
+     * @param {Object} [options] - Capture options.
+     * @param {boolean} [options.fullResolution=false] - Capture at the render scale instead of 1x.
+     * @param {string} [options.format="rgba"] - "rgba" for the raw pixels or "png" for an encoded PNG file.
+     * @returns {{width: number, height: number, data: Uint8ClampedArray}|Uint8Array|null} The frame, the PNG file bytes, or null if nothing has been rendered yet.
+     */
+    captureFrame(options) {
+        const instance = this;
 
-        if(options.mirror != undefined) {
-            drawOp.mirror = options.mirror;
+        if(!options) {
+            options = {};
         }
 
-        if(options.ignoreLighting != undefined) {
-            drawOp.ignoreLighting = options.ignoreLighting;
+        if(!instance.outputData) {
+            return null;
         }
 
-        if(typeof options.colorFilter == "string") {
-            const filter = options.colorFilter.trim();
+        const frame = getOutputFrame(instance, options.fullResolution);
 
-            if(filter.length == 7) {
-                drawOp.colorFilter = hexToRGB(filter);
-            }
+        if(options.format == "png") {
+            return encodePNG(frame.width, frame.height, frame.data);
         }
 
-        instance.renderInstructions.push(drawOp);
+        return frame;
     }
 
-    drawLight(options) {
-        if(!options.color || !options.intensity || !options.radius) {
-            return;
+    /**
+     * Starts recording rendered frames for an animated GIF or APNG.  Consecutive identical frames are
+     * merged into one longer frame, and frames that don't match the size of the first frame are skipped.  As with
+     * captureFrame, the touchstick and stats overlays are not recorded.
+     * @param {Object} [options] - Recording options.
+     * @param {string} [options.format="gif"] - "gif" or "apng".
+     * @param {boolean} [options.fullResolution=false] - Record at the render scale instead of 1x.
+     * @param {number} [options.frameRate=30] - The most frames to record per second.
+     * @param {number} [options.maxFrames=900] - Recording stops adding frames after this many.
+     */
+    startRecording(options) {
+        if(!options) {
+            options = {};
         }
 
-        const instance = this;
-        const drawOp = getFreshDrawOperation();
-
-        drawOp.type = "light";
-        drawOp.x = Math.round((options.x * instance.tileSize) - instance.viewX);
-        drawOp.y = Math.round((options.y * instance.tileSize) - instance.viewY);
-
-        drawOp.composit = options.color;
-
-        const rgb = hexToRGB(options.color);
-
-        drawOp.opacity = rgb.r;
-        drawOp.rotation = rgb.g;
-        drawOp.z = rgb.b;
-
-        drawOp.frame = options.intensity;
-        drawOp.scale = options.radius * instance.tileSize;
-        drawOp.lightScaleSq = drawOp.scale * drawOp.scale;
+        this.recording = {
+            format: options.format == "apng" ? "apng" : "gif",
+            fullResolution: options.fullResolution || false,
+            interval: 1000 / Math.max(1, options.frameRate ?? 30),
+            maxFrames: Math.max(1, options.maxFrames ?? 900),
+            width: 0,
+            height: 0,
+            frames: []
+        };
+    }
 
-        instance.renderInstructions.push(drawOp);
+    /**
+     * Checks if frames are being recorded.
+     * @returns {boolean} True if recording.
+     */
+    isRecording() {
+        return this.recording != null;
     }
 
-    drawParticle(options) {
-        if(!options.color) {
+    /**
+     * Turns frame profiling on or off.  While on, each frame records where its time goes, which can be read with getStats.
+     * @param {boolean} enabled - True to profile frames.
+     * @param {Object} [options] - Profiler options.
+     * @param {boolean} [options.overlay=false] - Draw a frame time graph and counters over the canvas.
+     * @param {number} [options.historyLength=120] - How many frame times to keep for the graph and average.
+     */
+    setProfiling(enabled, options) {
+        if(!options) {
+            options = {};
+        }
+
+        if(!enabled) {
+            this.profiler = null;
             return;
         }
 
-        const drawOp = getFreshDrawOperation();
+        this.profiler = {
+            overlay: options.overlay || false,
+            historyLength: Math.max(1, options.historyLength ?? 120),
+            history: [],
+            current: createProfilerFrame(),
+            last: null
+        };
+    }
 
-        drawOp.type = "particle";
+    /**
+     * Gets the profiler stats of the last rendered frame.  All times are in milliseconds.
+     * @returns {Object|null} The stats, or null if profiling is off or no frame has been profiled yet.
+     */
+    getStats() {
+        const profiler = this.profiler;
 
-        drawOp.useState = options.color;
+        if(!profiler || !profiler.last) {
+            return null;
+        }
 
-        drawOp.x = options.x || 0;
-        drawOp.y = options.y || 0;
-        drawOp.z = options.z || 0;
+        const last = profiler.last;
 
-        drawOp.scale = options.scale || 1;
-        drawOp.opacity = options.opacity || 1;
-        drawOp.composit = options.composit || null;
-        drawOp.ignoreLighting = options.ignoreLighting || false;
-        drawOp.colorFilter = options.colorFilter || null;
+        let total = 0;
 
-        drawOp.useRaw = options.useRaw || false;
+        for(let i = 0; i < profiler.history.length; i++) {
+            total += profiler.history[i];
+        }
 
-        this.renderInstructions.push(drawOp);
+        return {
+            frameTime: last.frameTime,
+            averageFrameTime: total / profiler.history.length,
+            renderFunction: last.renderFunction,
+            update: last.update,
+            particleUpdate: last.particleUpdate,
+            sort: last.sort,
+            putImageData: last.putImageData,
+            instructionTimes: Object.assign({}, last.instructionTimes),
+            instructionCounts: Object.assign({}, last.instructionCounts),
+            instructions: last.instructions,
+            particles: last.particles,
+            pixelsWritten: last.pixelsWritten,
+            instructionPool: last.instructionPool,
+            particlePool: last.particlePool,
+            history: profiler.history.slice()
+        };
     }
 
-    playParticleEffect(options) {
-        if(!options.effect) {
-            return;
+    /**
+     * Stops recording and encodes the recorded frames.
+     * @returns {Uint8Array|null} The GIF or APNG file bytes, or null if nothing was recorded.
+     */
+    stopRecording() {
+        const instance = this;
+        const recording = instance.recording;
+
+        instance.recording = null;
+
+        if(!recording || recording.frames.length == 0) {
+            return null;
         }
 
-        const program = EFFECT_PROGRAMS[options.effect];
+        const frames = recording.frames;
+        const last = frames[frames.length - 1];
 
-        if(program) {
-            program(this, options);
+        last.delay = Math.max(last.delay, recording.interval);
+
+        if(recording.format == "apng") {
+            return encodeAPNG(recording.width, recording.height, frames);
         }
+
+        return encodeGIF(recording.width, recording.height, frames);
     }
 
-    insertParticleInstruction(options) {
-        const instruction = getFreshParticleOperation();
+    setSunAngle(degrees) {
+        // Convert degrees to radians (0° = east/right, 180° = west/left)
+        this.sunAngle = degrees * PI_ONE_EIGHTY;
+    }
 
-        instruction.x = options.x || 0;
-        instruction.y = options.y || 0;
-        instruction.z = options.z || 0;
+    setRenderScale(scale) {
+        // Set internal resolution multiplier (1=default, 2=4x pixels, 3=9x pixels)
+        // Higher values improve rotation quality but increase pixel count
+        if(scale < 1) scale = 1;
+        if(scale > 8) scale = 8; // Cap at 8x for safety
+        
+        this.renderScale = Math.floor(scale);
+        resizeInstance(this);
+    }
 
-        instruction.zI = options.zI || 0;
+    /**
+     * Zooms the world in or out around the view center.  Values above 1 zoom in, values below 1 zoom out.
+     * @param {number} zoom - The zoom factor.  Does not need to be a whole number.
+     */
+    setZoom(zoom) {
+        const instance = this;
 
-        instruction.color = options.color || "#ff0000";
-        instruction.size = options.size || 1;
-        instruction.colorVariance = options.colorVariance || 0;
+        instance.zoom = clampZoom(zoom);
 
-        instruction.vx = options.vx || 0;
-        instruction.vy = options.vy || 0;
-        instruction.vz = options.vz || 0;
+        applyCameraView(instance);
+    }
 
-        instruction.gz = options.gz || 0.01;
-        instruction.tv = options.tv || 0.04;
+    /**
+     * Returns the current zoom factor.
+     * @returns {number} The zoom factor.
+     */
+    getZoom() {
+        return this.zoom;
+    }
 
-        instruction.composit = options.composit || null;
-        instruction.life = options.life || -1;
+    setRenderFunction(func) {
+        const instance = this;
+        instance.renderFunction = func;
+    }
 
-        instruction.opacity = options.opacity || 1;
+    /**
+     * Sets a function to be called once per simulation step, separate from rendering.
+     * With a fixed timestep this is called at a constant rate regardless of the display refresh rate.
+     * @param {function(number, number): void} func - Called with (delta, stepMs), where delta is the step length relative to the target frame time.
+     */
+    setUpdateFunction(func) {
+        const instance = this;
+        instance.updateFunction = func;
+    }
 
-        instruction.stayOnGround = options.stayOnGround || false;
-        instruction.lifeOnGround = options.lifeOnGround || -1;
+    /**
+     * Sets a fixed simulation rate for the instance.  The update function, particle physics and environmental
+     * effects then run at this rate, and the render function receives an interpolation alpha as a fourth argument.
+     * Without a fixed timestep the simulation runs once before each render and the alpha is always 1.
+     * @param {number} hz - Simulation steps per second (e.g. 60).  Pass 0 to simulate once per rendered frame.
+     * @param {number} [maxSteps=5] - The maximum number of steps to run in a single frame before dropping time.
+     */
+    setFixedTimestep(hz, maxSteps) {
+        const instance = this;
 
-        instruction.glowRadius = options.glowRadius || 0;
-        instruction.glowBrightness = options.glowBrightness || 0;
+        if(!hz || hz <= 0) {
+            instance.fixedStepMs = 0;
+        } else {
+            instance.fixedStepMs = 1000 / hz;
+        }
 
-        instruction.fadeSpeed = options.fadeSpeed || 0;
+        if(maxSteps != undefined && maxSteps > 0) {
+            instance.maxSimSteps = Math.floor(maxSteps);
+        }
 
-        instruction.trails = options.trails || false;
-        instruction.ignoreLighting = options.ignoreLighting || false;
-        instruction.useRaw = options.useRaw || false;
-        instruction.useGlobalAngle = options.useGlobalAngle || false;
-        instruction.loopsBack = options.loopsBack || false;
-        instruction.splatOnImpact = options.splatOnImpact || false;
+        instance.simAccumulator = 0;
+    }
 
-        if(instruction.colorVariance != 0) {
-            instruction.color = variateHexColor(instruction.color, instruction.colorVariance);
-        }
+    /**
+     * Pauses rendering of this instance.  The engine loop skips paused instances, leaving the last frame on screen.
+     */
+    pause() {
+        this.paused = true;
+    }
 
-        this.programParticles.push(instruction);
+    /**
+     * Resumes rendering of a paused instance.
+     */
+    resume() {
+        this.paused = false;
     }
 
-    kill() {
+    /**
+     * Immediately renders a single frame of this instance, outside of the engine loop.
+     * This also works while the instance is paused, for stepping through frames one at a time.
+     * Headless instances can then read the result from outputData.
+     * @param {number} [elapsed] - The elapsed time in milliseconds to report for this frame.  Defaults to one target frame.
+     * @returns {ImageData} The output buffer of the rendered frame.
+     */
+    renderFrame(elapsed) {
         const instance = this;
 
-        instance.deInit = true;
-
-        if(!instance.fixedCanvas && instance.holder) {
-            instance.holder.innerHTML = "";
+        if(instance.deInit) {
+            return null;
         }
 
-        instance.initOptions = null;
-        instance.holder = null;
-        instance.canvas = null;
-        instance.context = null;
+        if(elapsed == undefined || elapsed <= 0) {
+            elapsed = TARGET_DELTA;
+        }
 
-        instance.renderFunction = null;
-        instance.clickFunction = null;
-        instance.touchstickFunction = null;
-        instance.hoverFunction = null;
+        renderInstance(instance, elapsed, elapsed / TARGET_DELTA, 1000 / elapsed);
 
-        delete engineInstances[instance.id];
+        return instance.outputData;
     }
 
-    setWidth(width) {
-        this.width = width;
-        this.setupWidth = width;
-        resizeInstance(this);
+    /**
+     * Centers the view on a tile position immediately.  The camera bounds still apply.
+     * @param {number} x - The x tile coordinate.
+     * @param {number} y - The y tile coordinate.
+     */
+    setViewCenter(x, y) {
+        const instance = this;
+
+        instance.camera.jumpTo(x, y);
     }
 
-    setApparentTileSize(tileSize) {
-        this.apparentTileSize = tileSize;
-        resizeInstance(this);
+    setClickFunction(func) {
+        const instance = this;
+        instance.clickFunction = func;
     }
 
-    setTileSize(tileSize) {
-        this.tileSize = tileSize;
-        resizeInstance(this);
+    setHoverFunction(func) {
+        const instance = this;
+        instance.hoverFunction = func;
     }
-}
 
-export class Texture {
-    constructor(options) {
-        this.id = guid();
+    setTouchstickListener(func) {
+        const instance = this;
+        instance.touchstickFunction = func;
+    }
 
-        this.type = options.type || null;
-        this.rawData = options.data || null;
-        this.src = options.src || null;
+    drawTile(options) {
+        const texture = options.texture || (options.animation ? options.animation.texture : null);
 
-        this.image = [];
-        this.imageData = [];
+        if(!texture || texture.loading) {
+            return;
+        }
 
-        this.loading = true;
+        const instance = this;
 
-        this.colorReplacements = options.colors || [];
+        const drawOp = getFreshDrawOperation();
 
-        this.pppData = null;
+        drawOp.type = "tile";
+        drawOp.x = Math.floor(options.x);
+        drawOp.y = Math.floor(options.y);
 
-        this.height = 0;
-        this.width = 0;
+        if(options.z != undefined) {
+            drawOp.z = Math.floor(options.z);
+        }
 
-        this.frames = 0;
-        this.curFrame = 0;
+        drawOp.texture = texture;
 
-        this.accessories = options.accessories || null;
+        if(options.animation) {
+            drawOp.frame = getAnimationFrame(options.animation);
+        }
 
-        this.state = options.state || null;      // standing, walking, using/attacking, dead
-        this.facing = options.facing || null;     // e or w
+        if(options.frame != undefined) {
+            drawOp.frame = options.frame;
+        }
 
-        this.outlineColor = options.outlineColor || null;
+        if(options.opacity != undefined) {
+            drawOp.opacity = options.opacity;
+        }
 
-        initTexture(this);
-    }
+        if(options.distortion != undefined) {
+            drawOp.distortion = options.distortion;
+        }
 
-    dispose() {
-        const texture = this;
+        if(options.distortionSpeed != undefined) {
+            drawOp.distortionSpeed = options.distortionSpeed;
+        }
 
-        this.loading = true;
+        if(options.distortionScale != undefined) {
+            drawOp.distortionScale = options.distortionScale;
+        }
 
-        this.image = null;
-        this.imageData = null;
+        if(options.reflectivity != undefined) {
+            drawOp.reflectivity = options.reflectivity;
+        }
 
-        removeFromArray(allTextures, texture);
-    }
-}
+        if(options.shimmer != undefined) {
+            drawOp.shimmer = options.shimmer;
+        }
 
-/**
- * Class representing a draw instruction.
- * @property {string} type - The type of the draw instruction (e.g., "tile", "sprite", "light", "particle").
- * @property {number} x - The x-coordinate of the draw instruction.
- * @property {number} y - The y-coordinate of the draw instruction.
- * @property {number} z - The zIndex of the draw instruction.
- * @property {Texture} texture - The texture associated with the draw instruction.
- * @property {number} frame - The frame index of the texture to use.
- * @property {number} scale - The scale factor for the draw instruction.
- * @property {number} opacity - The opacity of the draw instruction.
- * @property {string} useState - The state of the sprite (e.g., "standing", "walking", "dead", "using", "attacking").  For particles, this is the color.
- * @property {string} useFacing - The facing direction of the sprite (e.g., "e", "w").
- * @property {boolean} useRaw - Whether to use raw coordinates for the draw instruction.
- * @property {boolean} mirror - Whether to mirror the sprite.
- * @property {number} rotation - The rotation angle of the sprite in radians.
- * @property {string} composit - The operation to use for compositing.
- * @property {boolean} ignoreLighting - Whether to ignore lighting effects.
- * @property {object} colorFilter - The color filter to apply to the sprite.
- * @property {number} distortion - The amount of wave distortion to apply (0-1, for water refraction effects).
- * @property {number} distortionSpeed - The speed multiplier for distortion animation.
- * @property {number} distortionScale - The scale/size of the distortion wave pattern.
- * @property {number} reflectivity - How much sun reflection/specular highlight to show (0-1).
- * @property {number} shimmer - Animated sparkle intensity for reflections (0-1, 0=smooth reflection, 1=strong shimmer).
- */
-class DrawInstruction {
-    constructor() {
-        this.type = null;
-        this.x = 0;
-        this.y = 0;
-        this.z = 0;
-        this.texture = null;
-        this.frame = -1;
-        this.scale = 1;
-        this.opacity = 1;
-        this.useState = null;
-        this.useFacing = null;
-        this.useRaw = false;
-        this.mirror = false;
-        this.rotation = 0;
-        this.composit = null;
-        this.ignoreLighting = false;
-        this.colorFilter = null;
-        this.distortion = 0;
-        this.distortionSpeed = 1;
-        this.distortionScale = 1;
-        this.reflectivity = 0;
-        this.shimmer = 0;
-        this.lightScaleSq = 0;
+        if(options.palette) {
+            drawOp.palette = getPaletteLookup(options.palette);
+        }
+
+        if(options.sortKey != undefined) {
+            drawOp.sortKey = options.sortKey;
+        }
+
+        instance.renderInstructions.push(drawOp);
     }
-}
 
-/**
- * Class representing a particle instruction, a retained instruction between rendering frames
- * that tracks the life of a particle.
- * @property {number} x - The x-coordinate of the particle.
- * @property {number} y - The y-coordinate of the particle.
- * @property {number} z - The z-coordinate of the particle.
- * @property {number} zI - The z-index of the particle.
- * @property {string} color - The color of the particle.
- * @property {number} colorVariance - The variance in color for the particle.
- * @property {number} size - The size of the particle (in pixels)
- * @property {number} vx - The x velocity of the particle.
- * @property {number} vy - The y velocity of the particle.
- * @property {number} vz - The z velocity of the particle.
- * @property {number} gz - The gravity effect on the particle.
- * @property {number} tv - The terminal velocity of the particle.
- * @property {string} composit - The compositing operation for the particle.
- * @property {number} life - The remaining life of the particle.
- * @property {boolean} cashed - Whether the particle has completed its life and can be recycled.
- * @property {number} opacity - The opacity of the particle.
- * @property {boolean} stayOnGround - If the particle should stop moving when it hits the simulated ground.
- * @property {number} lifeOnGround - The remaining life of the particle when it is on the ground.
- * @property {number} glowRadius - The radius of the glow effect for the particle.  Will draw a light effect.
- * @property {number} glowBrightness - The brightness of the glow effect for the particle.
- * @property {number} fadeSpeed - The speed at which the particle fades out.
- * @property {boolean} trails - Whether the particle should leave a trail.
- * @property {boolean} ignoreLighting - Whether the particle should ignore lighting effects.
- * @property {boolean} useRaw - Whether to use raw coordinates for the particle.
- * @property {boolean} useGlobalAngle - Whether to use a global angle for the particle.
- * @property {boolean} loopsBack - Whether the particle should loop back to the other side of the screen if it leaves the view bounds
- * @property {boolean} splatOnImpact - Whether the particle should splat on impact with the ground.
- */
-class ParticleInstruction {
-    constructor() {
-        this.x = 0;
-        this.y = 0;
-        this.z = 0;
+    drawSprite(options) {
+        const texture = options.texture || (options.animation ? options.animation.texture : null);
 
-        this.zI = 0;
+        if(!texture || texture.loading) {
+            return;
+        }
 
-        this.color = "#ff0000";
-        this.colorVariance = 0;
-        this.size = 1;
+        const instance = this;
+        const drawOp = getFreshDrawOperation();
 
-        this.vx = 0;
-        this.vy = 0;
-        this.vz = 0;
-        
-        this.gz = 0.01;
-        this.tv = 0.04;
+        drawOp.type = "sprite";
 
-        this.composit = null;
+        drawOp.x = options.x;
+        drawOp.y = options.y;
 
-        this.life = -1;
-        this.cashed = false;
+        if(options.z != undefined) {
+            drawOp.z = options.z;
+        }
 
-        this.opacity = 1;
+        drawOp.texture = texture;
 
-        this.stayOnGround = false;
-        this.lifeOnGround = -1;
+        if(options.scale != undefined) {
+            drawOp.scale = options.scale;
+        }
 
-        this.glowRadius = 0;
-        this.glowBrightness = 0;
+        if(options.opacity != undefined) {
+            drawOp.opacity = options.opacity;
+        }
 
-        this.fadeSpeed = 0;
+        if(options.state) {
+            drawOp.useState = options.state;
+        }
 
-        this.trails = false;
-        this.ignoreLighting = false;
-        this.useRaw = false;
-        this.useGlobalAngle = false;
-        this.loopsBack = false;
-        this.splatOnImpact = false;
-    }
-}
+        if(options.facing) {
+            drawOp.useFacing = options.facing;
+        }
 
-function resizeInstance(instance) {
+        if(options.animation) {
+            drawOp.frame = getAnimationFrame(options.animation);
+        }
 
-    if(instance.deInit) {
-        return;
-    }
+        if(options.frame != undefined) {
+            drawOp.frame = options.frame;
+        }
 
-    if(instance.fixedCanvas) {
-        instance.width = instance.canvas.width;
-        instance.height = instance.canvas.height;
-    } else {
-        const holder = instance.holder;
-    
-        const aWidth = holder.offsetWidth;
-        const aHeight = holder.offsetHeight;
+        if(options.useRaw != undefined) {
+            drawOp.useRaw = options.useRaw;
+        }
 
-        if(instance.apparentTileSize && instance.apparentTileSize > 0) {
-            const apparentTilesPerViewportX = aWidth / instance.apparentTileSize;
-            const neededWidth = instance.tileSize * apparentTilesPerViewportX;
+        if(options.composit != undefined) {
+            drawOp.composit = options.composit;
+        }
 
-            instance.width = Math.floor(neededWidth);
+        if(options.rotation != undefined) {
+            drawOp.rotation = -options.rotation * PI_ONE_EIGHTY;
+        }
 
-            const scale = instance.width / aWidth;
-            const useHeight = Math.floor(aHeight * scale);
+        if(options.mirror != undefined) {
+            drawOp.mirror = options.mirror;
+        }
 
-            instance.height = useHeight;
-        } else {
-            instance.width = instance.setupWidth;
+        if(options.ignoreLighting != undefined) {
+            drawOp.ignoreLighting = options.ignoreLighting;
         }
 
-        const scale = instance.width / aWidth;
-        const useHeight = Math.floor(aHeight * scale);
+        if(typeof options.colorFilter == "string") {
+            const filter = options.colorFilter.trim();
 
-        instance.height = useHeight;
+            if(filter.length == 7) {
+                drawOp.colorFilter = hexToRGB(filter);
+            }
+        }
 
-        // Apply render scale to actual canvas dimensions
-        instance.canvas.width = instance.width * instance.renderScale;
-        instance.canvas.height = instance.height * instance.renderScale;
-    }
+        if(options.palette) {
+            drawOp.palette = getPaletteLookup(options.palette);
+        }
 
-    if(isOdd(instance.height)) {
-        instance.roundingOp = Math.floor;
-    } else {
-        instance.roundingOp = Math.round;
+        if(options.sortKey != undefined) {
+            drawOp.sortKey = options.sortKey;
+        }
+
+        instance.renderInstructions.push(drawOp);
     }
 
-    instance.canvas.style.imageRendering = "pixelated";
-    instance.context.imageSmoothingEnabled = false;
-}
-
-function globalRender(t) {
-    if(lastRAF == null) {
-        lastRAF = t;
+    /**
+     * Sets how tiles, sprites and particles on the same z are ordered.  A sortKey passed to drawTile, drawSprite or
+     * drawParticle is used in place of the y position in either mode.
+     * @param {string} mode - "default" draws tiles before sprites, each ordered by y.  "foot" orders tiles and sprites
+     * together by the bottom edge of their texture, so tall tiles and sprites overlap what is behind them.  In isometric
+     * and hex projections textures already stand on the bottom of their cell, so "foot" orders tiles and sprites together
+     * by cell depth, moved down by how far a scaled sprite reaches below its cell.
+     */
+    setSortMode(mode) {
+        this.sortMode = mode == "foot" ? "foot" : "default";
     }
 
-    let elapsed = t - lastRAF;
-    lastRAF = t;
-
-    let delta = elapsed / TARGET_DELTA;
-    let fps = 1000 / elapsed;
-
-    if(isNaN(delta)) {
-        delta = 1;
+    /**
+     * Sets a comparator that replaces the built in draw ordering.  Lights and parallax layers are always ordered first,
+     * everything else is passed to the comparator, and instructions it considers equal keep the order they were drawn in.
+     * @param {function(DrawInstruction, DrawInstruction): number} fn - Compares two draw instructions like an Array.sort comparator.
+     * Each instruction's sortY holds its resolved sort key for the current sort mode.  Pass null to restore the built in ordering.
+     */
+    setSortComparator(fn) {
+        this.sortComparator = fn || null;
     }
 
-    for(let instanceId in engineInstances) {
-        const instance = engineInstances[instanceId];
+    /**
+     * Renders a separate list of draw calls, optionally with the instance's layers and particles, into an offscreen
+     * buffer and returns it as a Texture that can be used with drawSprite and drawTile.  Can be called at any time,
+     * including from inside a render function.  Pixels that nothing draws to stay transparent, and the instance's
+     * screen filters are not applied.  Each call without options.texture registers a new texture, which the caller must
+     * dispose() when done with it, so repeated captures such as a per-frame minimap should pass the previous texture back
+     * in options.texture.
+     * @param {Object} [options] - The options for the render.
+     * @param {number} [options.width] - The width of the texture in pixels.  Defaults to the instance width.
+     * @param {number} [options.height] - The height of the texture in pixels.  Defaults to the instance height.
+     * @param {number} [options.x] - The x tile coordinate to center on.  Defaults to the current view center.
+     * @param {number} [options.y] - The y tile coordinate to center on.  Defaults to the current view center.
+     * @param {number} [options.zoom=1] - The zoom to render with.
+     * @param {function(PixelEngineInstance): void} [options.renderFunction] - Called to issue the draw calls for the texture.
+     * @param {boolean} [options.includeParallaxLayers=false] - Whether to draw the instance's parallax layers.
+     * @param {boolean} [options.includeTileLayers=false] - Whether to draw the instance's tile layers.
+     * @param {boolean} [options.includeParticles=false] - Whether to draw the instance's particles.
+     * @param {string} [options.lighting] - A lighting color to use instead of the instance lighting.
+     * @param {number} [options.lightingIntensity=1] - The intensity of options.lighting.
+     * @param {Texture} [options.texture] - An existing texture to update instead of creating a new one.
+     * @returns {Texture} The rendered texture.
+     */
+    renderToTexture(options) {
+        const instance = this;
 
-        if(instance.deInit) {
-            continue;
+        if(!options) {
+            options = {};
         }
 
-        renderInstance(instance, elapsed, delta, fps);
-    }
+        const width = Math.max(1, Math.floor(options.width || instance.width));
+        const height = Math.max(1, Math.floor(options.height || instance.height));
+        const zoom = clampZoom(options.zoom || 1);
 
-    textureCycleCounter += delta;
+        const buffer = createImageBuffer(width, height);
 
-    if(textureCycleCounter >= TEXTURE_CYCLE_MAX) {
-        textureCycleCounter = 0;
-        overrideOffTurn = !overrideOffTurn;
+        const saved = saveViewState(instance);
 
-        for(let i = 0; i < allTextures.length; i++) {
-            const texture = allTextures[i];
-            cycleTexture(texture);
-        }
-    }
+        const viewCenter = unprojectPoint(instance, instance.viewXraw + (instance.width / instance.zoom / 2), instance.viewYraw + (instance.height / instance.zoom / 2));
 
-    requestAnimationFrame(globalRender);
-}
+        const centerX = options.x ?? viewCenter.x;
+        const centerY = options.y ?? viewCenter.y;
 
-// eslint-disable-next-line no-unused-vars
-function onPointerDown(instance, object, id, x, y, type, pressure, which, px, py) {
+        const instructions = [];
 
-    if(type == "touch" && instance.touchstickFunction) {
-        const canCoord = getCanvasCoordinate(instance, x, y);
+        // The instance is only borrowed for this render, so put its view back even if the render function throws
+        try {
+            instance.width = width;
+            instance.height = height;
+            instance.zoom = zoom;
+            instance.renderScale = 1;
+            instance.roundingOp = isOdd(height) ? Math.floor : Math.round;
 
-        if(canCoord.x < instance.width / 2) {
-            instance.touchstickLeftX = canCoord.x;
-            instance.touchstickLeftY = canCoord.y;
-            instance.touchstickLeftId = id;
-            instance.touchstickLeftMX = canCoord.x;
-            instance.touchstickLeftMY = canCoord.y;
+            const center = projectTile(instance, centerX, centerY);
 
-            reportLeftTouchMove(instance);
-        } else {
-            instance.touchstickRightX = canCoord.x;
-            instance.touchstickRightY = canCoord.y;
-            instance.touchstickRightId = id;
-            instance.touchstickRightMX = canCoord.x;
-            instance.touchstickRightMY = canCoord.y;
+            instance.viewXraw = center.x - (width / zoom / 2);
+            instance.viewYraw = center.y - (height / zoom / 2);
+            instance.viewX = Math.round(instance.viewXraw);
+            instance.viewY = Math.round(instance.viewYraw);
 
-            reportRightTouchMove(instance);
-        }
+            if(options.lighting) {
+                const rgb = hexToRGB(options.lighting);
+                const intensity = options.lightingIntensity ?? 1;
+                const darknessWeight = 1 - intensity;
 
-        return;
-    }
+                instance.weightedLighting = {
+                    r: weighColors(0, rgb.r, darknessWeight, intensity),
+                    g: weighColors(0, rgb.g, darknessWeight, intensity),
+                    b: weighColors(0, rgb.b, darknessWeight, intensity)
+                };
+            }
 
-    
+            instance.hasWeightedLighting = instance.weightedLighting.r != 255 || instance.weightedLighting.g != 255 || instance.weightedLighting.b != 255;
 
-    if(instance.clickFunction) {
+            instance.outputStride = width;
+            instance.outputOffsetX = 0;
+            instance.outputOffsetY = 0;
 
-        const dat = pointerLocationToTile(instance, x, y);
+            instance.renderInstructions = instructions;
 
-        dat.which = which;
-        dat.type = type;
+            if(options.renderFunction) {
+                options.renderFunction(instance);
+            }
 
-        instance.clickFunction(dat);
-    }
-}
+            if(options.includeParallaxLayers) {
+                queueParallaxLayers(instance);
+            }
 
-// eslint-disable-next-line no-unused-vars
-function onPointerMove(instance, object, id, x, y, type, pressure, which, px, py) {
-    if(type == "touch" && instance.touchstickLeftId && instance.touchstickLeftId == id) {
-        const canCoord = getCanvasCoordinate(instance, x, y);
-        instance.touchstickLeftMX = canCoord.x;
-        instance.touchstickLeftMY = canCoord.y;
+            if(options.includeTileLayers) {
+                queueTileLayers(instance);
+            }
 
-        reportLeftTouchMove(instance);
+            if(options.includeParticles) {
+                drawProgramParticles(instance, 1);
+            }
 
-        return;
-    }
+            sortRenderInstructions(instance, instructions);
+            renderInstructionList(instance, instructions, buffer);
+        } finally {
+            recycleRenderInstructions(instructions);
+            restoreViewState(instance, saved);
+        }
 
-    if(type == "touch" && instance.touchstickRightId && instance.touchstickRightId == id) {
-        const canCoord = getCanvasCoordinate(instance, x, y);
-        instance.touchstickRightMX = canCoord.x;
-        instance.touchstickRightMY = canCoord.y;
+        const texture = options.texture;
 
-        reportRightTouchMove(instance);
+        if(!texture) {
+            return loadTexture({
+                type: "imagedata",
+                data: [buffer]
+            });
+        }
 
-        return;
-    }
+        texture.imageData = [buffer];
+        texture.width = width;
+        texture.height = height;
+        texture.frames = 1;
+        texture.curFrame = 0;
 
-    if((type == "mouse" || type == "pen") && instance.hoverFunction) {
-        instance.hoverFunction(pointerLocationToTile(instance, x, y));
+        finishTextureLoad(texture);
+
+        return texture;
     }
-}
 
-// eslint-disable-next-line no-unused-vars
-function onPointerUp(instance, object, id, type, which, evt) {
-    if(type == "touch" && instance.touchstickLeftId && instance.touchstickLeftId == id) {
-        instance.touchstickLeftX = -1;
-        instance.touchstickLeftY = -1;
-        instance.touchstickLeftId = null;
-        instance.touchstickLeftMX = -1;
-        instance.touchstickLeftMY = -1;
+    /**
+     * Adds a named viewport to the instance, for split-screen views.  Once an instance has viewports, only its
+     * viewports are drawn.  Everything drawn by the instance render function, tile layers and particles appears in
+     * every viewport, while each viewport's own render function can add draws that only appear in that viewport.
+     * @param {string} name - The name of the viewport.
+     * @param {Object} options - The options for the viewport.
+     * @param {number} options.x - The left edge of the viewport on the canvas, in instance pixels.
+     * @param {number} options.y - The top edge of the viewport on the canvas, in instance pixels.
+     * @param {number} options.width - The width of the viewport in instance pixels.
+     * @param {number} options.height - The height of the viewport in instance pixels.
+     * @param {number} [options.zoom=1] - The zoom of the viewport.
+     * @param {function} [options.renderFunction] - Called while the viewport renders, with (fps, delta, elapsed, alpha, viewport).
+     * @returns {Viewport} The new viewport.
+     */
+    addViewport(name, options) {
+        const instance = this;
 
-        instance.touchstickFunction("left", 0, 0);
-    }
+        instance.removeViewport(name);
 
-    if(type == "touch" && instance.touchstickRightId && instance.touchstickRightId == id) {
-        instance.touchstickRightX = -1;
-        instance.touchstickRightY = -1;
-        instance.touchstickRightId = null;
-        instance.touchstickRightMX = -1;
-        instance.touchstickRightMY = -1;
+        const viewport = new Viewport(instance, name, options || {});
 
-        instance.touchstickFunction("right", 0, 0);
+        instance.viewports.push(viewport);
+
+        return viewport;
     }
-}
 
-function weighColors(c1, c2, w1, w2) {
-    const raw = ((w1 * c1) + (w2 * c2)) / (w1 + w2);
+    /**
+     * Gets a viewport by name.
+     * @param {string} name - The name of the viewport.
+     * @returns {Viewport} The viewport, or null if there is none with that name.
+     */
+    getViewport(name) {
+        for(let i = 0; i < this.viewports.length; i++) {
+            if(this.viewports[i].name == name) {
+                return this.viewports[i];
+            }
+        }
 
-    if(raw > 255) {
-        return 255;
+        return null;
     }
 
-    return raw;
-}
+    /**
+     * Removes a viewport by name.
+     * @param {string} name - The name of the viewport.
+     */
+    removeViewport(name) {
+        const viewport = this.getViewport(name);
 
-function initTexture(texture) {
-    if(!texture || !texture.type || (!texture.rawData && !texture.src)) {
-        return;
+        if(viewport) {
+            recycleRenderInstructions(viewport.renderInstructions);
+            removeFromArray(this.viewports, viewport);
+        }
     }
 
-    if(texture.type == "ppp" || texture.type == "ppptoken") {
-        loadPPPTexture(texture);
-    }
-}
+    /**
+     * Adds a retained tile layer to the instance.  Tile layers are drawn every frame without any drawTile calls,
+     * and cache their tiles in chunks that are only re-rendered when a tile changes or an animated texture cycles.
+     * @param {Object} options - The options for the layer.
+     * @param {number} options.width - The width of the layer in tiles.
+     * @param {number} options.height - The height of the layer in tiles.
+     * @param {number} [options.z=0] - The zIndex of the layer.  Layers draw before tiles and sprites with the same zIndex.
+     * @param {number} [options.chunkSize=16] - The width and height of a cached chunk in tiles.
+     * @param {number} [options.opacity=1] - The opacity of the layer.
+     * @param {boolean} [options.ignoreLighting=false] - Whether the layer ignores lighting.
+     * @returns {TileLayer} The new tile layer.
+     */
+    addTileLayer(options) {
+        const layer = new TileLayer(options || {});
 
-/**
- * Get a new draw operation from the recycling pool or create a new one if none are available.
- * @returns {DrawInstruction} A new or recycled DrawInstruction object.
- */
-function getFreshDrawOperation() {
+        this.tileLayers.push(layer);
 
-    const op = instructionRecycling.pop();
+        return layer;
+    }
 
-    if(op) {
-        op.type = null;
-        op.x = 0;
-        op.y = 0;
-        op.z = 0;
-        op.texture = null;
-        op.frame = -1;
-        op.scale = 1;
-        op.opacity = 1;
-        op.useState = null;
-        op.useFacing = null;
-        op.useRaw = false;
-        op.mirror = false;
-        op.rotation = 0;
-        op.composit = null;
-        op.ignoreLighting = false;
-        op.colorFilter = null;
-        op.distortion = 0;
-        op.distortionSpeed = 1;
-        op.distortionScale = 1;
-        op.reflectivity = 0;
-        op.shimmer = 0;
-        op.lightScaleSq = 0;
-    } else {
-        return new DrawInstruction();
+    /**
+     * Removes a tile layer from the instance.
+     * @param {TileLayer} layer - The layer to remove.
+     */
+    removeTileLayer(layer) {
+        removeFromArray(this.tileLayers, layer);
     }
 
-    return op;
-}
+    /**
+     * Adds a parallax background layer to the instance.  Parallax layers are drawn behind everything else,
+     * in the order they were added.
+     * @param {Object} options - The options for the layer.
+     * @param {Texture} [options.texture] - The texture to draw.
+     * @param {number} [options.frame=-1] - The frame of the texture to use.  -1 follows the texture's animation.
+     * @param {ImageData|HTMLImageElement|ImageBitmap|HTMLCanvasElement} [options.image] - An image to draw instead of a texture.
+     * @param {number} [options.scrollX=0] - How far the layer moves with the view horizontally (0 = fixed to the screen, 1 = moves with the world).
+     * @param {number} [options.scrollY=0] - How far the layer moves with the view vertically.
+     * @param {number} [options.offsetX=0] - The horizontal offset of the layer in pixels.
+     * @param {number} [options.offsetY=0] - The vertical offset of the layer in pixels.
+     * @param {number} [options.velocityX=0] - Horizontal auto-scroll speed in pixels per second.
+     * @param {number} [options.velocityY=0] - Vertical auto-scroll speed in pixels per second.
+     * @param {string} [options.repeat="repeat"] - "repeat", "repeat-x", "repeat-y" or "none".
+     * @param {number} [options.opacity=1] - The opacity of the layer.
+     * @param {boolean} [options.ignoreLighting=false] - Whether the layer ignores lighting.
+     * @returns {ParallaxLayer} The new parallax layer.
+     */
+    addParallaxLayer(options) {
+        const layer = new ParallaxLayer(options || {});
 
-function renderInstance(instance, elapsed, delta, fps) {
+        this.parallaxLayers.push(layer);
 
-    if(instance.renderFunction) {
-        instance.renderFunction(fps, delta, elapsed);
+        return layer;
     }
 
-    instance.rndAngle += delta * 0.002;
-
-    if(instance.rndAngle > 360) {
-        instance.rndAngle -= 360;
+    /**
+     * Removes a parallax layer from the instance.
+     * @param {ParallaxLayer} layer - The layer to remove.
+     */
+    removeParallaxLayer(layer) {
+        removeFromArray(this.parallaxLayers, layer);
     }
 
-    const currentBounds = instance.getViewBounds();
+    drawLight(options) {
+        if(!options.color || !options.intensity || !options.radius) {
+            return;
+        }
 
-    runEnvironmentalConditions(instance, currentBounds);
-   
-    const completePrograms = [];
+        const instance = this;
+        const drawOp = getFreshDrawOperation();
 
-    for(let i = 0; i < instance.programParticles.length; i++) {
-        const inst = instance.programParticles[i];
+        drawOp.type = "light";
 
-        if(inst.cashed) {
-            completePrograms.push(inst);
-            continue;
-        }
+        // Kept in tile coordinates, converted to the view when rendered
+        drawOp.x = options.x;
+        drawOp.y = options.y;
 
-        updateParticle(instance, inst, delta, currentBounds);
-        
-        // Convert particle to draw instruction so it actually renders
-        // zI is the base rendering layer, z is elevation offset for height simulation
-        const renderZIndex = inst.zI;// + Math.floor(inst.z);
-        instance.drawParticle({
-            color: inst.color,
-            x: inst.x,
-            y: inst.y,
-            z: renderZIndex,
-            scale: inst.size,
-            opacity: inst.opacity,
-            composit: inst.composit,
-            ignoreLighting: inst.ignoreLighting,
-            useRaw: inst.useRaw
-        });
-    }
+        drawOp.composit = options.color;
 
-    while(completePrograms.length > 0) {
-        const inst = completePrograms.pop();
+        const rgb = hexToRGB(options.color);
 
-        removeFromArray(instance.programParticles, inst);
+        drawOp.opacity = rgb.r;
+        drawOp.rotation = rgb.g;
+        drawOp.z = rgb.b;
 
-        if(particleInstructionRecycling.length < 1000) {
-            particleInstructionRecycling.push(inst);
-        }
+        drawOp.frame = options.intensity;
+        drawOp.scale = options.radius;
+
+        instance.renderInstructions.push(drawOp);
     }
 
-    const scaledWidth = instance.width * instance.renderScale;
-    const scaledHeight = instance.height * instance.renderScale;
+    drawParticle(options) {
+        if(!options.color) {
+            return;
+        }
 
-    // Only resize the backing canvas when dimensions actually change.
-    if(instance.canvas.width != scaledWidth || instance.canvas.height != scaledHeight) {
-        instance.canvas.width = scaledWidth;
-        instance.canvas.height = scaledHeight;
-    }
+        const drawOp = getFreshDrawOperation();
 
-    const context = instance.context;
+        drawOp.type = "particle";
 
-    instance.hasWeightedLighting = instance.weightedLighting.r != 255 || instance.weightedLighting.g != 255 || instance.weightedLighting.b != 255;
+        drawOp.useState = options.color;
 
-    // sort render instructions here
-    instance.renderInstructions.sort(function(a, b) {
+        drawOp.x = options.x || 0;
+        drawOp.y = options.y || 0;
+        drawOp.z = options.z || 0;
 
-        if(a.type == "light" && b.type != "light") {
-            return -1;
-        }
+        drawOp.scale = options.scale || 1;
+        drawOp.opacity = options.opacity || 1;
+        drawOp.composit = options.composit || null;
+        drawOp.ignoreLighting = options.ignoreLighting || false;
+        drawOp.colorFilter = options.colorFilter || null;
 
-        if(a.type != "light" && b.type == "light") {
-            return 1;
-        }
+        drawOp.useRaw = options.useRaw || false;
 
-        if(a.z > b.z) {
-            return 1;
+        if(options.sortKey != undefined) {
+            drawOp.sortKey = options.sortKey;
         }
 
-        if(a.z < b.z) {
-            return -1;
-        }
+        this.renderInstructions.push(drawOp);
+    }
 
-        if(a.type == "tile" && b.type == "sprite") {
-            return -1;
+    playParticleEffect(options) {
+        if(!options.effect) {
+            return;
         }
 
-        if(a.type == "sprite" && b.type == "tile") {
-            return 1;
-        }
+        const program = EFFECT_PROGRAMS[options.effect];
 
-        if(a.y > b.y) {
-            return 1;
+        if(program) {
+            program(this, options);
         }
+    }
 
-        if(a.y < b.y) {
-            return -1;
-        }
+    insertParticleInstruction(options) {
+        const instruction = getFreshParticleOperation();
 
-        return 0;
-    });
+        instruction.x = options.x || 0;
+        instruction.y = options.y || 0;
+        instruction.z = options.z || 0;
 
-    instance.activeLights = [];
+        instruction.px = instruction.x;
+        instruction.py = instruction.y;
 
-    const outputData = context.getImageData(0, 0, scaledWidth, scaledHeight);
+        instruction.zI = options.zI || 0;
 
-    for(let i = 0; i < instance.renderInstructions.length; i++) {
-        const inst = instance.renderInstructions[i];
+        instruction.color = options.color || "#ff0000";
+        instruction.size = options.size || 1;
+        instruction.colorVariance = options.colorVariance || 0;
 
-        if(inst.type == "light") {
-            instance.activeLights.push(inst);
-        }
+        instruction.vx = options.vx || 0;
+        instruction.vy = options.vy || 0;
+        instruction.vz = options.vz || 0;
 
-        if(inst.type == "tile") {
-            renderTile(instance, inst, outputData);
-        }
+        instruction.gz = options.gz || 0.01;
+        instruction.tv = options.tv || 0.04;
 
-        if(inst.type == "sprite") {
-            renderSprite(instance, inst, outputData);
-        }
+        instruction.composit = options.composit || null;
+        instruction.life = options.life || -1;
 
-        if(inst.type == "particle") {
-            renderParticle(instance, inst, outputData);
-        }
-    }
+        instruction.opacity = options.opacity || 1;
 
-    context.putImageData(outputData, 0, 0);
+        instruction.stayOnGround = options.stayOnGround || false;
+        instruction.lifeOnGround = options.lifeOnGround || -1;
 
-    while(instance.renderInstructions.length > 0) {
-        const inst = instance.renderInstructions.pop();
-        inst.texture = null;
+        instruction.glowRadius = options.glowRadius || 0;
+        instruction.glowBrightness = options.glowBrightness || 0;
 
-        if(instructionRecycling.length < 1000) {
-            instructionRecycling.push(inst);
-        }
-    }
+        instruction.fadeSpeed = options.fadeSpeed || 0;
 
-    if(instance.touchstickFunction) {
-        if(instance.touchstickLeftX > -1 && instance.touchstickLeftY > -1) {
-            renderTouchStick(instance, instance.touchstickLeftX, instance.touchstickLeftY, instance.touchstickLeftMX, instance.touchstickLeftMY);
-        }
+        instruction.trails = options.trails || false;
+        instruction.ignoreLighting = options.ignoreLighting || false;
+        instruction.useRaw = options.useRaw || false;
+        instruction.useGlobalAngle = options.useGlobalAngle || false;
+        instruction.loopsBack = options.loopsBack || false;
+        instruction.splatOnImpact = options.splatOnImpact || false;
 
-        if(instance.touchstickRightX > -1 && instance.touchstickRightY > -1) {
-            renderTouchStick(instance, instance.touchstickRightX, instance.touchstickRightY, instance.touchstickRightMX, instance.touchstickRightMY);
+        if(instruction.colorVariance != 0) {
+            instruction.color = variateHexColor(this, instruction.color, instruction.colorVariance);
         }
+
+        this.programParticles.push(instruction);
     }
-}
 
-function cycleTexture(texture) {
-    texture.curFrame++;
+    kill() {
+        const instance = this;
 
-    if(texture.type == "ppptoken") {
+        instance.deInit = true;
 
-        if(!texture.state) {
-            texture.state = "standing";
+        if(!instance.fixedCanvas && instance.holder) {
+            instance.holder.innerHTML = "";
         }
 
-        if(texture.state == "dead") {
-            texture.curFrame = 6;
-        }
+        instance.initOptions = null;
+        instance.holder = null;
+        instance.canvas = null;
+        instance.context = null;
+        instance.outputData = null;
+        instance.activeTransition = null;
+        instance.frameUnderlay = null;
+        instance.recording = null;
+        instance.profiler = null;
+        instance.tileLayers = [];
+        instance.parallaxLayers = [];
+        instance.camera.view = null;
+        instance.viewports = [];
 
-        if(texture.state == "standing") {
-            if(texture.facing == "w") {
-                texture.curFrame = 0;
-            } else {
-                texture.curFrame = 3;
-            }
-        }
+        instance.renderFunction = null;
+        instance.updateFunction = null;
+        instance.clickFunction = null;
+        instance.touchstickFunction = null;
+        instance.hoverFunction = null;
 
-        if(texture.state == "walking") {
-            if(texture.facing == "w") {
-                if(texture.curFrame > 1) {
-                    texture.curFrame = 0;
-                }
-            } else {
-                if(texture.curFrame < 3 || texture.curFrame > 4) {
-                    texture.curFrame = 3;
-                }
-            }
-        }
+        delete engineInstances[instance.id];
+    }
 
-        if(texture.state == "using" || texture.state == "attacking") {
-            if(texture.facing == "w") {
-                texture.curFrame = 2;
-            } else {
-                texture.curFrame = 5;
-            }
-        }
+    setWidth(width) {
+        this.width = width;
+        this.setupWidth = width;
+        resizeInstance(this);
+    }
 
-        return;
+    setApparentTileSize(tileSize) {
+        this.apparentTileSize = tileSize;
+        resizeInstance(this);
     }
 
-    if(texture.curFrame >= texture.frames) {
-        texture.curFrame = 0;
+    setTileSize(tileSize) {
+        this.tileSize = tileSize;
+        resizeInstance(this);
     }
 }
 
-function getCanvasCoordinatePrecise(instance, x, y) {
-    let hw;
-    let hh;
+/**
+ * Class representing a texture, created with loadTexture.
+ * @property {boolean} loading - Whether the texture can't be drawn yet.  Stays true if loading failed.
+ * @property {string} status - "loading", "loaded", "error" or "disposed".
+ * @property {Error} error - Why loading failed, if it did.
+ * @property {Promise<Texture>} ready - Resolves with the texture when it has loaded, or rejects when loading fails after any retries.
+ * @property {number} refCount - How many identical loads share the texture.
+ */
+export class Texture {
+    constructor(options) {
+        this.id = guid();
 
-    if(instance.fixedCanvas) {
-        hw = instance.canvas.width / instance.renderScale;
-        hh = instance.canvas.height / instance.renderScale;
-    } else {
-        const holder = instance.holder;
-        hw = holder.offsetWidth;
-        hh = holder.offsetHeight;
-    }
+        this.type = options.type || null;
+        this.rawData = options.data || null;
+        this.src = options.src || null;
 
-    const xPer = x / hw;
-    const yPer = y / hh;
+        this.image = [];
+        this.imageData = [];
 
-    return {
-        x: instance.width * xPer,
-        y: instance.height * yPer
-    };
-}
+        this.loading = true;
+        this.status = "loading";
+        this.error = null;
 
-function getCanvasCoordinate(instance, x, y) {
+        this.retries = options.retries || 0;
+        this.retryDelay = options.retryDelay ?? 1000;
+        this.attempts = 0;
 
-    const precice = getCanvasCoordinatePrecise(instance, x, y);
+        this.refCount = 1;
+        this.cacheKey = null;
 
-    return {
-        x: Math.floor(precice.x),
-        y: Math.floor(precice.y)
-    };
-}
+        createReadyPromise(this);
 
-function reportLeftTouchMove(instance) {
+        this.colorReplacements = options.colors || [];
 
-    if(!instance.touchstickFunction) {
-        return;
-    }
+        this.pppData = null;
 
-    let xDiff = instance.touchstickLeftMX - instance.touchstickLeftX;
-    let yDiff = instance.touchstickLeftMY - instance.touchstickLeftY;
+        this.height = 0;
+        this.width = 0;
 
-    if(xDiff > instance.touchstickRadius) {
-        xDiff = instance.touchstickRadius;
-    }
+        this.frames = 0;
+        this.curFrame = 0;
 
-    if(xDiff < -instance.touchstickRadius) {
-        xDiff = -instance.touchstickRadius;
-    }
+        this.accessories = options.accessories || null;
 
-    if(yDiff > instance.touchstickRadius) {
-        yDiff = instance.touchstickRadius;
-    }
+        this.state = options.state || null;      // standing, walking, using/attacking, dead
+        this.facing = options.facing || null;     // e or w
 
-    if(yDiff < -instance.touchstickRadius) {
-        yDiff = -instance.touchstickRadius;
-    }
+        this.outlineColor = options.outlineColor || null;
 
-    const xPer = xDiff / instance.touchstickRadius;
-    const yPer = yDiff / instance.touchstickRadius;
+        this.frameWidth = options.frameWidth || 0;
+        this.frameHeight = options.frameHeight || this.frameWidth;
+        this.margin = options.margin || 0;
+        this.spacing = options.spacing || 0;
+        this.atlas = options.atlas || null;
+        this.frameNames = [];
 
-    instance.touchstickFunction("left", xPer, yPer);
-}
+        this.frameDuration = options.frameDuration ?? null;
+        this.frameElapsed = 0;
 
-function reportRightTouchMove(instance) {
+        this.clips = {};
+        this.playback = null;
+        this.defaultClip = options.clip || null;
 
-    if(!instance.touchstickFunction) {
-        return;
-    }
+        if(options.clips) {
+            for(let i = 0; i < options.clips.length; i++) {
+                this.addClip(options.clips[i]);
+            }
+        }
 
-    let xDiff = instance.touchstickRightMX - instance.touchstickRightX;
-    let yDiff = instance.touchstickRightMY - instance.touchstickRightY;
+        if(options.clip) {
+            this.play(options.clip);
+        }
 
-    if(xDiff > instance.touchstickRadius) {
-        xDiff = instance.touchstickRadius;
+        initTexture(this);
     }
 
-    if(xDiff < -instance.touchstickRadius) {
-        xDiff = -instance.touchstickRadius;
+    /**
+     * Adds a named animation clip to the texture, replacing any clip with the same name.
+     * @param {Object} clip - The clip.
+     * @param {string} clip.name - The name of the clip.
+     * @param {number[]} clip.frames - The texture frames of the clip in playback order.
+     * @param {boolean} [clip.loop=true] - Whether the clip starts over after the last frame.  Otherwise it holds the last frame.
+     * @param {boolean} [clip.pingpong=false] - Whether the clip plays back in reverse after reaching the end.
+     * @param {number|number[]} [clip.frameDuration] - How long each frame shows in milliseconds, or an array with a duration for
+     * every entry in clip.frames.  Defaults to the texture's frameDuration.
+     * @param {Object<number, function(AnimationState): void>} [clip.events] - Callbacks keyed by position in clip.frames,
+     * called when playback reaches that position.
+     */
+    addClip(clip) {
+        this.clips[clip.name] = {
+            name: clip.name,
+            frames: clip.frames.slice(),
+            loop: clip.loop ?? true,
+            pingpong: !!clip.pingpong,
+            frameDuration: clip.frameDuration ?? null,
+            events: clip.events || null
+        };
     }
 
-    if(yDiff > instance.touchstickRadius) {
-        yDiff = instance.touchstickRadius;
+    /**
+     * Plays a clip on the texture itself, so every draw that doesn't pass its own frame or animation shows it.
+     * Playing the clip that is already playing carries on without restarting.
+     * @param {string} name - The name of the clip.
+     * @param {Object} [options] - Playback options, see AnimationState.play.
+     */
+    play(name, options) {
+        const texture = this;
+
+        if(!texture.playback) {
+            texture.playback = new AnimationState(texture, { autoUpdate: false });
+        }
+
+        texture.playback.play(name, options);
+        texture.curFrame = texture.playback.frame;
     }
 
-    if(yDiff < -instance.touchstickRadius) {
-        yDiff = -instance.touchstickRadius;
+    /**
+     * Stops the clip playing on the texture, returning it to cycling through all of its frames.
+     */
+    stop() {
+        this.playback = null;
+        this.frameElapsed = 0;
+        this.curFrame = 0;
     }
 
-    const xPer = xDiff / instance.touchstickRadius;
-    const yPer = yDiff / instance.touchstickRadius;
+    /**
+     * Creates playback state for the texture that can be passed to drawSprite or drawTile as options.animation,
+     * so draws sharing the texture can each be at their own frame.
+     * @param {Object} [options] - The options for the animation state, see AnimationState.
+     * @returns {AnimationState} The new animation state.
+     */
+    createAnimation(options) {
+        return new AnimationState(this, options);
+    }
 
-    instance.touchstickFunction("right", xPer, yPer);
-}
+    /**
+     * Loads the texture again after it failed.
+     * @returns {Promise<Texture>} The texture's new ready promise.
+     */
+    retry() {
+        const texture = this;
 
-function pointerLocationToTile(instance, x, y) {
-        
-    const canCoord = getCanvasCoordinate(instance, x, y);
+        if(texture.status != "error") {
+            return texture.ready;
+        }
 
-    const canX = instance.viewX + canCoord.x;
-    const canY = instance.viewY + canCoord.y;
+        texture.status = "loading";
+        texture.error = null;
+        texture.attempts = 0;
 
-    const tX = canX / instance.tileSize;
-    const tY = canY / instance.tileSize;
+        createReadyPromise(texture);
+        initTexture(texture);
 
+        return texture.ready;
+    }
 
-    return {
-        x: tX,
-        y: tY
-    };
-}
+    /**
+     * Releases the texture.  A texture shared by several identical loads is only freed once each of them has been disposed.
+     * Freeing a texture that is still loading rejects its ready promise.
+     */
+    dispose() {
+        const texture = this;
 
-function loadPPPTexture(texture) {
-    // ppp object
-    if(texture.rawData && texture.rawData.id && texture.rawData.frames) {
-
-        texture.height = texture.rawData.height;
-        texture.width = texture.rawData.width;
-        texture.frames = texture.rawData.frames.length;
+        texture.refCount--;
 
-        let accessories = null;
-        let outlineColor = null;
+        if(texture.refCount > 0) {
+            return;
+        }
 
-        if(texture.accessories) {
-            accessories = texture.accessories;
+        if(texture.cacheKey && textureCache[texture.cacheKey] == texture) {
+            delete textureCache[texture.cacheKey];
         }
 
-        if(texture.outlineColor) {
-            outlineColor = texture.outlineColor;
+        // Anything still waiting on the load, such as preloadTextures, would otherwise wait forever
+        if(texture.status == "loading") {
+            texture.error = new Error("Texture was disposed before it loaded");
+            texture.rejectReady(texture.error);
         }
 
-        if(accessories) {
-            for(let i = 0; i < accessories.length; i++) {
-                const acc = accessories[i];
+        texture.status = "disposed";
 
-                if(acc.source) {
-                    const src = acc.source;
+        this.loading = true;
 
-                    if(src.width && src.width > texture.width) {
-                        texture.width = src.width;
-                    }
+        this.image = null;
+        this.imageData = null;
 
-                    if(src.height && src.height > texture.height) {
-                        texture.height = src.height;
-                    }
-                } 
-            }
+        removeFromArray(allTextures, texture);
+    }
+}
+
+/**
+ * Class representing the playback of a texture's animation, independent of the texture's own frame.
+ * Pass it to drawSprite or drawTile as options.animation.  By default it advances with the engine clock and
+ * catches up whenever it is drawn, so it only needs to be kept, not updated.
+ * @property {Texture} texture - The texture being animated.
+ * @property {Object} clip - The clip being played, or null to play every frame of the texture in order.
+ * @property {number} position - The position in the clip's frames.
+ * @property {number} frame - The current texture frame.
+ * @property {number} speed - The playback speed multiplier.
+ * @property {boolean} playing - Whether playback is advancing.
+ * @property {boolean} finished - Whether a clip that doesn't loop has reached its end.
+ * @property {boolean} autoUpdate - Whether the state advances with the engine clock.  When false, call update yourself.
+ * @property {function(number, AnimationState): void} onFrame - Called with the new texture frame whenever the frame advances.
+ * @property {function(AnimationState): void} onComplete - Called when a clip that doesn't loop finishes.
+ */
+export class AnimationState {
+    /**
+     * @param {Texture} texture - The texture to animate.
+     * @param {Object} [options] - The options for the animation state.
+     * @param {string} [options.clip] - The name of the clip to play.  Defaults to every frame of the texture.
+     * @param {number} [options.speed=1] - The playback speed multiplier.
+     * @param {boolean} [options.autoUpdate=true] - Whether to advance with the engine clock.
+     * @param {function(number, AnimationState): void} [options.onFrame] - Called whenever the frame advances.
+     * @param {function(AnimationState): void} [options.onComplete] - Called when a clip that doesn't loop finishes.
+     */
+    constructor(texture, options) {
+        if(!options) {
+            options = {};
         }
 
-        renderPPP({
-            source: texture.rawData,
-            colorReplacements: texture.colorReplacements,
-            asCanvas: false,
-            frame: -1,
-            accessories: accessories,
-            outlineColor: outlineColor,
-            callback: function(img) {
+        this.texture = texture;
 
-                let loadsRemaining = texture.frames;
+        this.clip = null;
+        this.position = 0;
+        this.frame = 0;
+        this.direction = 1;
+        this.elapsed = 0;
 
-                const canvas = document.createElement("canvas");
-                const context = canvas.getContext("2d", {
-                    willReadFrequently: true
-                });
-                
-                for(let i = 0; i < texture.frames; i++) {
-                    const sx = texture.width * i;
+        this.speed = options.speed ?? 1;
+        this.playing = true;
+        this.finished = false;
 
-                    canvas.width = texture.width;
-                    canvas.height = texture.height;
+        this.autoUpdate = options.autoUpdate ?? true;
+        this.clock = animationClock;
 
-                    context.drawImage(img, sx, 0, texture.width, texture.height, 0, 0, texture.width, texture.height);
+        this.onFrame = options.onFrame || null;
+        this.onComplete = options.onComplete || null;
 
-                    const imgSrc = canvas.toDataURL();
-                    const imgData = context.getImageData(0, 0, canvas.width, canvas.height);
+        this.play(options.clip || null);
+    }
 
-                    texture.imageData.push(imgData);
+    /**
+     * Starts playing a clip from its first frame.  Playing the clip that is already playing carries on without restarting.
+     * Names the texture doesn't have a clip for are ignored.
+     * @param {string} name - The name of the clip, or null to play every frame of the texture.
+     * @param {Object} [options] - Playback options.
+     * @param {boolean} [options.restart=false] - Restart the clip even if it is already playing.
+     * @param {function(number, AnimationState): void} [options.onFrame] - Replaces the onFrame callback.
+     * @param {function(AnimationState): void} [options.onComplete] - Replaces the onComplete callback.
+     */
+    play(name, options) {
+        const state = this;
 
-                    const outimg = new Image();
-                    outimg.onload = onPPPTxLoadInternal;
-                    outimg.src = imgSrc;
+        if(!options) {
+            options = {};
+        }
 
-                    texture.image.push(outimg);
-                }
+        const clip = name == null ? null : state.texture.clips[name];
 
-                function onPPPTxLoadInternal() {
-                    loadsRemaining--;
+        if(name != null && !clip) {
+            return;
+        }
 
-                    if(loadsRemaining <= 0) {
-                        texture.loading = false;
-                    }
-                }
-            }
-        });
+        if(options.onFrame != undefined) {
+            state.onFrame = options.onFrame;
+        }
 
-        return;
+        if(options.onComplete != undefined) {
+            state.onComplete = options.onComplete;
+        }
+
+        if(clip === state.clip && state.playing && !options.restart) {
+            return;
+        }
+
+        state.clip = clip;
+        state.position = 0;
+        state.direction = 1;
+        state.elapsed = 0;
+        state.playing = true;
+        state.finished = false;
+        state.frame = getClipFrame(state, 0);
     }
 
-    if(texture.src) {
-        fetch(texture.src).then(async function(response) {
-            texture.rawData = await response.json();
-            loadPPPTexture(texture);
-        });
+    /**
+     * Pauses playback on the current frame.
+     */
+    pause() {
+        this.playing = false;
     }
-}
 
-function renderTile(instance, inst, outputData) {
+    /**
+     * Resumes paused playback.  A finished clip stays finished until played again.
+     */
+    resume() {
+        if(!this.finished) {
+            this.playing = true;
+        }
 
-    if(inst.texture.loading) {
-        return;
+        this.clock = animationClock;
     }
 
-    const texture = inst.texture;
+    /**
+     * Advances playback.  Only needed when autoUpdate is false.
+     * @param {number} elapsed - The elapsed time in milliseconds.
+     */
+    update(elapsed) {
+        advanceAnimation(this, elapsed);
+    }
+}
 
-    let frame = texture.curFrame;
+/**
+ * Class representing the camera of an instance or viewport, available as PixelEngineInstance.camera and Viewport.camera.
+ * All positions are the center of the view in tile coordinates.  The camera only updates every frame
+ * while it has a follow target, is moving toward one, or is shaking.
+ * @property {number} x - The current x center of the view.
+ * @property {number} y - The current y center of the view.
+ * @property {{x: number, y: number}} target - The object being followed, read every frame.
+ * @property {number} deadZoneWidth - The width of the dead-zone in tiles.  The target can move this far without moving the camera.
+ * @property {number} deadZoneHeight - The height of the dead-zone in tiles.
+ * @property {string} smoothing - The smoothing mode ("none", "lerp" or "damped").
+ * @property {number} lerpFactor - The fraction of the remaining distance to cover per target frame for "lerp".
+ * @property {number} smoothTime - The approximate time in milliseconds to reach the target for "damped".
+ * @property {Object} bounds - The world bounds in tiles ({ minX, minY, maxX, maxY }), or null.
+ * @property {string} pixelSnap - How the view is snapped to whole pixels ("round", "floor" or "none").
+ */
+export class Camera {
+    constructor(view) {
+        this.view = view;
 
-    if(inst.frame > -1) {
-        frame = inst.frame;
-    }
+        this.x = 0;
+        this.y = 0;
 
-    const frames = texture.imageData;
-    const data = frames[frame];
+        this.vx = 0;
+        this.vy = 0;
 
-    const opacity = inst.opacity;
+        this.target = null;
 
-    const dx = Math.round((inst.x * instance.tileSize) - instance.viewX);
-    const dy = Math.round((inst.y * instance.tileSize) - instance.viewY);
+        this.deadZoneWidth = 0;
+        this.deadZoneHeight = 0;
 
-    if(dx < -instance.tileSize || dy < -instance.tileSize) {
-        return;
-    }
+        this.smoothing = "none";
+        this.lerpFactor = 0.1;
+        this.smoothTime = 200;
 
-    if(dx > instance.tileSize + instance.width || dy > instance.tileSize + instance.height) {
-        return;
+        this.bounds = null;
+
+        this.pixelSnap = "round";
+
+        this.shakeIntensity = 0;
+        this.shakeDuration = 0;
+        this.shakeRemaining = 0;
+        this.shakeX = 0;
+        this.shakeY = 0;
     }
 
-    const inD = data.data;
+    /**
+     * Follows an object every frame.
+     * @param {{x: number, y: number}} target - The object to follow, in tile coordinates.  Pass null to stop following.
+     * @param {Object} [options] - Optional follow settings.
+     * @param {number} [options.deadZoneWidth] - The width of the dead-zone in tiles.
+     * @param {number} [options.deadZoneHeight] - The height of the dead-zone in tiles.
+     * @param {boolean} [options.snap=false] - Whether to jump to the target immediately.
+     */
+    follow(target, options) {
+        const camera = this;
 
-    drawImageData(instance, texture, inD, dx, dy, 1, null, 0, opacity, false, outputData, false, null, inst.distortion, inst.distortionSpeed, inst.distortionScale, inst.reflectivity, inst.shimmer);
-}
+        camera.target = target || null;
 
-function renderSprite(instance, inst, outputData) {
+        if(!options) {
+            options = {};
+        }
 
-    if(inst.texture.loading) {
-        return;
+        if(options.deadZoneWidth != undefined || options.deadZoneHeight != undefined) {
+            camera.setDeadZone(options.deadZoneWidth || 0, options.deadZoneHeight || 0);
+        }
+
+        if(camera.target && options.snap) {
+            camera.jumpTo(camera.target.x, camera.target.y);
+        }
     }
 
-    const texture = inst.texture;
-    const frames = texture.imageData;
-    
+    /**
+     * Sets the dead-zone around the view center in which the follow target can move without moving the camera.
+     * @param {number} width - The width of the dead-zone in tiles.
+     * @param {number} height - The height of the dead-zone in tiles.
+     */
+    setDeadZone(width, height) {
+        this.deadZoneWidth = Math.max(0, width || 0);
+        this.deadZoneHeight = Math.max(0, height || 0);
+    }
 
-    let useFrame = texture.curFrame;
+    /**
+     * Sets how the camera moves toward its follow target.
+     * @param {string} mode - "none" to move instantly, "lerp" to cover a fraction of the distance per frame, or "damped" for a critically damped spring.
+     * @param {number} [amount] - The lerp factor (0-1) for "lerp", or the smooth time in milliseconds for "damped".
+     */
+    setSmoothing(mode, amount) {
+        const camera = this;
 
-    if(texture.type == "ppptoken") {
-        if(inst.useState != null && inst.useFacing != null) {
-            useFrame = getOverridePPPFrame(inst.useState, inst.useFacing);
+        camera.smoothing = mode || "none";
+        camera.vx = 0;
+        camera.vy = 0;
+
+        if(amount == undefined) {
+            return;
         }
-    }
 
-    if(inst.frame != -1) {
-        useFrame = inst.frame;
+        if(camera.smoothing == "lerp") {
+            camera.lerpFactor = Math.min(1, Math.max(0, amount));
+        }
+
+        if(camera.smoothing == "damped") {
+            camera.smoothTime = Math.max(1, amount);
+        }
     }
 
-    let data = frames[useFrame];
+    /**
+     * Limits the camera so the view never shows anything outside of the given world area.
+     * If the area is smaller than the view, the view is centered on it.
+     * @param {number} minX - The left edge in tiles.
+     * @param {number} minY - The top edge in tiles.
+     * @param {number} maxX - The right edge in tiles.
+     * @param {number} maxY - The bottom edge in tiles.
+     */
+    setBounds(minX, minY, maxX, maxY) {
+        this.bounds = {
+            minX: minX,
+            minY: minY,
+            maxX: maxX,
+            maxY: maxY
+        };
 
-    if(!data) {
-        useFrame = 0;
-        data = frames[useFrame];
+        applyCameraView(this.view);
     }
 
-    if(!data) {
-        return;
+    /**
+     * Removes the camera bounds.
+     */
+    clearBounds() {
+        this.bounds = null;
+        applyCameraView(this.view);
     }
 
-    let uvx = instance.viewX;
+    /**
+     * Sets how the view position is snapped to whole pixels.
+     * @param {string} mode - "round" (default), "floor", or "none" to keep sub-pixel view positions.
+     */
+    setPixelSnap(mode) {
+        this.pixelSnap = mode || "round";
+        applyCameraView(this.view);
+    }
 
-    if(inst.useRaw) {
-        uvx = instance.viewXraw;
+    /**
+     * Moves the camera to a position immediately, without smoothing.
+     * @param {number} x - The x tile coordinate.
+     * @param {number} y - The y tile coordinate.
+     */
+    jumpTo(x, y) {
+        const camera = this;
+
+        camera.x = x;
+        camera.y = y;
+        camera.vx = 0;
+        camera.vy = 0;
+
+        applyCameraView(camera.view);
     }
 
-    const dx = Math.round((inst.x * instance.tileSize) - uvx);
-    const dy = instance.roundingOp((inst.y * instance.tileSize) - instance.viewY) - (texture.height - instance.tileSize);
+    /**
+     * Shakes the camera.  The shake fades out linearly over its duration.
+     * @param {number} intensity - The maximum offset in pixels.
+     * @param {number} duration - The duration in milliseconds.
+     */
+    shake(intensity, duration) {
+        const camera = this;
 
-    const inD = data.data;
+        if(!intensity || !duration || intensity <= 0 || duration <= 0) {
+            return;
+        }
+
+        camera.shakeIntensity = intensity;
+        camera.shakeDuration = duration;
+        camera.shakeRemaining = duration;
+    }
 
-    drawImageData(instance, texture, inD, dx, dy, inst.scale, inst.composit, inst.rotation, inst.opacity, inst.mirror, outputData, inst.ignoreLighting, inst.colorFilter, 0, 1, 1, 0, 0);
+    /**
+     * Stops any active shake.
+     */
+    stopShake() {
+        const camera = this;
 
+        camera.shakeRemaining = 0;
+        camera.shakeX = 0;
+        camera.shakeY = 0;
+
+        applyCameraView(camera.view);
+    }
 }
 
-function renderTouchStick(instance, cx, cy, sx, sy) {
-    const scale = instance.renderScale;
-    
-    instance.context.strokeStyle = "#ffffff";
-    instance.context.fillStyle = "rgba(255, 255, 255, 0.4)";
+/**
+ * Class representing a named region of an instance's canvas with its own camera.  Create viewports with PixelEngineInstance.addViewport.
+ * @property {string} name - The name of the viewport.
+ * @property {number} x - The left edge of the viewport on the canvas, in instance pixels.
+ * @property {number} y - The top edge of the viewport on the canvas, in instance pixels.
+ * @property {number} width - The width of the viewport in instance pixels.
+ * @property {number} height - The height of the viewport in instance pixels.
+ * @property {number} zoom - The zoom of the viewport.
+ * @property {Camera} camera - The camera of the viewport.
+ * @property {Object} weightedLighting - The lighting override of the viewport, or null to use the instance lighting.
+ * @property {function} renderFunction - The render function of the viewport.
+ * @property {boolean} visible - Whether the viewport is drawn.
+ */
+export class Viewport {
+    constructor(instance, name, options) {
+        this.instance = instance;
+        this.name = name;
 
-    instance.context.beginPath();
-    instance.context.arc(cx * scale, cy * scale, instance.touchstickRadius * scale, 0, Math.PI * 2);
-    instance.context.stroke();
+        this.x = Math.floor(options.x || 0);
+        this.y = Math.floor(options.y || 0);
+        this.width = Math.floor(options.width || instance.width);
+        this.height = Math.floor(options.height || instance.height);
 
-    instance.context.beginPath();
-    instance.context.arc(sx * scale, sy * scale, Math.ceil(instance.touchstickRadius * 0.3 * scale), 0, Math.PI * 2);
-    instance.context.fill();
-}
+        this.zoom = 1;
 
-function drawImageData(instance, texture, inputData, dx, dy, scale, composit, rotation, opacity, mirror, outputData, ignoreLighting, colorFilter, distortion, distortionSpeed, distortionScale, reflectivity, shimmer) {
+        this.viewX = 0;
+        this.viewY = 0;
 
-    const renderScale = instance.renderScale;
+        this.viewXraw = 0;
+        this.viewYraw = 0;
 
-    // Scale all dimensions and positions by renderScale
-    const drawHeight = Math.round(texture.height * scale * renderScale);
-    const drawWidth = Math.round(texture.width * scale * renderScale);
+        this.lighting = null;
+        this.weightedLighting = null;
 
-    // Original sprite position and center (before rotation expansion)
-    const spriteMinX = Math.round(dx * renderScale);
-    const spriteMinY = Math.round(dy * renderScale);
-    const spriteCenterX = spriteMinX + drawWidth / 2;
-    const spriteCenterY = spriteMinY + drawHeight / 2;
+        this.renderFunction = options.renderFunction || null;
+        this.renderInstructions = [];
 
-    // Rendering bounds (may be expanded for rotation)
-    let minX = spriteMinX;
-    let maxX = spriteMinX + drawWidth;
-    let minY = spriteMinY;
-    let maxY = spriteMinY + drawHeight;
+        this.visible = true;
 
-    if(rotation != 0) {
-        // For rotation, expand bounds to fit the diagonal (worst case: 45° rotation)
-        const diagonal = Math.ceil(Math.sqrt(drawWidth * drawWidth + drawHeight * drawHeight));
-        
-        // Center the square on the sprite's original center
-        minX = Math.floor(spriteCenterX - diagonal / 2);
-        maxX = Math.ceil(spriteCenterX + diagonal / 2);
-        minY = Math.floor(spriteCenterY - diagonal / 2);
-        maxY = Math.ceil(spriteCenterY + diagonal / 2);
+        this.camera = new Camera(this);
+
+        if(options.zoom) {
+            this.setZoom(options.zoom);
+        }
+
+        this.camera.jumpTo(this.width / 2 / instance.tileSize / this.zoom, this.height / 2 / instance.tileSize / this.zoom);
     }
 
-    const scaledWidth = instance.width * renderScale;
-    const scaledHeight = instance.height * renderScale;
+    /**
+     * Moves or resizes the viewport on the canvas.
+     * @param {number} x - The left edge in instance pixels.
+     * @param {number} y - The top edge in instance pixels.
+     * @param {number} width - The width in instance pixels.
+     * @param {number} height - The height in instance pixels.
+     */
+    setRect(x, y, width, height) {
+        const viewport = this;
 
-    if(maxX < 0 || maxY < 0) {
-        return;
+        viewport.x = Math.floor(x);
+        viewport.y = Math.floor(y);
+        viewport.width = Math.floor(width);
+        viewport.height = Math.floor(height);
+
+        applyCameraView(viewport);
     }
 
-    if(minX > scaledWidth || minY > scaledHeight) {
-        return;
+    /**
+     * Zooms the viewport in or out around its view center.
+     * @param {number} zoom - The zoom factor.
+     */
+    setZoom(zoom) {
+        this.zoom = clampZoom(zoom);
+        applyCameraView(this);
     }
 
-    const cx = Math.round(spriteCenterX);
-    const cy = Math.round(spriteCenterY);
+    /**
+     * Centers the viewport on a tile position immediately.
+     * @param {number} x - The x tile coordinate.
+     * @param {number} y - The y tile coordinate.
+     */
+    setViewCenter(x, y) {
+        this.camera.jumpTo(x, y);
+    }
 
-    let rotationMode = 0;
-    let rotCos = 0;
-    let rotSin = 0;
+    /**
+     * Overrides the instance lighting for this viewport.
+     * @param {string} hex - The lighting color.
+     * @param {number} intensity - The lighting intensity (0-1).
+     */
+    setLighting(hex, intensity) {
+        const viewport = this;
 
-    if(rotation != 0) {
-        const rotDegRaw = rotation / PI_ONE_EIGHTY;
-        const rotDeg = Math.round(rotDegRaw);
-        const is90Increment = Math.abs(rotDegRaw - rotDeg) < 0.001 && rotDeg % 90 == 0;
+        const rgb = hexToRGB(hex);
 
-        if(is90Increment) {
-            const quadrant = ((rotDeg % 360) + 360) % 360;
+        viewport.lighting = {
+            r: rgb.r,
+            g: rgb.g,
+            b: rgb.b,
+            i: intensity
+        };
 
-            if(quadrant == 90) {
-                rotationMode = 1;
-            } else if(quadrant == 180) {
-                rotationMode = 2;
-            } else if(quadrant == 270) {
-                rotationMode = 3;
+        const darknessWeight = 1 - intensity;
+
+        viewport.weightedLighting = {
+            r: weighColors(0, rgb.r, darknessWeight, intensity),
+            g: weighColors(0, rgb.g, darknessWeight, intensity),
+            b: weighColors(0, rgb.b, darknessWeight, intensity)
+        };
+    }
+
+    /**
+     * Removes the lighting override so the viewport uses the instance lighting.
+     */
+    clearLighting() {
+        this.lighting = null;
+        this.weightedLighting = null;
+    }
+
+    setRenderFunction(func) {
+        this.renderFunction = func;
+    }
+
+    getViewBounds() {
+        const viewport = this;
+
+        return computeViewBounds(viewport.instance, viewport.viewX, viewport.viewY, viewport.width, viewport.height, viewport.zoom);
+    }
+}
+
+/**
+ * Class representing a retained grid of tiles.  Create layers with PixelEngineInstance.addTileLayer.
+ * Tiles are rendered into cached chunks at the texture's native resolution, and tile pixels beyond
+ * the tile size are clipped to their chunk.
+ * @property {number} width - The width of the layer in tiles.
+ * @property {number} height - The height of the layer in tiles.
+ * @property {number} z - The zIndex of the layer.
+ * @property {number} opacity - The opacity of the layer.
+ * @property {boolean} ignoreLighting - Whether the layer ignores lighting.
+ * @property {boolean} visible - Whether the layer is drawn.
+ */
+export class TileLayer {
+    constructor(options) {
+        this.id = guid();
+
+        this.width = Math.max(1, Math.floor(options.width || 1));
+        this.height = Math.max(1, Math.floor(options.height || 1));
+        this.z = options.z || 0;
+        this.chunkSize = Math.max(1, Math.floor(options.chunkSize || 16));
+
+        this.opacity = options.opacity ?? 1;
+        this.ignoreLighting = options.ignoreLighting || false;
+        this.visible = true;
+
+        const cellCount = this.width * this.height;
+
+        this.textures = new Array(cellCount).fill(null);
+        this.frames = new Int32Array(cellCount).fill(-1);
+        this.flags = new Uint8Array(cellCount);
+
+        this.chunksX = Math.ceil(this.width / this.chunkSize);
+        this.chunksY = Math.ceil(this.height / this.chunkSize);
+
+        this.chunks = [];
+
+        for(let i = 0; i < this.chunksX * this.chunksY; i++) {
+            this.chunks.push(new TileLayerChunk());
+        }
+    }
+
+    /**
+     * Sets a tile of the layer.
+     * @param {number} x - The x tile coordinate.
+     * @param {number} y - The y tile coordinate.
+     * @param {Texture} texture - The texture of the tile, or null to clear it.
+     * @param {number} [frame=-1] - The frame of the texture to use.  -1 follows the texture's animation.
+     * @param {number} [flags=0] - A combination of TILE_FLAGS.
+     */
+    setTile(x, y, texture, frame, flags) {
+        const layer = this;
+
+        if(x < 0 || y < 0 || x >= layer.width || y >= layer.height) {
+            return;
+        }
+
+        const idx = (y * layer.width) + x;
+
+        if(frame == undefined) {
+            frame = -1;
+        }
+
+        if(!flags) {
+            flags = 0;
+        }
+
+        if(layer.textures[idx] == texture && layer.frames[idx] == frame && layer.flags[idx] == flags) {
+            return;
+        }
+
+        layer.textures[idx] = texture || null;
+        layer.frames[idx] = frame;
+        layer.flags[idx] = flags;
+
+        const chunkIdx = (Math.floor(y / layer.chunkSize) * layer.chunksX) + Math.floor(x / layer.chunkSize);
+        layer.chunks[chunkIdx].dirty = true;
+    }
+
+    /**
+     * Gets a tile of the layer.
+     * @param {number} x - The x tile coordinate.
+     * @param {number} y - The y tile coordinate.
+     * @returns {{texture: Texture, frame: number, flags: number}|null} The tile, or null if the cell is empty or out of range.
+     */
+    getTile(x, y) {
+        const layer = this;
+
+        if(x < 0 || y < 0 || x >= layer.width || y >= layer.height) {
+            return null;
+        }
+
+        const idx = (y * layer.width) + x;
+
+        if(!layer.textures[idx]) {
+            return null;
+        }
+
+        return {
+            texture: layer.textures[idx],
+            frame: layer.frames[idx],
+            flags: layer.flags[idx]
+        };
+    }
+
+    /**
+     * Clears a tile of the layer.
+     * @param {number} x - The x tile coordinate.
+     * @param {number} y - The y tile coordinate.
+     */
+    clearTile(x, y) {
+        this.setTile(x, y, null, -1, 0);
+    }
+
+    /**
+     * Clears every tile of the layer.
+     */
+    clear() {
+        const layer = this;
+
+        layer.textures.fill(null);
+        layer.frames.fill(-1);
+        layer.flags.fill(0);
+
+        layer.invalidate();
+    }
+
+    /**
+     * Forces every chunk to be re-rendered the next time it is drawn.
+     */
+    invalidate() {
+        for(let i = 0; i < this.chunks.length; i++) {
+            this.chunks[i].dirty = true;
+        }
+    }
+}
+
+/**
+ * Class representing a grid of terrain types that picks autotile frames from each cell's neighbors.
+ * Register terrains with addTerrain, then set cells with setTerrain.  Changing a cell recomputes it and its
+ * neighbors.  Draw the map with draw from a render function, or pass a TileLayer to keep it in sync.
+ * Neighbors follow the square grid, so terrain maps suit orthogonal and isometric instances.
+ * @property {number} width - The width of the map in tiles.
+ * @property {number} height - The height of the map in tiles.
+ * @property {TileLayer} layer - The tile layer kept in sync with the map, if any.
+ * @property {string} edges - "match" if cells past the map edge count as matching neighbors, "empty" if they don't.
+ */
+export class TerrainMap {
+    /**
+     * @param {Object} options - The options for the map.
+     * @param {number} options.width - The width of the map in tiles.
+     * @param {number} options.height - The height of the map in tiles.
+     * @param {TileLayer} [options.layer] - A tile layer to write the chosen tiles to.
+     * @param {string} [options.edges="match"] - "match" or "empty", see TerrainMap.edges.
+     */
+    constructor(options) {
+        this.width = Math.max(1, Math.floor(options.width || 1));
+        this.height = Math.max(1, Math.floor(options.height || 1));
+        this.layer = options.layer || null;
+        this.edges = options.edges == "empty" ? "empty" : "match";
+
+        const cellCount = this.width * this.height;
+
+        this.cells = new Array(cellCount).fill(null);
+        this.masks = new Uint8Array(cellCount);
+        this.frames = new Int32Array(cellCount).fill(-1);
+
+        this.terrains = {};
+    }
+
+    /**
+     * Registers a terrain type.
+     * In "4bit" mode the mask has a bit for each matching edge neighbor: north 1, east 2, south 4, west 8.
+     * In "8bit" mode the bits run clockwise from north: north 1, north east 2, east 4, south east 8, south 16,
+     * south west 32, west 64, north west 128.  A corner only counts when both edges beside it match, which
+     * leaves the 47 masks of a blob tileset.
+     * @param {string|number} id - The terrain id used with setTerrain.
+     * @param {Object} options - The options for the terrain.
+     * @param {Texture} options.texture - The texture holding the terrain frames.
+     * @param {string} [options.mode="8bit"] - "4bit" or "8bit".
+     * @param {Object|number[]} [options.frames] - Maps masks to texture frames.  By default a 4bit texture has a frame for
+     * every mask in order (16 frames), and an 8bit texture has a frame for each of the 47 blob masks in ascending order.
+     * @param {number} [options.defaultFrame=0] - The frame used for masks missing from options.frames.
+     * @param {Array<string|number>} [options.connectsTo] - Other terrain ids that count as matching neighbors.
+     */
+    addTerrain(id, options) {
+        const map = this;
+        const mode = options.mode == "4bit" ? "4bit" : "8bit";
+
+        const frameMap = new Int32Array(256).fill(-1);
+
+        if(options.frames) {
+            for(const mask in options.frames) {
+                frameMap[mask] = options.frames[mask];
+            }
+        } else if(mode == "4bit") {
+            for(let mask = 0; mask < 16; mask++) {
+                frameMap[mask] = mask;
             }
         } else {
-            rotationMode = 4;
-            rotCos = Math.cos(rotation);
-            rotSin = Math.sin(rotation);
+            const blobMasks = getBlobMasks();
+
+            for(let i = 0; i < blobMasks.length; i++) {
+                frameMap[blobMasks[i]] = i;
+            }
+        }
+
+        map.terrains[id] = {
+            texture: options.texture,
+            mode: mode,
+            frameMap: frameMap,
+            defaultFrame: options.defaultFrame || 0,
+            connectsTo: options.connectsTo || []
+        };
+
+        map.refresh();
+    }
+
+    /**
+     * Sets the terrain of a cell and recomputes the cell and its neighbors.
+     * @param {number} x - The x tile coordinate.
+     * @param {number} y - The y tile coordinate.
+     * @param {string|number} id - The terrain id, or null to clear the cell.
+     */
+    setTerrain(x, y, id) {
+        const map = this;
+
+        if(x < 0 || y < 0 || x >= map.width || y >= map.height) {
+            return;
+        }
+
+        const idx = (y * map.width) + x;
+
+        if(id == undefined) {
+            id = null;
+        }
+
+        if(map.cells[idx] === id) {
+            return;
+        }
+
+        map.cells[idx] = id;
+
+        for(let ny = y - 1; ny <= y + 1; ny++) {
+            for(let nx = x - 1; nx <= x + 1; nx++) {
+                updateTerrainCell(map, nx, ny);
+            }
+        }
+    }
+
+    /**
+     * Gets the terrain of a cell.
+     * @param {number} x - The x tile coordinate.
+     * @param {number} y - The y tile coordinate.
+     * @returns {string|number|null} The terrain id, or null if the cell is empty or out of range.
+     */
+    getTerrain(x, y) {
+        if(x < 0 || y < 0 || x >= this.width || y >= this.height) {
+            return null;
+        }
+
+        return this.cells[(y * this.width) + x];
+    }
+
+    /**
+     * Replaces every cell of the map and recomputes all of them.
+     * @param {Array<string|number|null>} ids - The terrain ids in rows, width * height long.
+     */
+    load(ids) {
+        const map = this;
+
+        for(let i = 0; i < map.cells.length; i++) {
+            map.cells[i] = ids[i] ?? null;
+        }
+
+        map.refresh();
+    }
+
+    /**
+     * Recomputes every cell of the map.
+     */
+    refresh() {
+        for(let y = 0; y < this.height; y++) {
+            for(let x = 0; x < this.width; x++) {
+                updateTerrainCell(this, x, y);
+            }
+        }
+    }
+
+    /**
+     * Gets the tile chosen for a cell.
+     * @param {number} x - The x tile coordinate.
+     * @param {number} y - The y tile coordinate.
+     * @returns {{texture: Texture, frame: number, mask: number}|null} The tile, or null if the cell is empty, out of range or its terrain is not registered.
+     */
+    getTile(x, y) {
+        const map = this;
+        const id = map.getTerrain(x, y);
+
+        if(id == null || !map.terrains[id]) {
+            return null;
+        }
+
+        const idx = (y * map.width) + x;
+
+        return {
+            texture: map.terrains[id].texture,
+            frame: map.frames[idx],
+            mask: map.masks[idx]
+        };
+    }
+
+    /**
+     * Draws the visible cells of the map with drawTile.  Call from a render function.
+     * @param {PixelEngineInstance} instance - The pixel engine instance to draw to.
+     * @param {Object} [options] - Options passed on to drawTile, such as z and opacity.
+     */
+    draw(instance, options) {
+        const map = this;
+
+        if(!options) {
+            options = {};
+        }
+
+        const bounds = instance.getViewBounds();
+
+        const xMin = Math.max(0, bounds.xMin);
+        const yMin = Math.max(0, bounds.yMin);
+        const xMax = Math.min(map.width - 1, bounds.xMax);
+        const yMax = Math.min(map.height - 1, bounds.yMax);
+
+        for(let y = yMin; y <= yMax; y++) {
+            for(let x = xMin; x <= xMax; x++) {
+                const idx = (y * map.width) + x;
+                const id = map.cells[idx];
+
+                if(id == null || !map.terrains[id]) {
+                    continue;
+                }
+
+                instance.drawTile(Object.assign({}, options, {
+                    x: x,
+                    y: y,
+                    texture: map.terrains[id].texture,
+                    frame: map.frames[idx]
+                }));
+            }
+        }
+    }
+}
+
+/**
+ * Class representing a map loaded from the Tiled map editor with loadTiledMap.
+ * Object positions and sizes are in tiles.  Tile objects keep Tiled's bottom-left anchor.
+ * @property {number} width - The width of the map in tiles.
+ * @property {number} height - The height of the map in tiles.
+ * @property {number} tileWidth - The width of a map tile in pixels.
+ * @property {number} tileHeight - The height of a map tile in pixels.
+ * @property {string} orientation - The Tiled orientation of the map, e.g. "orthogonal" or "isometric".
+ * @property {Object} properties - The custom properties of the map.
+ * @property {Object[]} tilesets - The tilesets, each with its name, firstGid, texture, properties and tiles by local id.
+ * @property {Object[]} layers - Every layer in drawing order, with group layers flattened.  Each has name, type, z,
+ * visible, opacity, offsetX, offsetY and properties, plus tileLayer for tile layers, objects for object layers and
+ * image for image layers.
+ */
+export class TiledMap {
+    /**
+     * @param {Object} json - The Tiled map JSON.  Use loadTiledMap to load a map with its tilesets and layers.
+     */
+    constructor(json) {
+        this.width = json.width || 0;
+        this.height = json.height || 0;
+        this.tileWidth = json.tilewidth || DEF_TILE_SIZE;
+        this.tileHeight = json.tileheight || DEF_TILE_SIZE;
+        this.orientation = json.orientation || "orthogonal";
+        this.properties = getTiledProperties(json.properties);
+
+        this.tilesets = [];
+        this.layers = [];
+    }
+
+    /**
+     * Adds the map's tile layers to an instance, so they are drawn every frame.
+     * @param {PixelEngineInstance} instance - The pixel engine instance.
+     */
+    addToInstance(instance) {
+        for(let i = 0; i < this.layers.length; i++) {
+            const layer = this.layers[i];
+
+            if(layer.tileLayer && instance.tileLayers.indexOf(layer.tileLayer) == -1) {
+                instance.tileLayers.push(layer.tileLayer);
+            }
+        }
+    }
+
+    /**
+     * Removes the map's tile layers from an instance.
+     * @param {PixelEngineInstance} instance - The pixel engine instance.
+     */
+    removeFromInstance(instance) {
+        for(let i = 0; i < this.layers.length; i++) {
+            if(this.layers[i].tileLayer) {
+                instance.removeTileLayer(this.layers[i].tileLayer);
+            }
+        }
+    }
+
+    /**
+     * Gets a layer by name.  Layers inside groups are named "group/layer".
+     * @param {string} name - The name of the layer.
+     * @returns {Object|null} The layer, or null if there is none with that name.
+     */
+    getLayer(name) {
+        for(let i = 0; i < this.layers.length; i++) {
+            if(this.layers[i].name == name) {
+                return this.layers[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets the objects of one object layer, or of every object layer.
+     * @param {string} [layerName] - The name of the object layer.  Omit for all objects.
+     * @returns {Object[]} The objects.
+     */
+    getObjects(layerName) {
+        let objects = [];
+
+        for(let i = 0; i < this.layers.length; i++) {
+            const layer = this.layers[i];
+
+            if(layer.objects && (layerName == undefined || layer.name == layerName)) {
+                objects = objects.concat(layer.objects);
+            }
+        }
+
+        return objects;
+    }
+
+    /**
+     * Gets the custom properties of the tile at a position of a tile layer, e.g. for collision.
+     * @param {string} layerName - The name of the tile layer.
+     * @param {number} x - The x tile coordinate.
+     * @param {number} y - The y tile coordinate.
+     * @returns {Object|null} The properties, or null if the cell is empty, out of range or its tile has none.
+     */
+    getTileProperties(layerName, x, y) {
+        const layer = this.getLayer(layerName);
+
+        if(!layer || !layer.gids || x < 0 || y < 0 || x >= layer.tileLayer.width || y >= layer.tileLayer.height) {
+            return null;
+        }
+
+        const tile = getTiledTile(this, layer.gids[(y * layer.tileLayer.width) + x]);
+
+        return tile && tile.info ? tile.info.properties : null;
+    }
+}
+
+/**
+ * Class representing a scrolling background layer.  Create layers with PixelEngineInstance.addParallaxLayer.
+ * @property {Texture} texture - The texture to draw.
+ * @property {number} frame - The frame of the texture to use, or -1 to follow the texture's animation.
+ * @property {ImageData} imageData - The image to draw when there is no texture.
+ * @property {number} scrollX - How far the layer moves with the view horizontally.
+ * @property {number} scrollY - How far the layer moves with the view vertically.
+ * @property {number} offsetX - The horizontal offset of the layer in pixels.
+ * @property {number} offsetY - The vertical offset of the layer in pixels.
+ * @property {number} velocityX - Horizontal auto-scroll speed in pixels per second.
+ * @property {number} velocityY - Vertical auto-scroll speed in pixels per second.
+ * @property {string} repeat - "repeat", "repeat-x", "repeat-y" or "none".
+ * @property {number} opacity - The opacity of the layer.
+ * @property {boolean} ignoreLighting - Whether the layer ignores lighting.
+ * @property {boolean} visible - Whether the layer is drawn.
+ */
+export class ParallaxLayer {
+    constructor(options) {
+        this.id = guid();
+
+        this.texture = options.texture || null;
+        this.frame = options.frame ?? -1;
+        this.imageData = null;
+
+        this.scrollX = options.scrollX || 0;
+        this.scrollY = options.scrollY || 0;
+
+        this.offsetX = options.offsetX || 0;
+        this.offsetY = options.offsetY || 0;
+
+        this.velocityX = options.velocityX || 0;
+        this.velocityY = options.velocityY || 0;
+
+        this.autoScrollX = 0;
+        this.autoScrollY = 0;
+
+        this.repeat = options.repeat || "repeat";
+        this.opacity = options.opacity ?? 1;
+        this.ignoreLighting = options.ignoreLighting || false;
+        this.visible = true;
+
+        if(options.image) {
+            this.setImage(options.image);
+        }
+    }
+
+    /**
+     * Sets an image to draw instead of a texture.  Images that have not finished loading are used once they load.
+     * @param {ImageData|HTMLImageElement|ImageBitmap|HTMLCanvasElement} image - The image.
+     */
+    setImage(image) {
+        const layer = this;
+
+        layer.texture = null;
+        layer.imageData = null;
+
+        if(!image) {
+            return;
+        }
+
+        if(image.data) {
+            layer.imageData = image;
+            return;
+        }
+
+        if(image.complete === false && image.addEventListener) {
+            image.addEventListener("load", function() {
+                layer.imageData = imageToImageData(image);
+            }, { once: true });
+
+            return;
         }
+
+        layer.imageData = imageToImageData(image);
+    }
+}
+
+/**
+ * Class representing a cached chunk of a tile layer.
+ * @property {ImageData} buffer - The rendered chunk at native resolution.
+ * @property {boolean} dirty - Whether the chunk needs to be re-rendered.
+ * @property {boolean} empty - Whether the chunk has nothing to draw.
+ * @property {Texture[]} watchTextures - Textures whose animation frame or loading state the chunk depends on.
+ * @property {number[]} watchFrames - The frame of each watched texture when the chunk was rendered (-1 while loading).
+ */
+class TileLayerChunk {
+    constructor() {
+        this.buffer = null;
+        this.dirty = true;
+        this.empty = true;
+        this.watchTextures = [];
+        this.watchFrames = [];
     }
+}
+
+/**
+ * Class representing a draw instruction.
+ * @property {string} type - The type of the draw instruction (e.g., "tile", "sprite", "light", "particle").
+ * @property {number} x - The x-coordinate of the draw instruction.
+ * @property {number} y - The y-coordinate of the draw instruction.
+ * @property {number} z - The zIndex of the draw instruction.
+ * @property {Texture} texture - The texture associated with the draw instruction.
+ * @property {number} frame - The frame index of the texture to use.
+ * @property {number} scale - The scale factor for the draw instruction.
+ * @property {number} opacity - The opacity of the draw instruction.
+ * @property {string} useState - The state of the sprite (e.g., "standing", "walking", "dead", "using", "attacking").  For particles, this is the color.
+ * @property {string} useFacing - The facing direction of the sprite (e.g., "e", "w").
+ * @property {boolean} useRaw - Whether to use raw coordinates for the draw instruction.
+ * @property {boolean} mirror - Whether to mirror the sprite.
+ * @property {number} rotation - The rotation angle of the sprite in radians.
+ * @property {string} composit - The operation to use for compositing.
+ * @property {boolean} ignoreLighting - Whether to ignore lighting effects.
+ * @property {object} colorFilter - The color filter to apply to the sprite.
+ * @property {number} distortion - The amount of wave distortion to apply (0-1, for water refraction effects).
+ * @property {number} distortionSpeed - The speed multiplier for distortion animation.
+ * @property {number} distortionScale - The scale/size of the distortion wave pattern.
+ * @property {number} reflectivity - How much sun reflection/specular highlight to show (0-1).
+ * @property {number} shimmer - Animated sparkle intensity for reflections (0-1, 0=smooth reflection, 1=strong shimmer).
+ * @property {number} lightX - The x position of a light in view pixels, for the view currently being rendered.
+ * @property {number} lightY - The y position of a light in view pixels, for the view currently being rendered.
+ * @property {number} lightRadius - The radius of a light in view pixels, for the view currently being rendered.
+ * @property {number} lightScaleSq - The squared radius of a light in view pixels.
+ * @property {TileLayer|ParallaxLayer} layer - The layer to draw, for "tilelayer" and "parallax" instructions.
+ * @property {Map<number, number>} palette - The compiled palette remap of a tile or sprite, from getPaletteLookup.
+ */
+class DrawInstruction {
+    constructor() {
+        this.type = null;
+        this.x = 0;
+        this.y = 0;
+        this.z = 0;
+        this.texture = null;
+        this.frame = -1;
+        this.scale = 1;
+        this.opacity = 1;
+        this.useState = null;
+        this.useFacing = null;
+        this.useRaw = false;
+        this.mirror = false;
+        this.rotation = 0;
+        this.composit = null;
+        this.ignoreLighting = false;
+        this.colorFilter = null;
+        this.distortion = 0;
+        this.distortionSpeed = 1;
+        this.distortionScale = 1;
+        this.reflectivity = 0;
+        this.shimmer = 0;
+        this.lightScaleSq = 0;
+        this.lightX = 0;
+        this.lightY = 0;
+        this.lightRadius = 0;
+        this.layer = null;
+        this.palette = null;
+        this.sortKey = null;
+        this.sortY = 0;
+        this.order = 0;
+    }
+}
+
+/**
+ * Class representing a particle instruction, a retained instruction between rendering frames
+ * that tracks the life of a particle.
+ * @property {number} x - The x-coordinate of the particle.
+ * @property {number} y - The y-coordinate of the particle.
+ * @property {number} z - The z-coordinate of the particle.
+ * @property {number} px - The x-coordinate of the particle at the previous simulation step.
+ * @property {number} py - The y-coordinate of the particle at the previous simulation step.
+ * @property {number} zI - The z-index of the particle.
+ * @property {string} color - The color of the particle.
+ * @property {number} colorVariance - The variance in color for the particle.
+ * @property {number} size - The size of the particle (in pixels)
+ * @property {number} vx - The x velocity of the particle.
+ * @property {number} vy - The y velocity of the particle.
+ * @property {number} vz - The z velocity of the particle.
+ * @property {number} gz - The gravity effect on the particle.
+ * @property {number} tv - The terminal velocity of the particle.
+ * @property {string} composit - The compositing operation for the particle.
+ * @property {number} life - The remaining life of the particle.
+ * @property {boolean} cashed - Whether the particle has completed its life and can be recycled.
+ * @property {number} opacity - The opacity of the particle.
+ * @property {boolean} stayOnGround - If the particle should stop moving when it hits the simulated ground.
+ * @property {number} lifeOnGround - The remaining life of the particle when it is on the ground.
+ * @property {number} glowRadius - The radius of the glow effect for the particle.  Will draw a light effect.
+ * @property {number} glowBrightness - The brightness of the glow effect for the particle.
+ * @property {number} fadeSpeed - The speed at which the particle fades out.
+ * @property {boolean} trails - Whether the particle should leave a trail.
+ * @property {boolean} ignoreLighting - Whether the particle should ignore lighting effects.
+ * @property {boolean} useRaw - Whether to use raw coordinates for the particle.
+ * @property {boolean} useGlobalAngle - Whether to use a global angle for the particle.
+ * @property {boolean} loopsBack - Whether the particle should loop back to the other side of the screen if it leaves the view bounds
+ * @property {boolean} splatOnImpact - Whether the particle should splat on impact with the ground.
+ */
+class ParticleInstruction {
+    constructor() {
+        this.x = 0;
+        this.y = 0;
+        this.z = 0;
+
+        this.px = 0;
+        this.py = 0;
+
+        this.zI = 0;
+
+        this.color = "#ff0000";
+        this.colorVariance = 0;
+        this.size = 1;
+
+        this.vx = 0;
+        this.vy = 0;
+        this.vz = 0;
+        
+        this.gz = 0.01;
+        this.tv = 0.04;
+
+        this.composit = null;
+
+        this.life = -1;
+        this.cashed = false;
+
+        this.opacity = 1;
+
+        this.stayOnGround = false;
+        this.lifeOnGround = -1;
+
+        this.glowRadius = 0;
+        this.glowBrightness = 0;
+
+        this.fadeSpeed = 0;
+
+        this.trails = false;
+        this.ignoreLighting = false;
+        this.useRaw = false;
+        this.useGlobalAngle = false;
+        this.loopsBack = false;
+        this.splatOnImpact = false;
+    }
+}
+
+/**
+ * Advance the camera of a view toward its follow target and update any active shake.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {PixelEngineInstance|Viewport} view - The instance or viewport that owns the camera.
+ * @param {number} elapsed - The elapsed time in milliseconds since the last frame.
+ */
+function updateCamera(instance, view, elapsed) {
+    const camera = view.camera;
+
+    if(!camera.target && camera.shakeRemaining <= 0 && camera.shakeX == 0 && camera.shakeY == 0) {
+        return;
+    }
+
+    if(isNaN(elapsed) || elapsed < 0) {
+        elapsed = TARGET_DELTA;
+    }
+
+    if(camera.target) {
+        let desiredX = camera.x;
+        let desiredY = camera.y;
+
+        const halfDeadX = camera.deadZoneWidth / 2;
+        const halfDeadY = camera.deadZoneHeight / 2;
+
+        const offX = camera.target.x - camera.x;
+        const offY = camera.target.y - camera.y;
+
+        if(offX > halfDeadX) {
+            desiredX = camera.target.x - halfDeadX;
+        } else if(offX < -halfDeadX) {
+            desiredX = camera.target.x + halfDeadX;
+        }
+
+        if(offY > halfDeadY) {
+            desiredY = camera.target.y - halfDeadY;
+        } else if(offY < -halfDeadY) {
+            desiredY = camera.target.y + halfDeadY;
+        }
+
+        if(camera.smoothing == "lerp") {
+            const t = 1 - Math.pow(1 - camera.lerpFactor, elapsed / TARGET_DELTA);
+
+            camera.x += (desiredX - camera.x) * t;
+            camera.y += (desiredY - camera.y) * t;
+        } else if(camera.smoothing == "damped") {
+            // Critically damped spring, as in the common "SmoothDamp" approximation
+            const omega = 2000 / camera.smoothTime;
+            const dt = elapsed / 1000;
+            const ox = omega * dt;
+            const exp = 1 / (1 + ox + (0.48 * ox * ox) + (0.235 * ox * ox * ox));
+
+            const changeX = camera.x - desiredX;
+            const tempX = (camera.vx + (omega * changeX)) * dt;
+
+            camera.vx = (camera.vx - (omega * tempX)) * exp;
+            camera.x = desiredX + ((changeX + tempX) * exp);
+
+            const changeY = camera.y - desiredY;
+            const tempY = (camera.vy + (omega * changeY)) * dt;
+
+            camera.vy = (camera.vy - (omega * tempY)) * exp;
+            camera.y = desiredY + ((changeY + tempY) * exp);
+        } else {
+            camera.x = desiredX;
+            camera.y = desiredY;
+        }
+    }
+
+    camera.shakeX = 0;
+    camera.shakeY = 0;
+
+    if(camera.shakeRemaining > 0) {
+        camera.shakeRemaining -= elapsed;
+
+        if(camera.shakeRemaining > 0) {
+            const amount = camera.shakeIntensity * (camera.shakeRemaining / camera.shakeDuration);
+
+            camera.shakeX = ((instance.random() * 2) - 1) * amount;
+            camera.shakeY = ((instance.random() * 2) - 1) * amount;
+        }
+    }
+
+    applyCameraView(view);
+}
+
+const projectedPoint = {
+    x: 0,
+    y: 0
+};
+
+const unprojectedPoint = {
+    x: 0,
+    y: 0
+};
+
+/**
+ * Set the projection of an instance, falling back to the defaults for unknown values.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {string} projection - "orthogonal", "isometric" or "hex".
+ * @param {Object} [options] - The hex options, see PixelEngineInstance.setProjection.
+ */
+function setInstanceProjection(instance, projection, options) {
+    if(!options) {
+        options = {};
+    }
+
+    if(projection == "isometric" || projection == "hex") {
+        instance.projection = projection;
+    } else {
+        instance.projection = "orthogonal";
+    }
+
+    instance.hexOrientation = options.orientation == "flat" ? "flat" : "pointy";
+    instance.hexCoordinates = options.coordinates == "axial" ? "axial" : "offset";
+    instance.hexOffset = options.offset == "even" ? "even" : "odd";
+}
+
+/**
+ * Convert a tile position to world pixels with the instance's projection.  Isometric tile positions map to the
+ * top corner of their diamond, hex positions to the center of their hex.  The returned point is reused by the next call.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {number} x - The x tile coordinate.
+ * @param {number} y - The y tile coordinate.
+ * @returns {{x: number, y: number}} The world pixel position.
+ */
+function projectTile(instance, x, y) {
+    const tileSize = instance.tileSize;
+
+    if(instance.projection == "isometric") {
+        projectedPoint.x = (x - y) * tileSize / 2;
+        projectedPoint.y = (x + y) * tileSize / 4;
+    } else if(instance.projection == "hex") {
+        const shift = instance.hexOffset == "odd" ? 0.5 : -0.5;
+        const offset = instance.hexCoordinates == "offset";
+
+        if(instance.hexOrientation == "pointy") {
+            const rowShift = offset ? shift * (Math.floor(y) & 1) : y / 2;
+
+            projectedPoint.x = ((x + rowShift) * tileSize) + (tileSize / 2);
+            projectedPoint.y = (y * tileSize * 0.75) + (tileSize / 2);
+        } else {
+            const columnShift = offset ? shift * (Math.floor(x) & 1) : x / 2;
+
+            projectedPoint.x = (x * tileSize * 0.75) + (tileSize / 2);
+            projectedPoint.y = ((y + columnShift) * tileSize) + (tileSize / 2);
+        }
+    } else {
+        projectedPoint.x = x * tileSize;
+        projectedPoint.y = y * tileSize;
+    }
+
+    return projectedPoint;
+}
+
+/**
+ * Convert a world pixel position to a tile position with the instance's projection, the exact inverse of projectTile.
+ * The returned point is reused by the next call.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {number} x - The x world pixel position.
+ * @param {number} y - The y world pixel position.
+ * @returns {{x: number, y: number}} The tile position.
+ */
+function unprojectPoint(instance, x, y) {
+    const tileSize = instance.tileSize;
+
+    if(instance.projection == "isometric") {
+        unprojectedPoint.x = (x / tileSize) + (2 * y / tileSize);
+        unprojectedPoint.y = (2 * y / tileSize) - (x / tileSize);
+    } else if(instance.projection == "hex") {
+        const shift = instance.hexOffset == "odd" ? 0.5 : -0.5;
+        const offset = instance.hexCoordinates == "offset";
+
+        if(instance.hexOrientation == "pointy") {
+            const row = (y - (tileSize / 2)) / (tileSize * 0.75);
+
+            unprojectedPoint.x = ((x - (tileSize / 2)) / tileSize) - (offset ? shift * (Math.floor(row) & 1) : row / 2);
+            unprojectedPoint.y = row;
+        } else {
+            const column = (x - (tileSize / 2)) / (tileSize * 0.75);
+
+            unprojectedPoint.x = column;
+            unprojectedPoint.y = ((y - (tileSize / 2)) / tileSize) - (offset ? shift * (Math.floor(column) & 1) : column / 2);
+        }
+    } else {
+        unprojectedPoint.x = x / tileSize;
+        unprojectedPoint.y = y / tileSize;
+    }
+
+    return unprojectedPoint;
+}
+
+/**
+ * Find the tile under a world pixel position.  Orthogonal and isometric maps return the fractional tile position,
+ * hex maps return the hex containing the point.  The returned point is reused by the next call.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {number} x - The x world pixel position.
+ * @param {number} y - The y world pixel position.
+ * @returns {{x: number, y: number}} The tile position.
+ */
+function pickTile(instance, x, y) {
+    if(instance.projection != "hex") {
+        return unprojectPoint(instance, x, y);
+    }
+
+    const tileSize = instance.tileSize;
+    const pointy = instance.hexOrientation == "pointy";
+
+    // Fractional axial coordinates, then cube rounding to the nearest hex.  The hexes are squashed regular hexes,
+    // and the squash doesn't change which hex a point rounds to.
+    let q;
+    let r;
+
+    if(pointy) {
+        r = (y - (tileSize / 2)) / (tileSize * 0.75);
+        q = ((x - (tileSize / 2)) / tileSize) - (r / 2);
+    } else {
+        q = (x - (tileSize / 2)) / (tileSize * 0.75);
+        r = ((y - (tileSize / 2)) / tileSize) - (q / 2);
+    }
+
+    const s = -q - r;
+
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    const rs = Math.round(s);
+
+    const dq = Math.abs(rq - q);
+    const dr = Math.abs(rr - r);
+    const ds = Math.abs(rs - s);
+
+    if(dq > dr && dq > ds) {
+        rq = -rr - rs;
+    } else if(dr > ds) {
+        rr = -rq - rs;
+    }
+
+    if(instance.hexCoordinates == "axial") {
+        unprojectedPoint.x = rq;
+        unprojectedPoint.y = rr;
+
+        return unprojectedPoint;
+    }
+
+    const odd = instance.hexOffset == "odd";
+
+    if(pointy) {
+        unprojectedPoint.x = rq + ((odd ? rr - (rr & 1) : rr + (rr & 1)) / 2);
+        unprojectedPoint.y = rr;
+    } else {
+        unprojectedPoint.x = rq;
+        unprojectedPoint.y = rr + ((odd ? rq - (rq & 1) : rq + (rq & 1)) / 2);
+    }
+
+    return unprojectedPoint;
+}
+
+/**
+ * Get the world pixel position of the top left corner of a tile texture.  Orthogonal tiles hang down from the top
+ * of their tile, isometric and hex tiles sit on the bottom of their diamond or hex.  The returned point is reused by the next call.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {number} x - The x tile coordinate.
+ * @param {number} y - The y tile coordinate.
+ * @param {Texture} texture - The tile texture.
+ * @returns {{x: number, y: number}} The world pixel position.
+ */
+function getTileOrigin(instance, x, y, texture) {
+    const tileSize = instance.tileSize;
+
+    if(instance.projection == "isometric") {
+        const point = projectTile(instance, x, y);
+
+        point.x -= tileSize / 2;
+        point.y += (tileSize / 2) - texture.height;
+
+        return point;
+    }
+
+    if(instance.projection == "hex") {
+        const point = projectTile(instance, x, y);
+
+        point.x -= texture.width / 2;
+        point.y += (tileSize / 2) - texture.height;
+
+        return point;
+    }
+
+    return projectTile(instance, x, y);
+}
+
+/**
+ * Get the world pixel position sprites and particles stand on: the bottom left corner of their tile, the left corner
+ * of an isometric diamond or the bottom left of a hex's bounding box.  The returned point is reused by the next call.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {number} x - The x tile coordinate.
+ * @param {number} y - The y tile coordinate.
+ * @returns {{x: number, y: number}} The world pixel position.
+ */
+function getCellAnchor(instance, x, y) {
+    if(instance.projection == "hex") {
+        const tileSize = instance.tileSize;
+        const point = projectTile(instance, x, y);
+
+        point.x -= tileSize / 2;
+        point.y += tileSize / 2;
+
+        return point;
+    }
+
+    return projectTile(instance, x, y + 1);
+}
+
+/**
+ * Work out the range of tiles covered by a view.
+ * @param {PixelEngineInstance} instance - The pixel engine instance, for its tile size and projection.
+ * @param {number} viewX - The left of the view in world pixels.
+ * @param {number} viewY - The top of the view in world pixels.
+ * @param {number} width - The width of the view in output pixels.
+ * @param {number} height - The height of the view in output pixels.
+ * @param {number} zoom - The zoom of the view.
+ * @returns {{w: number, h: number, xMin: number, yMin: number, xMax: number, yMax: number, cx: number, cy: number}} The view bounds in tiles.
+ */
+function computeViewBounds(instance, viewX, viewY, width, height, zoom) {
+    // Size of the view in world pixels
+    const worldWidth = width / zoom;
+    const worldHeight = height / zoom;
+
+    let xMin = Infinity;
+    let yMin = Infinity;
+    let xMax = -Infinity;
+    let yMax = -Infinity;
+
+    // Isometric views cover a rotated range of tiles, so every corner is checked
+    for(let i = 0; i < 4; i++) {
+        const corner = unprojectPoint(instance, viewX + ((i & 1) ? worldWidth : 0), viewY + ((i & 2) ? worldHeight : 0));
+
+        xMin = Math.min(xMin, corner.x);
+        yMin = Math.min(yMin, corner.y);
+        xMax = Math.max(xMax, corner.x);
+        yMax = Math.max(yMax, corner.y);
+    }
+
+    // Hexes reach half a tile past their center, and staggered rows or columns shift by half a tile
+    const margin = instance.projection == "hex" ? 1 : 0;
+
+    const center = pickTile(instance, viewX + (worldWidth / 2), viewY + (worldHeight / 2));
+
+    return {
+        w: width,
+        h: height,
+        xMin: Math.floor(xMin) - margin,
+        yMin: Math.floor(yMin) - margin,
+        xMax: Math.ceil(xMax) + margin,
+        yMax: Math.ceil(yMax) + margin,
+        cx: Math.floor(center.x),
+        cy: Math.floor(center.y)
+    };
+}
+
+/**
+ * Update the view position of an instance or viewport from its camera, applying bounds, shake and pixel snapping.
+ * @param {PixelEngineInstance|Viewport} view - The instance or viewport that owns the camera.
+ */
+function applyCameraView(view) {
+    if(!view || view.deInit) {
+        return;
+    }
+
+    const camera = view.camera;
+
+    // Viewports share the tile size and projection of their instance
+    const owner = view.instance || view;
+    const tileSize = owner.tileSize;
+
+    const worldWidth = view.width / view.zoom;
+    const worldHeight = view.height / view.zoom;
+
+    let cx = camera.x;
+    let cy = camera.y;
+
+    if(camera.bounds) {
+        // The view edges don't line up with the tile axes in other projections, so only the center is kept in bounds
+        const orthogonal = owner.projection == "orthogonal";
+
+        cx = clampCameraAxis(cx, camera.bounds.minX, camera.bounds.maxX, orthogonal ? worldWidth / tileSize : 0);
+        cy = clampCameraAxis(cy, camera.bounds.minY, camera.bounds.maxY, orthogonal ? worldHeight / tileSize : 0);
+
+        camera.x = cx;
+        camera.y = cy;
+    }
+
+    const center = projectTile(owner, cx, cy);
+
+    // Shake is measured in output pixels, so it feels the same at every zoom level
+    view.viewXraw = center.x - (worldWidth / 2) + (camera.shakeX / view.zoom);
+    view.viewYraw = center.y - (worldHeight / 2) + (camera.shakeY / view.zoom);
+
+    if(camera.pixelSnap == "floor") {
+        view.viewX = Math.floor(view.viewXraw);
+        view.viewY = Math.floor(view.viewYraw);
+    } else if(camera.pixelSnap == "none") {
+        view.viewX = view.viewXraw;
+        view.viewY = view.viewYraw;
+    } else {
+        view.viewX = Math.round(view.viewXraw);
+        view.viewY = Math.round(view.viewYraw);
+    }
+}
+
+/**
+ * Clamp a zoom factor to the supported range.
+ * @param {number} zoom - The requested zoom factor.
+ * @returns {number} The clamped zoom factor.
+ */
+function clampZoom(zoom) {
+    if(!zoom || zoom < 0.1) {
+        return 0.1;
+    }
+
+    if(zoom > 16) {
+        return 16;
+    }
+
+    return zoom;
+}
+
+/**
+ * Clamp a camera center on one axis so the view stays inside the bounds.
+ * @param {number} center - The view center in tiles.
+ * @param {number} min - The lower bound in tiles.
+ * @param {number} max - The upper bound in tiles.
+ * @param {number} viewSize - The size of the view in tiles.
+ * @returns {number} The clamped center.
+ */
+function clampCameraAxis(center, min, max, viewSize) {
+    const half = viewSize / 2;
+
+    if(max - min <= viewSize) {
+        return (min + max) / 2;
+    }
+
+    if(center - half < min) {
+        return min + half;
+    }
+
+    if(center + half > max) {
+        return max - half;
+    }
+
+    return center;
+}
+
+function resizeInstance(instance) {
+
+    if(instance.deInit) {
+        return;
+    }
+
+    if(instance.headless) {
+        if(instance.fixedBuffer) {
+            instance.width = Math.floor(instance.outputData.width / instance.renderScale);
+            instance.height = Math.floor(instance.outputData.height / instance.renderScale);
+        } else {
+            instance.width = instance.setupWidth;
+            instance.height = instance.setupHeight;
+
+            instance.outputData = getInstanceOutputData(instance, instance.width * instance.renderScale, instance.height * instance.renderScale);
+        }
+    } else if(instance.fixedCanvas) {
+        instance.width = instance.canvas.width;
+        instance.height = instance.canvas.height;
+    } else {
+        const holder = instance.holder;
+    
+        const aWidth = holder.offsetWidth;
+        const aHeight = holder.offsetHeight;
+
+        if(instance.apparentTileSize && instance.apparentTileSize > 0) {
+            const apparentTilesPerViewportX = aWidth / instance.apparentTileSize;
+            const neededWidth = instance.tileSize * apparentTilesPerViewportX;
+
+            instance.width = Math.floor(neededWidth);
+
+            const scale = instance.width / aWidth;
+            const useHeight = Math.floor(aHeight * scale);
+
+            instance.height = useHeight;
+        } else {
+            instance.width = instance.setupWidth;
+        }
+
+        const scale = instance.width / aWidth;
+        const useHeight = Math.floor(aHeight * scale);
+
+        instance.height = useHeight;
+
+        // Apply render scale to actual canvas dimensions
+        instance.canvas.width = instance.width * instance.renderScale;
+        instance.canvas.height = instance.height * instance.renderScale;
+    }
+
+    if(isOdd(instance.height)) {
+        instance.roundingOp = Math.floor;
+    } else {
+        instance.roundingOp = Math.round;
+    }
+
+    applyCameraView(instance);
+
+    if(instance.headless) {
+        return;
+    }
+
+    instance.canvas.style.imageRendering = "pixelated";
+    instance.context.imageSmoothingEnabled = false;
+}
+
+/**
+ * Read the pixels of an image, bitmap or canvas into an ImageData.  Needs a DOM canvas or OffscreenCanvas.
+ * @param {HTMLImageElement|ImageBitmap|HTMLCanvasElement} image - The image to read.
+ * @returns {ImageData} The image pixels, or null if there is no canvas to read them with.
+ */
+function imageToImageData(image) {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+
+    if(!width || !height) {
+        return null;
+    }
+
+    let canvas;
+
+    if(typeof OffscreenCanvas != "undefined") {
+        canvas = new OffscreenCanvas(width, height);
+    } else if(typeof document != "undefined") {
+        canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+    } else {
+        return null;
+    }
+
+    const context = canvas.getContext("2d", {
+        willReadFrequently: true
+    });
+
+    context.drawImage(image, 0, 0);
+
+    return context.getImageData(0, 0, width, height);
+}
+
+/**
+ * Creates an ImageData-like RGBA buffer.  Falls back to a plain object when ImageData is not available (e.g. in Node).
+ * @param {number} width - The width of the buffer.
+ * @param {number} height - The height of the buffer.
+ * @returns {ImageData} The new buffer.
+ */
+function createImageBuffer(width, height) {
+    if(typeof ImageData != "undefined") {
+        return new ImageData(width, height);
+    }
+
+    return {
+        width: width,
+        height: height,
+        data: new Uint8ClampedArray(width * height * 4)
+    };
+}
+
+/**
+ * Get the output buffer to draw the next frame into.  The instance reuses its own buffer, which still holds the last
+ * frame for the "preserve" clear mode, and only reallocates when the size changes.  The canvas is never read back, so the
+ * touchstick and stats overlays drawn over it don't end up in the next frame.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {number} scaledWidth - The width of the output buffer in pixels.
+ * @param {number} scaledHeight - The height of the output buffer in pixels.
+ * @returns {ImageData} The output buffer.
+ */
+function getInstanceOutputData(instance, scaledWidth, scaledHeight) {
+    if(!instance.headless) {
+        // Only resize the backing canvas when dimensions actually change.
+        if(instance.canvas.width != scaledWidth || instance.canvas.height != scaledHeight) {
+            instance.canvas.width = scaledWidth;
+            instance.canvas.height = scaledHeight;
+        }
+    }
+
+    const existing = instance.outputData;
+
+    if(instance.fixedBuffer || (existing && existing.width == scaledWidth && existing.height == scaledHeight)) {
+        return existing;
+    }
+
+    return createImageBuffer(scaledWidth, scaledHeight);
+}
+
+function globalRender(t) {
+    rafHandle = null;
+
+    if(!loopRunning) {
+        return;
+    }
+
+    if(lastRAF == null) {
+        lastRAF = t - TARGET_DELTA;
+    }
+
+    let elapsed = t - lastRAF;
+    lastRAF = t;
+
+    advanceFrame(elapsed);
+
+    if(loopRunning) {
+        rafHandle = requestAnimationFrame(globalRender);
+    }
+}
+
+/**
+ * Advance the engine by a single frame: render every active instance and advance texture animation.
+ * @param {number} elapsed - The elapsed time in milliseconds since the previous frame.
+ */
+function advanceFrame(elapsed) {
+    let delta = elapsed / TARGET_DELTA;
+    let fps = 1000 / elapsed;
+
+    if(isNaN(delta)) {
+        delta = 1;
+    }
+
+    for(let instanceId in engineInstances) {
+        const instance = engineInstances[instanceId];
+
+        if(instance.deInit || instance.paused) {
+            continue;
+        }
+
+        renderInstance(instance, elapsed, delta, fps);
+    }
+
+    animationClock += elapsed;
+
+    for(let i = 0; i < allTextures.length; i++) {
+        advanceTextureTiming(allTextures[i], elapsed);
+    }
+
+    textureCycleCounter += delta;
+
+    if(textureCycleCounter >= TEXTURE_CYCLE_MAX) {
+        // Keep the remainder so animation speed doesn't depend on the display refresh rate
+        textureCycleCounter -= TEXTURE_CYCLE_MAX;
+
+        if(textureCycleCounter >= TEXTURE_CYCLE_MAX) {
+            textureCycleCounter = 0;
+        }
+
+        overrideOffTurn = !overrideOffTurn;
+
+        for(let i = 0; i < allTextures.length; i++) {
+            const texture = allTextures[i];
+
+            // Textures with their own timing are advanced by advanceTextureTiming
+            if(texture.playback || texture.frameDuration != null) {
+                continue;
+            }
+
+            cycleTexture(texture);
+        }
+    }
+}
+
+// eslint-disable-next-line no-unused-vars
+function onPointerDown(instance, object, id, x, y, type, pressure, which, px, py) {
+
+    if(type == "touch" && instance.touchstickFunction) {
+        const canCoord = getCanvasCoordinate(instance, x, y);
+
+        if(canCoord.x < instance.width / 2) {
+            instance.touchstickLeftX = canCoord.x;
+            instance.touchstickLeftY = canCoord.y;
+            instance.touchstickLeftId = id;
+            instance.touchstickLeftMX = canCoord.x;
+            instance.touchstickLeftMY = canCoord.y;
+
+            reportLeftTouchMove(instance);
+        } else {
+            instance.touchstickRightX = canCoord.x;
+            instance.touchstickRightY = canCoord.y;
+            instance.touchstickRightId = id;
+            instance.touchstickRightMX = canCoord.x;
+            instance.touchstickRightMY = canCoord.y;
+
+            reportRightTouchMove(instance);
+        }
+
+        return;
+    }
+
+    
+
+    if(instance.clickFunction) {
+
+        const dat = pointerLocationToTile(instance, x, y);
+
+        dat.which = which;
+        dat.type = type;
+
+        instance.clickFunction(dat);
+    }
+}
+
+// eslint-disable-next-line no-unused-vars
+function onPointerMove(instance, object, id, x, y, type, pressure, which, px, py) {
+    if(type == "touch" && instance.touchstickLeftId && instance.touchstickLeftId == id) {
+        const canCoord = getCanvasCoordinate(instance, x, y);
+        instance.touchstickLeftMX = canCoord.x;
+        instance.touchstickLeftMY = canCoord.y;
+
+        reportLeftTouchMove(instance);
+
+        return;
+    }
+
+    if(type == "touch" && instance.touchstickRightId && instance.touchstickRightId == id) {
+        const canCoord = getCanvasCoordinate(instance, x, y);
+        instance.touchstickRightMX = canCoord.x;
+        instance.touchstickRightMY = canCoord.y;
+
+        reportRightTouchMove(instance);
+
+        return;
+    }
+
+    if((type == "mouse" || type == "pen") && instance.hoverFunction) {
+        instance.hoverFunction(pointerLocationToTile(instance, x, y));
+    }
+}
+
+// eslint-disable-next-line no-unused-vars
+function onPointerUp(instance, object, id, type, which, evt) {
+    if(type == "touch" && instance.touchstickLeftId && instance.touchstickLeftId == id) {
+        instance.touchstickLeftX = -1;
+        instance.touchstickLeftY = -1;
+        instance.touchstickLeftId = null;
+        instance.touchstickLeftMX = -1;
+        instance.touchstickLeftMY = -1;
+
+        instance.touchstickFunction("left", 0, 0);
+    }
+
+    if(type == "touch" && instance.touchstickRightId && instance.touchstickRightId == id) {
+        instance.touchstickRightX = -1;
+        instance.touchstickRightY = -1;
+        instance.touchstickRightId = null;
+        instance.touchstickRightMX = -1;
+        instance.touchstickRightMY = -1;
+
+        instance.touchstickFunction("right", 0, 0);
+    }
+}
+
+/**
+ * Advance the seeded generator of an instance (mulberry32).
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @returns {number} A number from 0 (inclusive) to 1 (exclusive).
+ */
+function nextRandom(instance) {
+    instance.randomState = (instance.randomState + 0x6D2B79F5) >>> 0;
+
+    let t = instance.randomState;
+
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Hash a string seed to a 32 bit number (FNV-1a).
+ * @param {string} str - The seed string.
+ * @returns {number} The hashed seed.
+ */
+function hashSeedString(str) {
+    let hash = 0x811C9DC5;
+
+    for(let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+function weighColors(c1, c2, w1, w2) {
+    const raw = ((w1 * c1) + (w2 * c2)) / (w1 + w2);
+
+    if(raw > 255) {
+        return 255;
+    }
+
+    return raw;
+}
+
+function initTexture(texture) {
+    if(!texture) {
+        return;
+    }
+
+    if(!texture.rawData && !texture.src) {
+        failTextureLoad(texture, new Error("Texture has no data or src"));
+        return;
+    }
+
+    if(texture.type == "ppp" || texture.type == "ppptoken") {
+        loadPPPTexture(texture);
+    } else if(texture.type == "imagedata") {
+        loadImageDataTexture(texture);
+    } else if(texture.type == "image" || texture.type == "spritesheet") {
+        loadImageTexture(texture);
+    } else {
+        failTextureLoad(texture, new Error("Unknown texture type: " + texture.type));
+    }
+}
+
+/**
+ * Get the key that identical texture loads share, or null if the texture can't be shared: it has no src,
+ * carries its own data, is a token with per-character state, or asked to be unique.
+ * @param {Object} options - The options passed to loadTexture.
+ * @returns {string|null} The cache key.
+ */
+function getTextureCacheKey(options) {
+    if(!options || typeof options.src != "string" || options.data || options.unique || options.type == "ppptoken") {
+        return null;
+    }
+
+    return JSON.stringify(options);
+}
+
+/**
+ * Give a texture a new pending ready promise.
+ * @param {Texture} texture - The texture.
+ */
+function createReadyPromise(texture) {
+    texture.ready = new Promise(function(resolve, reject) {
+        texture.resolveReady = resolve;
+        texture.rejectReady = reject;
+    });
+
+    // Only callers waiting on ready should see a failed load, not the unhandled rejection handler
+    texture.ready.catch(function() {});
+}
+
+/**
+ * Mark a texture as loaded and resolve its ready promise.
+ * @param {Texture} texture - The texture.
+ */
+function finishTextureLoad(texture) {
+    if(texture.status == "disposed") {
+        return;
+    }
+
+    texture.loading = false;
+    texture.status = "loaded";
+    texture.error = null;
+
+    texture.resolveReady(texture);
+}
+
+/**
+ * Handle a texture that failed to load: retry it if it has retries left, otherwise mark it as failed and reject its ready promise.
+ * The texture stays in the loading state, so it is never drawn.
+ * @param {Texture} texture - The texture.
+ * @param {Error} error - Why the load failed.
+ */
+function failTextureLoad(texture, error) {
+    if(texture.status == "disposed") {
+        return;
+    }
+
+    texture.attempts++;
+
+    if(texture.attempts <= texture.retries) {
+        setTimeout(function() {
+            if(texture.status == "loading") {
+                initTexture(texture);
+            }
+        }, texture.retryDelay);
+
+        return;
+    }
+
+    texture.status = "error";
+    texture.error = error;
+
+    texture.rejectReady(error);
+}
+
+/**
+ * Check that a fetch succeeded.
+ * @param {Response} response - The fetch response.
+ * @param {string} url - The URL that was fetched, for the error message.
+ * @returns {Response} The response.
+ */
+function checkResponse(response, url) {
+    if(!response.ok) {
+        throw new Error("Failed to load " + url + " (" + response.status + ")");
+    }
+
+    return response;
+}
+
+/**
+ * Load an image or sprite sheet texture from its data or src, and its atlas if that is a URL, then slice it into frames.
+ * @param {Texture} texture - The texture to load.
+ */
+function loadImageTexture(texture) {
+    if(typeof texture.atlas == "string") {
+        fetch(texture.atlas).then(async function(response) {
+            texture.atlas = await checkResponse(response, texture.atlas).json();
+            loadImageTexture(texture);
+        }).catch(function(error) {
+            failTextureLoad(texture, error);
+        });
+
+        return;
+    }
+
+    if(texture.rawData && texture.rawData.complete === false && texture.rawData.addEventListener) {
+        texture.rawData.addEventListener("load", function() {
+            loadImageTexture(texture);
+        }, { once: true });
+
+        return;
+    }
+
+    if(texture.rawData) {
+        sliceImageTexture(texture, texture.rawData.data ? texture.rawData : imageToImageData(texture.rawData));
+        return;
+    }
+
+    if(typeof createImageBitmap != "undefined" && typeof fetch != "undefined") {
+        fetch(texture.src).then(async function(response) {
+            texture.rawData = await createImageBitmap(await checkResponse(response, texture.src).blob());
+            loadImageTexture(texture);
+        }).catch(function(error) {
+            failTextureLoad(texture, error);
+        });
+
+        return;
+    }
+
+    if(typeof Image == "undefined") {
+        failTextureLoad(texture, new Error("Images can't be loaded from a src here"));
+        return;
+    }
+
+    const img = new Image();
+
+    img.onload = function() {
+        texture.rawData = img;
+        loadImageTexture(texture);
+    };
+
+    img.onerror = function() {
+        failTextureLoad(texture, new Error("Failed to load " + texture.src));
+    };
+
+    img.src = texture.src;
+}
+
+/**
+ * Slice the pixels of an image texture into frames by its atlas or grid, or use the whole image as one frame.
+ * @param {Texture} texture - The texture to fill.
+ * @param {ImageData} source - The pixels of the whole image.
+ */
+function sliceImageTexture(texture, source) {
+    if(!source) {
+        failTextureLoad(texture, new Error("Could not read the image pixels"));
+        return;
+    }
+
+    texture.imageData = [];
+    texture.frameNames = [];
+
+    if(texture.atlas) {
+        sliceAtlasFrames(texture, source);
+    } else if(texture.frameWidth > 0) {
+        const frameWidth = texture.frameWidth;
+        const frameHeight = texture.frameHeight;
+        const step = texture.spacing;
+        const margin = texture.margin;
+
+        const columns = Math.floor((source.width - (margin * 2) + step) / (frameWidth + step));
+        const rows = Math.floor((source.height - (margin * 2) + step) / (frameHeight + step));
+
+        for(let row = 0; row < rows; row++) {
+            for(let column = 0; column < columns; column++) {
+                const sx = margin + (column * (frameWidth + step));
+                const sy = margin + (row * (frameHeight + step));
+
+                texture.imageData.push(copyImageRegion(source, sx, sy, frameWidth, frameHeight, 0, 0, frameWidth, frameHeight, false));
+            }
+        }
+    } else {
+        texture.imageData.push(copyImageRegion(source, 0, 0, source.width, source.height, 0, 0, source.width, source.height, false));
+    }
+
+    if(texture.imageData.length == 0) {
+        failTextureLoad(texture, new Error("The image has no frames"));
+        return;
+    }
+
+    texture.width = 0;
+    texture.height = 0;
+
+    for(let i = 0; i < texture.imageData.length; i++) {
+        texture.width = Math.max(texture.width, texture.imageData[i].width);
+        texture.height = Math.max(texture.height, texture.imageData[i].height);
+    }
+
+    texture.frames = texture.imageData.length;
+
+    finishTextureLoad(texture);
+}
+
+/**
+ * Slice the frames listed in a TexturePacker or Aseprite JSON atlas, in either its hash or array form.
+ * Aseprite frame durations and tags are applied as the texture's frameDuration and clips when it has none.
+ * @param {Texture} texture - The texture to fill.
+ * @param {ImageData} source - The pixels of the whole sheet.
+ */
+function sliceAtlasFrames(texture, source) {
+    const atlas = texture.atlas;
+
+    let entries = atlas.frames || [];
+
+    if(!Array.isArray(entries)) {
+        entries = Object.keys(entries).map(function(name) {
+            return Object.assign({ filename: name }, atlas.frames[name]);
+        });
+    }
+
+    const durations = [];
+
+    for(let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const rect = entry.frame;
+
+        const sourceSize = entry.sourceSize || { w: rect.w, h: rect.h };
+        const offset = entry.spriteSourceSize || { x: 0, y: 0 };
+
+        texture.imageData.push(copyImageRegion(source, rect.x, rect.y, rect.w, rect.h, offset.x, offset.y, sourceSize.w, sourceSize.h, !!entry.rotated));
+        texture.frameNames.push(entry.filename ?? String(i));
+
+        if(entry.duration != undefined) {
+            durations.push(entry.duration);
+        }
+    }
+
+    if(texture.frameDuration == null && durations.length == entries.length && durations.length > 0) {
+        texture.frameDuration = durations;
+    }
+
+    const tags = atlas.meta && atlas.meta.frameTags ? atlas.meta.frameTags : [];
+
+    for(let i = 0; i < tags.length; i++) {
+        const tag = tags[i];
+
+        if(texture.clips[tag.name]) {
+            continue;
+        }
+
+        const frames = [];
+
+        for(let frame = tag.from; frame <= tag.to; frame++) {
+            frames.push(frame);
+        }
+
+        if(tag.direction == "reverse" || tag.direction == "pingpong_reverse") {
+            frames.reverse();
+        }
+
+        texture.addClip({
+            name: tag.name,
+            frames: frames,
+            pingpong: tag.direction == "pingpong" || tag.direction == "pingpong_reverse"
+        });
+    }
+
+    // The clip asked for when the texture was created may only exist now
+    if(texture.defaultClip && !texture.playback) {
+        texture.play(texture.defaultClip);
+    }
+}
+
+/**
+ * Copy a rectangle of an image into a new transparent frame buffer, optionally at an offset for trimmed atlas frames.
+ * @param {ImageData} source - The image to copy from.
+ * @param {number} sx - The x position of the rectangle in the source.
+ * @param {number} sy - The y position of the rectangle in the source.
+ * @param {number} width - The width of the copied pixels, before any rotation.
+ * @param {number} height - The height of the copied pixels, before any rotation.
+ * @param {number} dx - The x position to copy to in the frame.
+ * @param {number} dy - The y position to copy to in the frame.
+ * @param {number} frameWidth - The width of the new frame.
+ * @param {number} frameHeight - The height of the new frame.
+ * @param {boolean} rotated - Whether the rectangle is stored rotated 90 degrees clockwise, as TexturePacker does.
+ * @returns {ImageData} The new frame.
+ */
+function copyImageRegion(source, sx, sy, width, height, dx, dy, frameWidth, frameHeight, rotated) {
+    const frame = createImageBuffer(frameWidth, frameHeight);
+    const src = source.data;
+    const dst = frame.data;
+
+    for(let y = 0; y < height; y++) {
+        const ty = dy + y;
+
+        if(ty < 0 || ty >= frameHeight) {
+            continue;
+        }
+
+        for(let x = 0; x < width; x++) {
+            const tx = dx + x;
+
+            if(tx < 0 || tx >= frameWidth) {
+                continue;
+            }
+
+            let px = sx + x;
+            let py = sy + y;
+
+            if(rotated) {
+                px = sx + (height - 1 - y);
+                py = sy + x;
+            }
+
+            if(px < 0 || py < 0 || px >= source.width || py >= source.height) {
+                continue;
+            }
+
+            const si = ((py * source.width) + px) * 4;
+            const di = ((ty * frameWidth) + tx) * 4;
+
+            dst[di] = src[si];
+            dst[di + 1] = src[si + 1];
+            dst[di + 2] = src[si + 2];
+            dst[di + 3] = src[si + 3];
+        }
+    }
+
+    return frame;
+}
+
+/**
+ * Load a texture from one or more ImageData-like frames ({ width, height, data }).
+ * This does not need a DOM, so it also works for headless instances.
+ * @param {Texture} texture - The texture to load.
+ */
+function loadImageDataTexture(texture) {
+    if(texture.rawData instanceof Texture) {
+        shareTextureFrames(texture, texture.rawData);
+        return;
+    }
+
+    let frames = texture.rawData;
+
+    if(!Array.isArray(frames)) {
+        frames = [frames];
+    }
+
+    if(frames.length == 0 || !frames[0] || !frames[0].data) {
+        failTextureLoad(texture, new Error("Texture data has no frames"));
+        return;
+    }
+
+    texture.width = frames[0].width;
+    texture.height = frames[0].height;
+    texture.frames = frames.length;
+
+    for(let i = 0; i < frames.length; i++) {
+        texture.imageData.push(frames[i]);
+    }
+
+    finishTextureLoad(texture);
+}
+
+/**
+ * Load a texture with the frames of another texture once that texture has loaded.
+ * @param {Texture} texture - The texture to load.
+ * @param {Texture} source - The texture whose frames are shared.
+ */
+function shareTextureFrames(texture, source) {
+    source.ready.then(function() {
+        texture.width = source.width;
+        texture.height = source.height;
+        texture.frames = source.frames;
+        texture.frameNames = source.frameNames;
+        texture.imageData = source.imageData;
+
+        finishTextureLoad(texture);
+    }).catch(function(error) {
+        failTextureLoad(texture, error);
+    });
+}
+
+/**
+ * Get a new draw operation from the recycling pool or create a new one if none are available.
+ * @returns {DrawInstruction} A new or recycled DrawInstruction object.
+ */
+function getFreshDrawOperation() {
+
+    const op = instructionRecycling.pop();
+
+    if(op) {
+        op.type = null;
+        op.x = 0;
+        op.y = 0;
+        op.z = 0;
+        op.texture = null;
+        op.frame = -1;
+        op.scale = 1;
+        op.opacity = 1;
+        op.useState = null;
+        op.useFacing = null;
+        op.useRaw = false;
+        op.mirror = false;
+        op.rotation = 0;
+        op.composit = null;
+        op.ignoreLighting = false;
+        op.colorFilter = null;
+        op.distortion = 0;
+        op.distortionSpeed = 1;
+        op.distortionScale = 1;
+        op.reflectivity = 0;
+        op.shimmer = 0;
+        op.lightScaleSq = 0;
+        op.lightX = 0;
+        op.lightY = 0;
+        op.lightRadius = 0;
+        op.layer = null;
+        op.palette = null;
+        op.sortKey = null;
+        op.sortY = 0;
+        op.order = 0;
+    } else {
+        return new DrawInstruction();
+    }
+
+    return op;
+}
+
+function renderInstance(instance, elapsed, delta, fps) {
+
+    let alpha = 1;
+
+    const profiler = instance.profiler;
+    const frameStart = profiler ? getTime() : 0;
+
+    advanceTransition(instance, elapsed);
+
+    if(instance.fixedStepMs > 0) {
+        alpha = runFixedSteps(instance, elapsed);
+    } else {
+        simulateInstance(instance, delta, elapsed);
+    }
+
+    if(instance.renderFunction) {
+        const mark = profiler ? getTime() : 0;
+
+        instance.renderFunction(fps, delta, elapsed, alpha);
+
+        if(profiler) {
+            profileSection(profiler, "renderFunction", mark);
+        }
+    }
+
+    // Draws are converted to the view when rendered, so following after the render function tracks targets it moved this frame
+    updateCamera(instance, instance, elapsed);
+
+    drawProgramParticles(instance, alpha);
+    queueParallaxLayers(instance);
+    queueTileLayers(instance);
+
+    const scaledWidth = instance.width * instance.renderScale;
+    const scaledHeight = instance.height * instance.renderScale;
+
+    instance.hasWeightedLighting = instance.weightedLighting.r != 255 || instance.weightedLighting.g != 255 || instance.weightedLighting.b != 255;
+
+    let mark = profiler ? getTime() : 0;
+
+    sortRenderInstructions(instance, instance.renderInstructions);
+
+    if(profiler) {
+        profileSection(profiler, "sort", mark);
+    }
+
+    const outputData = getInstanceOutputData(instance, scaledWidth, scaledHeight);
+    instance.outputData = outputData;
+
+    clearOutputData(instance, outputData);
+
+    // Put back the previous frame from before its post passes, so preserved pixels aren't filtered,
+    // transitioned or quantized again and the effects don't compound
+    const underlay = instance.frameUnderlay;
+
+    if(underlay && instance.clearMode == "preserve" && underlay.length == outputData.data.length) {
+        outputData.data.set(underlay);
+    }
+
+    instance.outputStride = scaledWidth;
+    instance.outputOffsetX = 0;
+    instance.outputOffsetY = 0;
+
+    if(instance.viewports.length == 0) {
+        renderInstructionList(instance, instance.renderInstructions, outputData);
+    } else {
+        for(let i = 0; i < instance.viewports.length; i++) {
+            renderViewport(instance, instance.viewports[i], outputData, fps, delta, elapsed, alpha);
+        }
+    }
+
+    // Keep the frame as it is before the post passes for the next frame to start from
+    if(instance.clearMode == "preserve" && (instance.filters.length > 0 || instance.activeTransition || instance.quantization)) {
+        if(!underlay || underlay.length != outputData.data.length) {
+            instance.frameUnderlay = new Uint8ClampedArray(outputData.data.length);
+        }
+
+        instance.frameUnderlay.set(outputData.data);
+    } else {
+        instance.frameUnderlay = null;
+    }
+
+    applyFilters(instance, outputData);
+    applyTransition(instance, outputData);
+    applyQuantization(instance, outputData);
+    recordFrame(instance, elapsed);
+
+    if(instance.context) {
+        mark = profiler ? getTime() : 0;
+
+        instance.context.putImageData(outputData, 0, 0);
+
+        if(profiler) {
+            profileSection(profiler, "putImageData", mark);
+        }
+    }
+
+    recycleRenderInstructions(instance.renderInstructions);
+
+    if(profiler) {
+        finishProfilerFrame(instance, profiler, getTime() - frameStart);
+    }
+
+    if(instance.touchstickFunction && instance.context) {
+        if(instance.touchstickLeftX > -1 && instance.touchstickLeftY > -1) {
+            renderTouchStick(instance, instance.touchstickLeftX, instance.touchstickLeftY, instance.touchstickLeftMX, instance.touchstickLeftMY);
+        }
+
+        if(instance.touchstickRightX > -1 && instance.touchstickRightY > -1) {
+            renderTouchStick(instance, instance.touchstickRightX, instance.touchstickRightY, instance.touchstickRightMX, instance.touchstickRightMY);
+        }
+    }
+
+    if(profiler && profiler.overlay && instance.context) {
+        renderStatsOverlay(instance, profiler);
+    }
+}
+
+/**
+ * Get a high resolution timestamp for profiling.
+ * @returns {number} The time in milliseconds.
+ */
+function getTime() {
+    if(typeof performance != "undefined") {
+        return performance.now();
+    }
+
+    return Date.now();
+}
+
+/**
+ * Create empty profiler timings and counters for a frame.
+ * @returns {Object} The profiler frame.
+ */
+function createProfilerFrame() {
+    return {
+        frameTime: 0,
+        renderFunction: 0,
+        update: 0,
+        particleUpdate: 0,
+        sort: 0,
+        putImageData: 0,
+        instructionTimes: {},
+        instructionCounts: {},
+        instructions: 0,
+        particles: 0,
+        pixelsWritten: 0,
+        instructionPool: 0,
+        particlePool: 0
+    };
+}
+
+/**
+ * Add the time since a mark to one of the current frame's profiler timings.
+ * @param {Object} profiler - The instance profiler.
+ * @param {string} key - The timing to add to.
+ * @param {number} mark - The time the section started.
+ */
+function profileSection(profiler, key, mark) {
+    profiler.current[key] += getTime() - mark;
+}
+
+/**
+ * Close the profiler frame: store the counts and timings and start a new frame.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {Object} profiler - The instance profiler.
+ * @param {number} frameTime - The time the frame took.
+ */
+function finishProfilerFrame(instance, profiler, frameTime) {
+    const frame = profiler.current;
+
+    frame.frameTime = frameTime;
+    frame.particles = instance.programParticles.length;
+    frame.instructionPool = instructionRecycling.length;
+    frame.particlePool = particleInstructionRecycling.length;
+
+    profiler.history.push(frameTime);
+
+    while(profiler.history.length > profiler.historyLength) {
+        profiler.history.shift();
+    }
+
+    profiler.last = frame;
+    profiler.current = createProfilerFrame();
+}
+
+/**
+ * Draw the profiler's frame time graph and counters over the canvas.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {Object} profiler - The instance profiler.
+ */
+function renderStatsOverlay(instance, profiler) {
+    const last = profiler.last;
+
+    if(!last) {
+        return;
+    }
+
+    const ctx = instance.context;
+    const scale = instance.renderScale;
+
+    const graphHeight = 32 * scale;
+    const width = profiler.historyLength * scale;
+    const height = graphHeight + (30 * scale);
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(0, 0, width, height);
+
+    // Bars are scaled so the full graph height is two target frames
+    for(let i = 0; i < profiler.history.length; i++) {
+        const frameTime = profiler.history[i];
+        const barHeight = Math.min(graphHeight, (frameTime / (TARGET_DELTA * 2)) * graphHeight);
+
+        if(frameTime <= TARGET_DELTA) {
+            ctx.fillStyle = "#00cc44";
+        } else if(frameTime <= TARGET_DELTA * 2) {
+            ctx.fillStyle = "#ffcc00";
+        } else {
+            ctx.fillStyle = "#ff3333";
+        }
+
+        ctx.fillRect(i * scale, graphHeight - barHeight, scale, barHeight);
+    }
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.5)";
+    ctx.fillRect(0, Math.round(graphHeight / 2), width, Math.max(1, Math.floor(scale / 2)));
+
+    ctx.fillStyle = "#ffffff";
+    ctx.font = (8 * scale) + "px monospace";
+    ctx.textBaseline = "top";
+
+    ctx.fillText(last.frameTime.toFixed(2) + "ms  draw " + last.renderFunction.toFixed(2) + "ms", 2 * scale, graphHeight + scale);
+    ctx.fillText(last.instructions + " inst  " + last.particles + " part", 2 * scale, graphHeight + (10 * scale));
+    ctx.fillText(last.pixelsWritten + " px", 2 * scale, graphHeight + (19 * scale));
+}
+
+/**
+ * Copy the instance's last rendered frame.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {boolean} fullResolution - Copy at the render scale instead of 1x.
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The frame.
+ */
+function getOutputFrame(instance, fullResolution) {
+    const outputData = instance.outputData;
+    const scale = fullResolution ? 1 : Math.max(1, Math.floor(instance.renderScale));
+
+    if(scale == 1) {
+        return {
+            width: outputData.width,
+            height: outputData.height,
+            data: outputData.data.slice()
+        };
+    }
+
+    const width = Math.floor(outputData.width / scale);
+    const height = Math.floor(outputData.height / scale);
+    const src = outputData.data;
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    // Take the top left pixel of each scaled block
+    for(let y = 0; y < height; y++) {
+        for(let x = 0; x < width; x++) {
+            const from = (((y * scale) * outputData.width) + (x * scale)) * 4;
+            const to = ((y * width) + x) * 4;
+
+            data[to] = src[from];
+            data[to + 1] = src[from + 1];
+            data[to + 2] = src[from + 2];
+            data[to + 3] = src[from + 3];
+        }
+    }
+
+    return {
+        width: width,
+        height: height,
+        data: data
+    };
+}
+
+/**
+ * Add the finished frame to the instance's recording, if one is running.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {number} elapsed - The elapsed time since the last frame in milliseconds.
+ */
+function recordFrame(instance, elapsed) {
+    const recording = instance.recording;
+
+    if(!recording) {
+        return;
+    }
+
+    const frames = recording.frames;
+    const last = frames.length > 0 ? frames[frames.length - 1] : null;
+
+    if(last) {
+        if(frames.length >= recording.maxFrames) {
+            return;
+        }
+
+        // The previous frame stays on screen until the next one is recorded
+        last.delay += elapsed;
+
+        if(last.delay < recording.interval) {
+            return;
+        }
+    }
+
+    const frame = getOutputFrame(instance, recording.fullResolution);
+
+    if(!last) {
+        recording.width = frame.width;
+        recording.height = frame.height;
+    } else if(frame.width != recording.width || frame.height != recording.height) {
+        return;
+    } else if(bytesEqual(frame.data, last.data)) {
+        return;
+    }
+
+    frames.push({
+        data: frame.data,
+        delay: 0
+    });
+}
+
+/**
+ * Check if two byte arrays hold the same values.
+ * @param {Uint8ClampedArray} a - The first array.
+ * @param {Uint8ClampedArray} b - The second array.
+ * @returns {boolean} True if they match.
+ */
+function bytesEqual(a, b) {
+    if(a.length != b.length) {
+        return false;
+    }
+
+    for(let i = 0; i < a.length; i++) {
+        if(a[i] != b[i]) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Mark a transition's midpoint as reached and notify its listener.
+ * @param {Object} transition - The transition.
+ */
+function reachTransitionMidpoint(transition) {
+    if(transition.midpointReached) {
+        return;
+    }
+
+    transition.midpointReached = true;
+
+    if(transition.onMidpoint) {
+        transition.onMidpoint();
+    }
+}
+
+/**
+ * Advance the instance's screen transition, reaching the midpoint before the frame is drawn
+ * so a scene swapped in onMidpoint is the one drawn this frame.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {number} elapsed - The elapsed time since the last frame in milliseconds.
+ */
+function advanceTransition(instance, elapsed) {
+    const transition = instance.activeTransition;
+
+    if(!transition) {
+        return;
+    }
+
+    transition.time += elapsed;
+
+    if(transition.time >= transition.duration / 2) {
+        reachTransitionMidpoint(transition);
+    }
+}
+
+/**
+ * Apply the instance's screen filters over the finished frame.  Consecutive per-pixel filters share one pass,
+ * and pixels nothing was drawn to in a transparent frame are left alone.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {ImageData} outputData - The finished frame.
+ */
+function applyFilters(instance, outputData) {
+    const filters = instance.filters;
+
+    if(!filters || filters.length == 0) {
+        return;
+    }
+
+    let first = 0;
+
+    while(first < filters.length) {
+        if(filters[first].filter.fullFrame) {
+            filters[first].filter.fn(outputData, filters[first].params, instance);
+            first++;
+            continue;
+        }
+
+        let last = first;
+
+        while(last + 1 < filters.length && !filters[last + 1].filter.fullFrame) {
+            last++;
+        }
+
+        applyPixelFilters(instance, outputData, first, last);
+
+        first = last + 1;
+    }
+}
+
+/**
+ * Run a run of per-pixel filters over every drawn pixel of the frame, clamping after each filter.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {ImageData} outputData - The finished frame.
+ * @param {number} first - The index of the first filter to run.
+ * @param {number} last - The index of the last filter to run.
+ */
+function applyPixelFilters(instance, outputData, first, last) {
+    const filters = instance.filters;
+    const d = outputData.data;
+    const width = outputData.width;
+    const height = outputData.height;
+    const pixel = filterPixel;
+
+    for(let y = 0; y < height; y++) {
+        for(let x = 0; x < width; x++) {
+            const idx = ((y * width) + x) * 4;
+
+            if(d[idx + 3] == 0) {
+                continue;
+            }
+
+            pixel.r = d[idx];
+            pixel.g = d[idx + 1];
+            pixel.b = d[idx + 2];
+
+            for(let i = first; i <= last; i++) {
+                filters[i].filter.fn(pixel, x, y, filters[i].params, instance);
+
+                pixel.r = Math.max(0, Math.min(255, pixel.r));
+                pixel.g = Math.max(0, Math.min(255, pixel.g));
+                pixel.b = Math.max(0, Math.min(255, pixel.b));
+            }
+
+            d[idx] = pixel.r;
+            d[idx + 1] = pixel.g;
+            d[idx + 2] = pixel.b;
+        }
+    }
+}
+
+/**
+ * Move a filter pixel toward a filtered color.
+ * @param {{r: number, g: number, b: number}} pixel - The pixel.
+ * @param {number} r - The filtered red value.
+ * @param {number} g - The filtered green value.
+ * @param {number} b - The filtered blue value.
+ * @param {number} amount - How far to move, 0 keeps the pixel and 1 replaces it.
+ */
+function mixFilterPixel(pixel, r, g, b, amount) {
+    pixel.r += (r - pixel.r) * amount;
+    pixel.g += (g - pixel.g) * amount;
+    pixel.b += (b - pixel.b) * amount;
+}
+
+function filterRed(pixel, x, y, params) {
+    mixFilterPixel(pixel, pixel.r, 0, 0, params.intensity);
+}
+
+function filterCyan(pixel, x, y, params) {
+    mixFilterPixel(pixel, 0, pixel.g, pixel.b, params.intensity);
+}
+
+function filterBlue(pixel, x, y, params) {
+    mixFilterPixel(pixel, 0, 0, pixel.b, params.intensity);
+}
+
+function filterGreen(pixel, x, y, params) {
+    mixFilterPixel(pixel, 0, pixel.g, 0, params.intensity);
+}
+
+function filterCRT(pixel, x, y, params) {
+    if(y % 2 == 0) {
+        const shade = 12 * params.intensity;
+
+        pixel.r -= shade;
+        pixel.g -= shade;
+        pixel.b -= shade;
+    }
+}
+
+function filterLCD(pixel, x, y, params) {
+    let shift = 0;
+
+    if(y % 2 == 0) {
+        shift = -6;
+    } else if(x % 2 == 0) {
+        shift = 10;
+    }
+
+    shift *= params.intensity;
+
+    pixel.r += shift;
+    pixel.g += shift;
+    pixel.b += shift;
+}
+
+function filterGrid(pixel, x, y, params) {
+    let shift = 0;
+
+    if(y % 2 == 0) {
+        shift -= 12;
+    }
+
+    if(x % 2 == 0) {
+        shift += 12;
+    }
+
+    shift *= params.intensity;
+
+    pixel.r += shift;
+    pixel.g += shift;
+    pixel.b += shift;
+}
+
+function filterNoise(pixel, x, y, params, instance) {
+    const rnd = (instance.randomInt(0, 10) - 5) * params.intensity;
+
+    pixel.r += rnd;
+    pixel.g += rnd;
+    pixel.b += rnd;
+}
+
+function filterFilm(pixel, x, y, params, instance) {
+    if(instance.randomInt(0, 6) == 3) {
+        const rnd = instance.randomInt(0, 8) * params.intensity;
+
+        pixel.r += rnd;
+        pixel.g += rnd;
+        pixel.b += rnd;
+    }
+}
+
+function filterMono(pixel, x, y, params) {
+    const tot = Math.round((pixel.r + pixel.g + pixel.b) / 3);
+
+    mixFilterPixel(pixel, tot, tot, tot, params.intensity);
+}
+
+function filterInvert(pixel, x, y, params) {
+    mixFilterPixel(pixel, 255 - pixel.r, 255 - pixel.g, 255 - pixel.b, params.intensity);
+}
+
+function filterSepia(pixel, x, y, params) {
+    const r = Math.min(255, Math.round((pixel.r * 0.393) + (pixel.g * 0.769) + (pixel.b * 0.189)));
+    const g = Math.min(255, Math.round((pixel.r * 0.349) + (pixel.g * 0.686) + (pixel.b * 0.168)));
+    const b = Math.min(255, Math.round((pixel.r * 0.272) + (pixel.g * 0.534) + (pixel.b * 0.131)));
+
+    mixFilterPixel(pixel, r, g, b, params.intensity);
+}
+
+function filterSepiaAlt(pixel, x, y, params) {
+    mixFilterPixel(pixel, Math.min(pixel.r, 119), Math.min(pixel.g, 66), Math.min(pixel.b, 18), params.intensity);
+}
+
+/**
+ * Replace every pixel of the finished frame with its nearest palette color, with the instance's dithering.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {ImageData} outputData - The finished frame.
+ */
+function applyQuantization(instance, outputData) {
+    const quantization = instance.quantization;
+
+    if(!quantization) {
+        return;
+    }
+
+    const d = outputData.data;
+
+    const width = outputData.width;
+    const height = outputData.height;
+    const scale = instance.renderScale;
+    const colors = quantization.colors;
+
+    const bayer = quantization.dither == "bayer";
+    const diffusion = quantization.dither == "diffusion";
+    const spread = quantization.ditherStrength * 64;
+
+    // Error for the current and next row, with a pixel of padding at each end
+    let errors = null;
+    let nextErrors = null;
+
+    if(diffusion) {
+        errors = new Float32Array((width + 2) * 3);
+        nextErrors = new Float32Array((width + 2) * 3);
+    }
+
+    for(let y = 0; y < height; y++) {
+        for(let x = 0; x < width; x++) {
+            const idx = ((y * width) + x) * 4;
+
+            let r = d[idx];
+            let g = d[idx + 1];
+            let b = d[idx + 2];
+
+            if(bayer) {
+                // Dither on the logical pixel grid so the pattern doesn't shrink with renderScale
+                const bx = Math.floor(x / scale) & 3;
+                const by = Math.floor(y / scale) & 3;
+                const offset = (((BAYER_4X4[(by * 4) + bx] + 0.5) / 16) - 0.5) * spread;
+
+                r += offset;
+                g += offset;
+                b += offset;
+            } else if(diffusion) {
+                const e = (x + 1) * 3;
+
+                r += errors[e];
+                g += errors[e + 1];
+                b += errors[e + 2];
+            }
+
+            r = Math.max(0, Math.min(255, Math.round(r)));
+            g = Math.max(0, Math.min(255, Math.round(g)));
+            b = Math.max(0, Math.min(255, Math.round(b)));
+
+            const color = colors[findPaletteColor(quantization, r, g, b)];
+
+            d[idx] = color.r;
+            d[idx + 1] = color.g;
+            d[idx + 2] = color.b;
+
+            if(diffusion) {
+                const errR = r - color.r;
+                const errG = g - color.g;
+                const errB = b - color.b;
+
+                const e = (x + 1) * 3;
+
+                errors[e + 3] += errR * 7 / 16;
+                errors[e + 4] += errG * 7 / 16;
+                errors[e + 5] += errB * 7 / 16;
+
+                nextErrors[e - 3] += errR * 3 / 16;
+                nextErrors[e - 2] += errG * 3 / 16;
+                nextErrors[e - 1] += errB * 3 / 16;
+
+                nextErrors[e] += errR * 5 / 16;
+                nextErrors[e + 1] += errG * 5 / 16;
+                nextErrors[e + 2] += errB * 5 / 16;
+
+                nextErrors[e + 3] += errR / 16;
+                nextErrors[e + 4] += errG / 16;
+                nextErrors[e + 5] += errB / 16;
+            }
+        }
+
+        if(diffusion) {
+            const swap = errors;
+            errors = nextErrors;
+            nextErrors = swap;
+            nextErrors.fill(0);
+        }
+    }
+}
+
+/**
+ * Find the palette color nearest to a color, caching the answer per color.
+ * @param {Object} quantization - The instance's quantization settings.
+ * @param {number} r - The red value.
+ * @param {number} g - The green value.
+ * @param {number} b - The blue value.
+ * @returns {number} The index of the nearest palette color.
+ */
+function findPaletteColor(quantization, r, g, b) {
+    const key = (r << 16) | (g << 8) | b;
+    const cache = quantization.cache;
+
+    let nearest = cache.get(key);
+
+    if(nearest != undefined) {
+        return nearest;
+    }
+
+    nearest = 0;
+
+    let nearestDistance = Infinity;
+
+    if(quantization.match == "perceptual") {
+        const lab = rgbToOklab(r, g, b);
+
+        for(let i = 0; i < quantization.lab.length; i++) {
+            const other = quantization.lab[i];
+            const dl = lab.l - other.l;
+            const da = lab.a - other.a;
+            const db = lab.b - other.b;
+            const distance = (dl * dl) + (da * da) + (db * db);
+
+            if(distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = i;
+            }
+        }
+    } else {
+        for(let i = 0; i < quantization.colors.length; i++) {
+            const other = quantization.colors[i];
+            const dr = r - other.r;
+            const dg = g - other.g;
+            const db = b - other.b;
+            const distance = (dr * dr) + (dg * dg) + (db * db);
+
+            if(distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = i;
+            }
+        }
+    }
+
+    // Dithering can produce many distinct colors, so keep the cache from growing without bound
+    if(cache.size >= 65536) {
+        cache.clear();
+    }
+
+    cache.set(key, nearest);
+
+    return nearest;
+}
+
+/**
+ * Convert an sRGB color to the Oklab color space, where distances follow perceived color differences.
+ * @param {number} r - The red value (0-255).
+ * @param {number} g - The green value (0-255).
+ * @param {number} b - The blue value (0-255).
+ * @returns {{l: number, a: number, b: number}} The Oklab color.
+ */
+function rgbToOklab(r, g, b) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    const l = Math.cbrt((0.4122214708 * lr) + (0.5363325363 * lg) + (0.0514459929 * lb));
+    const m = Math.cbrt((0.2119034982 * lr) + (0.6806995451 * lg) + (0.1073969566 * lb));
+    const s = Math.cbrt((0.0883024619 * lr) + (0.2817188376 * lg) + (0.6299787005 * lb));
+
+    return {
+        l: (0.2104542553 * l) + (0.7936177850 * m) - (0.0040720468 * s),
+        a: (1.9779984951 * l) - (2.4285922050 * m) + (0.4505937099 * s),
+        b: (0.0259040371 * l) + (0.7827717662 * m) - (0.8086757660 * s)
+    };
+}
+
+/**
+ * Convert an sRGB channel value to linear light.
+ * @param {number} value - The channel value (0-255).
+ * @returns {number} The linear value (0-1).
+ */
+function srgbToLinear(value) {
+    const c = value / 255;
+
+    if(c <= 0.04045) {
+        return c / 12.92;
+    }
+
+    return Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Apply the instance's screen transition over the finished frame.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {ImageData} outputData - The finished frame.
+ */
+function applyTransition(instance, outputData) {
+    const transition = instance.activeTransition;
+
+    if(!transition) {
+        return;
+    }
+
+    const d = outputData.data;
+
+    const progress = Math.min(1, transition.time / transition.duration);
+
+    const snapshot = transition.snapshot;
+
+    // How much of the screen is covered: the snapshot uncovers over the whole duration,
+    // a color covers up to the midpoint and uncovers after it
+    let cover;
+    let leading = true;
+
+    if(snapshot) {
+        cover = 1 - progress;
+        leading = false;
+    } else if(progress < 0.5) {
+        cover = progress * 2;
+    } else {
+        cover = (1 - progress) * 2;
+        leading = false;
+    }
+
+    // After a resize the outgoing frame no longer fits, so the rest of the transition shows the new frame as it is
+    if(cover > 0 && (!snapshot || snapshot.length == d.length)) {
+        drawTransitionPass(instance, transition, outputData, snapshot, cover, leading);
+    }
+
+    if(progress >= 1 && instance.activeTransition == transition) {
+        instance.activeTransition = null;
+
+        if(transition.onComplete) {
+            transition.onComplete();
+        }
+    }
+}
+
+/**
+ * Draw one frame of a screen transition over the output.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {Object} transition - The transition.
+ * @param {ImageData} outputData - The frame to draw over.
+ * @param {Uint8ClampedArray} snapshot - The outgoing frame, or null to cover with the transition color.
+ * @param {number} cover - How much of the screen is covered (0-1).
+ * @param {boolean} leading - True while the covered area grows from the starting edge, false while it leaves from the opposite edge.
+ */
+function drawTransitionPass(instance, transition, outputData, snapshot, cover, leading) {
+    const d = outputData.data;
+    const width = outputData.width;
+    const height = outputData.height;
+    const scale = instance.renderScale;
+    const color = transition.color;
+
+    const type = transition.type;
+
+    if(type == "mosaic") {
+        pixelateOutput(d, width, height, Math.max(1, Math.round(cover * transition.blockSize)) * scale);
+    }
+
+    if(type == "fade" || type == "mosaic") {
+        for(let i = 0; i < d.length; i += 4) {
+            const r = snapshot ? snapshot[i] : color.r;
+            const g = snapshot ? snapshot[i + 1] : color.g;
+            const b = snapshot ? snapshot[i + 2] : color.b;
+            const a = snapshot ? snapshot[i + 3] : 255;
+
+            d[i] += (r - d[i]) * cover;
+            d[i + 1] += (g - d[i + 1]) * cover;
+            d[i + 2] += (b - d[i + 2]) * cover;
+            d[i + 3] += (a - d[i + 3]) * cover;
+        }
+
+        return;
+    }
+
+    const horizontal = transition.direction != "top" && transition.direction != "bottom";
+    const reversed = transition.direction == "right" || transition.direction == "bottom";
+    const span = horizontal ? width : height;
+
+    // Covered range along the wipe axis, measured from the starting edge
+    const wipeStart = leading ? 0 : Math.round((1 - cover) * span);
+    const wipeEnd = leading ? Math.round(cover * span) : span;
+
+    const centerX = transition.centerX != undefined ? transition.centerX * scale : width / 2;
+    const centerY = transition.centerY != undefined ? transition.centerY * scale : height / 2;
+
+    const farX = Math.max(centerX, width - centerX);
+    const farY = Math.max(centerY, height - centerY);
+    const irisRadius = (1 - cover) * Math.sqrt((farX * farX) + (farY * farY));
+    const irisRadiusSq = irisRadius * irisRadius;
+
+    for(let y = 0; y < height; y++) {
+        for(let x = 0; x < width; x++) {
+            let covered = false;
+
+            if(type == "wipe") {
+                let pos = horizontal ? x : y;
+
+                if(reversed) {
+                    pos = span - 1 - pos;
+                }
+
+                covered = pos >= wipeStart && pos < wipeEnd;
+            } else if(type == "iris") {
+                const dx = x + 0.5 - centerX;
+                const dy = y + 0.5 - centerY;
+
+                covered = (dx * dx) + (dy * dy) > irisRadiusSq;
+            } else if(type == "dissolve") {
+                covered = hashPixel(Math.floor(x / scale), Math.floor(y / scale)) < cover;
+            }
+
+            if(!covered) {
+                continue;
+            }
+
+            const idx = ((y * width) + x) * 4;
+
+            if(snapshot) {
+                d[idx] = snapshot[idx];
+                d[idx + 1] = snapshot[idx + 1];
+                d[idx + 2] = snapshot[idx + 2];
+                d[idx + 3] = snapshot[idx + 3];
+            } else {
+                d[idx] = color.r;
+                d[idx + 1] = color.g;
+                d[idx + 2] = color.b;
+                d[idx + 3] = 255;
+            }
+        }
+    }
+}
+
+/**
+ * Pixelate a buffer in place by filling each block with its top left pixel.
+ * @param {Uint8ClampedArray} d - The pixel data.
+ * @param {number} width - The buffer width.
+ * @param {number} height - The buffer height.
+ * @param {number} blockSize - The block size in buffer pixels.
+ */
+function pixelateOutput(d, width, height, blockSize) {
+    if(blockSize <= 1) {
+        return;
+    }
+
+    for(let by = 0; by < height; by += blockSize) {
+        for(let bx = 0; bx < width; bx += blockSize) {
+            const src = ((by * width) + bx) * 4;
+
+            const r = d[src];
+            const g = d[src + 1];
+            const b = d[src + 2];
+            const a = d[src + 3];
+
+            const maxY = Math.min(height, by + blockSize);
+            const maxX = Math.min(width, bx + blockSize);
+
+            for(let y = by; y < maxY; y++) {
+                for(let x = bx; x < maxX; x++) {
+                    const idx = ((y * width) + x) * 4;
+
+                    d[idx] = r;
+                    d[idx + 1] = g;
+                    d[idx + 2] = b;
+                    d[idx + 3] = a;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Hash a pixel position to a stable value, used for the dissolve order.
+ * @param {number} x - The x position.
+ * @param {number} y - The y position.
+ * @returns {number} A value between 0 and 1.
+ */
+function hashPixel(x, y) {
+    let h = Math.imul(x, 374761393) + Math.imul(y, 668265263);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    h ^= h >>> 16;
+
+    return (h >>> 0) / 4294967296;
+}
+
+/**
+ * Clear the output buffer according to the instance's clear mode.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {ImageData} outputData - The output data to clear.
+ */
+function clearOutputData(instance, outputData) {
+    const mode = instance.clearMode;
+
+    if(mode == "preserve") {
+        return;
+    }
+
+    const d = outputData.data;
+
+    if(mode == "transparent") {
+        d.fill(0);
+        return;
+    }
+
+    const width = outputData.width;
+    const height = outputData.height;
+
+    if(mode == "color") {
+        const c = instance.clearColors[0];
+        fillPixels(d, 0, width * height, c.r, c.g, c.b);
+        return;
+    }
+
+    if(instance.clearDirection == "horizontal") {
+        for(let x = 0; x < width; x++) {
+            const c = getGradientColor(instance.clearColors, width > 1 ? x / (width - 1) : 0);
+            const idx = x * 4;
+
+            d[idx] = c.r;
+            d[idx + 1] = c.g;
+            d[idx + 2] = c.b;
+            d[idx + 3] = 255;
+        }
+
+        const rowLength = width * 4;
+
+        for(let y = 1; y < height; y++) {
+            d.copyWithin(y * rowLength, 0, rowLength);
+        }
+
+        return;
+    }
+
+    for(let y = 0; y < height; y++) {
+        const c = getGradientColor(instance.clearColors, height > 1 ? y / (height - 1) : 0);
+        fillPixels(d, y * width, width, c.r, c.g, c.b);
+    }
+}
+
+/**
+ * Fill a run of pixels with an opaque color.
+ * @param {Uint8ClampedArray} d - The pixel data.
+ * @param {number} start - The first pixel to fill.
+ * @param {number} count - The number of pixels to fill.
+ * @param {number} r - The red channel.
+ * @param {number} g - The green channel.
+ * @param {number} b - The blue channel.
+ */
+function fillPixels(d, start, count, r, g, b) {
+    const idx = start * 4;
+
+    d[idx] = r;
+    d[idx + 1] = g;
+    d[idx + 2] = b;
+    d[idx + 3] = 255;
+
+    // Double the filled run each pass instead of writing every channel by hand
+    let filled = 1;
+
+    while(filled < count) {
+        const copy = Math.min(filled, count - filled);
+        d.copyWithin(idx + (filled * 4), idx, idx + (copy * 4));
+        filled += copy;
+    }
+}
+
+/**
+ * Get the color at a position along evenly spaced gradient stops.
+ * @param {Object[]} colors - The gradient stops as { r, g, b }.
+ * @param {number} t - The position along the gradient (0-1).
+ * @returns {{r: number, g: number, b: number}} The interpolated color.
+ */
+function getGradientColor(colors, t) {
+    const scaled = t * (colors.length - 1);
+    const i = Math.min(colors.length - 2, Math.floor(scaled));
+    const f = scaled - i;
+
+    const c1 = colors[i];
+    const c2 = colors[i + 1];
+
+    return {
+        r: Math.round(c1.r + ((c2.r - c1.r) * f)),
+        g: Math.round(c1.g + ((c2.g - c1.g) * f)),
+        b: Math.round(c1.b + ((c2.b - c1.b) * f))
+    };
+}
+
+/**
+ * Sort draw instructions into drawing order: lights first, then parallax layers, then by zIndex and tile layers.
+ * Within the same z, the default mode draws tiles before sprites and then orders by y, the "foot" mode orders
+ * by the bottom edge of each texture.  Isometric instances order by depth (x + y) and hex instances by the y of the
+ * hex center in place of y, and the "foot" mode adds the overhang of scaled sprites to that.  A custom comparator replaces everything after the parallax layers.
+ * Instructions that compare equal keep the order they were drawn in.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {DrawInstruction[]} instructions - The instructions to sort in place.
+ */
+function sortRenderInstructions(instance, instructions) {
+    const footMode = instance.sortMode == "foot";
+    const comparator = instance.sortComparator;
+
+    for(let i = 0; i < instructions.length; i++) {
+        const inst = instructions[i];
+
+        inst.order = i;
+
+        if(inst.sortKey != null) {
+            inst.sortY = inst.sortKey;
+        } else if(instance.projection == "isometric") {
+            // A quarter tile of screen height per step of depth
+            inst.sortY = inst.x + inst.y + (footMode ? getFootOverhang(inst) * 4 / instance.tileSize : 0);
+        } else if(instance.projection == "hex") {
+            inst.sortY = (projectTile(instance, inst.x, inst.y).y + (footMode ? getFootOverhang(inst) : 0)) / instance.tileSize;
+        } else if(footMode) {
+            inst.sortY = getFootY(instance, inst);
+        } else {
+            inst.sortY = inst.y;
+        }
+    }
+
+    instructions.sort(function(a, b) {
+
+        if(a.type == "light" && b.type != "light") {
+            return -1;
+        }
+
+        if(a.type != "light" && b.type == "light") {
+            return 1;
+        }
+
+        if(a.type == "parallax" && b.type != "parallax") {
+            return -1;
+        }
+
+        if(a.type != "parallax" && b.type == "parallax") {
+            return 1;
+        }
+
+        if(comparator && a.type != "light" && a.type != "parallax") {
+            return comparator(a, b) || (a.order - b.order);
+        }
+
+        if(a.z > b.z) {
+            return 1;
+        }
+
+        if(a.z < b.z) {
+            return -1;
+        }
+
+        if(a.type == "tilelayer" && b.type != "tilelayer") {
+            return -1;
+        }
+
+        if(a.type != "tilelayer" && b.type == "tilelayer") {
+            return 1;
+        }
+
+        if(!footMode) {
+            if(a.type == "tile" && b.type == "sprite") {
+                return -1;
+            }
+
+            if(a.type == "sprite" && b.type == "tile") {
+                return 1;
+            }
+        }
+
+        if(a.sortY > b.sortY) {
+            return 1;
+        }
+
+        if(a.sortY < b.sortY) {
+            return -1;
+        }
+
+        if(footMode) {
+            if(a.type == "tile" && b.type == "sprite") {
+                return -1;
+            }
+
+            if(a.type == "sprite" && b.type == "tile") {
+                return 1;
+            }
+        }
+
+        return a.order - b.order;
+    });
+}
+
+/**
+ * Get the bottom edge of an instruction's texture in tile coordinates.  Sprites are drawn up from the bottom
+ * of their tile, offset by texture.height - tileSize, tiles are drawn down from their top.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {DrawInstruction} inst - The draw instruction.
+ * @returns {number} The y position of the foot.
+ */
+function getFootY(instance, inst) {
+    const texture = inst.texture;
+
+    if(!texture || texture.loading || (inst.type != "tile" && inst.type != "sprite")) {
+        return inst.y;
+    }
+
+    const tileSize = instance.tileSize;
+
+    if(inst.type == "tile") {
+        return inst.y + (texture.height / tileSize);
+    }
+
+    return inst.y + 1 + (getFootOverhang(inst) / tileSize);
+}
+
+/**
+ * Get how far a scaled sprite reaches below the bottom of its cell, in world pixels.  Sprites are scaled down from
+ * their top, tiles are never scaled.
+ * @param {DrawInstruction} inst - The draw instruction.
+ * @returns {number} The overhang, negative for sprites scaled below 1.
+ */
+function getFootOverhang(inst) {
+    const texture = inst.texture;
+
+    if(inst.type != "sprite" || !texture || texture.loading) {
+        return 0;
+    }
+
+    return texture.height * (inst.scale - 1);
+}
+
+/**
+ * Render a sorted list of draw instructions with the instance's current view.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {DrawInstruction[]} instructions - The sorted instructions to render.
+ * @param {ImageData} outputData - The output data to render to.
+ */
+function renderInstructionList(instance, instructions, outputData) {
+    instance.activeLights = [];
+
+    const profiler = instance.profiler;
+
+    for(let i = 0; i < instructions.length; i++) {
+        const inst = instructions[i];
+        const mark = profiler ? getTime() : 0;
+
+        if(inst.type == "light") {
+            prepareLight(instance, inst);
+            instance.activeLights.push(inst);
+        }
+
+        if(inst.type == "tile") {
+            renderTile(instance, inst, outputData);
+        }
+
+        if(inst.type == "parallax") {
+            renderParallaxLayer(instance, inst, outputData);
+        }
+
+        if(inst.type == "tilelayer") {
+            renderTileLayer(instance, inst, outputData);
+        }
+
+        if(inst.type == "sprite") {
+            renderSprite(instance, inst, outputData);
+        }
+
+        if(inst.type == "particle") {
+            renderParticle(instance, inst, outputData);
+        }
+
+        if(profiler) {
+            const frame = profiler.current;
+
+            frame.instructionTimes[inst.type] = (frame.instructionTimes[inst.type] || 0) + (getTime() - mark);
+            frame.instructionCounts[inst.type] = (frame.instructionCounts[inst.type] || 0) + 1;
+            frame.instructions++;
+        }
+    }
+}
+
+/**
+ * Convert a light instruction from tile coordinates to the view currently being rendered.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {DrawInstruction} inst - The "light" draw instruction.
+ */
+function prepareLight(instance, inst) {
+    const point = projectTile(instance, inst.x, inst.y);
+
+    inst.lightX = Math.round((point.x - instance.viewX) * instance.zoom);
+    inst.lightY = Math.round((point.y - instance.viewY) * instance.zoom);
+    inst.lightRadius = inst.scale * instance.tileSize * instance.zoom;
+    inst.lightScaleSq = inst.lightRadius * inst.lightRadius;
+}
+
+/**
+ * Return draw instructions to the recycling pool and empty the list.
+ * @param {DrawInstruction[]} instructions - The instructions to recycle.
+ */
+function recycleRenderInstructions(instructions) {
+    while(instructions.length > 0) {
+        const inst = instructions.pop();
+        inst.texture = null;
+        inst.layer = null;
+
+        if(instructionRecycling.length < 1000) {
+            instructionRecycling.push(inst);
+        }
+    }
+}
+
+/**
+ * Render one viewport of an instance into its region of the output buffer.  The instance's view state is swapped
+ * for the viewport's while it renders, so the viewport render function and all draw code see the viewport as the view.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {Viewport} viewport - The viewport to render.
+ * @param {ImageData} outputData - The output data to render to.
+ * @param {number} fps - The current frames per second.
+ * @param {number} delta - The frame delta relative to the target frame time.
+ * @param {number} elapsed - The elapsed time in milliseconds since the last frame.
+ * @param {number} alpha - The interpolation alpha of the fixed timestep.
+ */
+function renderViewport(instance, viewport, outputData, fps, delta, elapsed, alpha) {
+    if(!viewport.visible) {
+        return;
+    }
+
+    const width = Math.min(viewport.width, instance.width - viewport.x);
+    const height = Math.min(viewport.height, instance.height - viewport.y);
+
+    if(width <= 0 || height <= 0 || viewport.x < 0 || viewport.y < 0) {
+        return;
+    }
+
+    const saved = saveViewState(instance);
+
+    instance.width = width;
+    instance.height = height;
+    instance.viewX = viewport.viewX;
+    instance.viewY = viewport.viewY;
+    instance.viewXraw = viewport.viewXraw;
+    instance.viewYraw = viewport.viewYraw;
+    instance.zoom = viewport.zoom;
+    instance.roundingOp = isOdd(height) ? Math.floor : Math.round;
+
+    if(viewport.weightedLighting) {
+        instance.weightedLighting = viewport.weightedLighting;
+        instance.hasWeightedLighting = viewport.weightedLighting.r != 255 || viewport.weightedLighting.g != 255 || viewport.weightedLighting.b != 255;
+    }
+
+    instance.outputOffsetX = viewport.x * instance.renderScale;
+    instance.outputOffsetY = viewport.y * instance.renderScale;
+
+    instance.renderInstructions = viewport.renderInstructions;
+
+    if(viewport.renderFunction) {
+        viewport.renderFunction(fps, delta, elapsed, alpha, viewport);
+    }
+
+    // As with the instance camera, follow after the render function so targets it moved are tracked this frame
+    updateCamera(instance, viewport, elapsed);
+
+    instance.viewX = viewport.viewX;
+    instance.viewY = viewport.viewY;
+    instance.viewXraw = viewport.viewXraw;
+    instance.viewYraw = viewport.viewYraw;
+
+    let instructions = saved.renderInstructions;
+
+    if(viewport.renderInstructions.length > 0) {
+        instructions = saved.renderInstructions.concat(viewport.renderInstructions);
+        sortRenderInstructions(instance, instructions);
+    }
+
+    renderInstructionList(instance, instructions, outputData);
+
+    recycleRenderInstructions(viewport.renderInstructions);
+
+    restoreViewState(instance, saved);
+}
+
+/**
+ * Save the view and output state of an instance, so it can temporarily render a different view.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @returns {Object} The saved state.
+ */
+function saveViewState(instance) {
+    return {
+        width: instance.width,
+        height: instance.height,
+        viewX: instance.viewX,
+        viewY: instance.viewY,
+        viewXraw: instance.viewXraw,
+        viewYraw: instance.viewYraw,
+        zoom: instance.zoom,
+        renderScale: instance.renderScale,
+        roundingOp: instance.roundingOp,
+        weightedLighting: instance.weightedLighting,
+        hasWeightedLighting: instance.hasWeightedLighting,
+        renderInstructions: instance.renderInstructions,
+        activeLights: instance.activeLights,
+        outputStride: instance.outputStride,
+        outputOffsetX: instance.outputOffsetX,
+        outputOffsetY: instance.outputOffsetY
+    };
+}
+
+/**
+ * Restore view and output state saved with saveViewState.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {Object} saved - The saved state.
+ */
+function restoreViewState(instance, saved) {
+    for(let key in saved) {
+        instance[key] = saved[key];
+    }
+}
+
+/**
+ * Run as many fixed simulation steps as have accumulated since the last frame.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {number} elapsed - The elapsed time in milliseconds since the last frame.
+ * @returns {number} The interpolation alpha (0-1) between the previous and current simulation step.
+ */
+function runFixedSteps(instance, elapsed) {
+    const stepMs = instance.fixedStepMs;
+    const stepDelta = stepMs / TARGET_DELTA;
+
+    if(!isNaN(elapsed) && elapsed > 0) {
+        instance.simAccumulator += elapsed;
+    }
+
+    // Drop time we can't catch up on rather than spiraling after a long stall
+    const maxAccumulated = stepMs * instance.maxSimSteps;
+
+    if(instance.simAccumulator > maxAccumulated) {
+        instance.simAccumulator = maxAccumulated;
+    }
+
+    while(instance.simAccumulator >= stepMs) {
+        instance.simAccumulator -= stepMs;
+        simulateInstance(instance, stepDelta, stepMs);
+    }
+
+    return instance.simAccumulator / stepMs;
+}
+
+/**
+ * Run one simulation step for the instance: the user update function, environmental effects and particle physics.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {number} delta - The step length relative to the target frame time.
+ * @param {number} stepMs - The step length in milliseconds.
+ */
+function simulateInstance(instance, delta, stepMs) {
+    const profiler = instance.profiler;
+
+    if(instance.updateFunction) {
+        const mark = profiler ? getTime() : 0;
+
+        instance.updateFunction(delta, stepMs);
+
+        if(profiler) {
+            profileSection(profiler, "update", mark);
+        }
+    }
+
+    instance.rndAngle += delta * 0.002;
+
+    if(instance.rndAngle > 360) {
+        instance.rndAngle -= 360;
+    }
+
+    for(let i = 0; i < instance.parallaxLayers.length; i++) {
+        const layer = instance.parallaxLayers[i];
+
+        layer.autoScrollX += layer.velocityX * (stepMs / 1000);
+        layer.autoScrollY += layer.velocityY * (stepMs / 1000);
+    }
+
+    const viewBounds = getSimulationViewBounds(instance);
+    const currentBounds = viewBounds.length == 1 ? viewBounds[0] : mergeViewBounds(viewBounds);
+
+    // Weather is spawned in every visible viewport, not only the instance view
+    for(let i = 0; i < viewBounds.length; i++) {
+        runEnvironmentalConditions(instance, viewBounds[i]);
+    }
+
+    const mark = profiler ? getTime() : 0;
+
+    const completePrograms = [];
+
+    for(let i = 0; i < instance.programParticles.length; i++) {
+        const inst = instance.programParticles[i];
+
+        if(inst.cashed) {
+            completePrograms.push(inst);
+            continue;
+        }
+
+        updateParticle(instance, inst, delta, viewBounds.length == 1 ? currentBounds : findViewBounds(viewBounds, currentBounds, inst.x, inst.y));
+    }
+
+    while(completePrograms.length > 0) {
+        const inst = completePrograms.pop();
+
+        removeFromArray(instance.programParticles, inst);
+
+        if(particleInstructionRecycling.length < 1000) {
+            particleInstructionRecycling.push(inst);
+        }
+    }
+
+    if(profiler) {
+        profileSection(profiler, "particleUpdate", mark);
+    }
+}
+
+/**
+ * Convert the live particles of an instance into draw instructions for this frame.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {number} alpha - The interpolation alpha between the previous and current particle positions.
+ */
+function drawProgramParticles(instance, alpha) {
+    for(let i = 0; i < instance.programParticles.length; i++) {
+        const inst = instance.programParticles[i];
+
+        if(inst.cashed) {
+            continue;
+        }
+
+        let x = inst.x;
+        let y = inst.y;
+
+        if(alpha < 1) {
+            x = inst.px + ((inst.x - inst.px) * alpha);
+            y = inst.py + ((inst.y - inst.py) * alpha);
+        }
+
+        // Convert particle to draw instruction so it actually renders
+        // zI is the base rendering layer, z is elevation offset for height simulation
+        const renderZIndex = inst.zI;// + Math.floor(inst.z);
+        instance.drawParticle({
+            color: inst.color,
+            x: x,
+            y: y,
+            z: renderZIndex,
+            scale: inst.size,
+            opacity: inst.opacity,
+            composit: inst.composit,
+            ignoreLighting: inst.ignoreLighting,
+            useRaw: inst.useRaw
+        });
+
+        if(inst.glowRadius > 0 && inst.glowBrightness > 0) {
+            instance.drawLight({
+                color: inst.color,
+                x: x,
+                y: y,
+                intensity: inst.glowBrightness,
+                radius: inst.glowRadius
+            });
+        }
+    }
+}
+
+/**
+ * Advance a texture that has its own frame timing or is playing a clip.
+ * @param {Texture} texture - The texture to advance.
+ * @param {number} elapsed - The elapsed time in milliseconds.
+ */
+function advanceTextureTiming(texture, elapsed) {
+    if(texture.playback) {
+        advanceAnimation(texture.playback, elapsed);
+        texture.curFrame = texture.playback.frame;
+        return;
+    }
+
+    if(texture.frameDuration == null || texture.loading) {
+        return;
+    }
+
+    texture.frameElapsed += elapsed;
+
+    // Catch up at most one full cycle after a long frame
+    for(let steps = 0; steps <= texture.frames; steps++) {
+        let duration = Array.isArray(texture.frameDuration) ? texture.frameDuration[texture.curFrame] : texture.frameDuration;
+
+        if(!(duration > 0)) {
+            duration = DEFAULT_FRAME_DURATION;
+        }
+
+        if(texture.frameElapsed < duration) {
+            return;
+        }
+
+        texture.frameElapsed -= duration;
+        cycleTexture(texture);
+    }
+
+    texture.frameElapsed = 0;
+}
+
+/**
+ * Get the number of positions in the sequence an animation state plays.
+ * @param {AnimationState} state - The animation state.
+ * @returns {number} The sequence length.
+ */
+function getClipLength(state) {
+    if(state.clip) {
+        return state.clip.frames.length;
+    }
+
+    return Math.max(1, state.texture.frames);
+}
+
+/**
+ * Get the texture frame at a position in the sequence an animation state plays.
+ * @param {AnimationState} state - The animation state.
+ * @param {number} position - The position in the sequence.
+ * @returns {number} The texture frame.
+ */
+function getClipFrame(state, position) {
+    if(state.clip) {
+        return state.clip.frames[position] ?? 0;
+    }
+
+    return position;
+}
+
+/**
+ * Get how long the current frame of an animation state shows, from the clip's timing, then the texture's.
+ * @param {AnimationState} state - The animation state.
+ * @returns {number} The duration in milliseconds.
+ */
+function getAnimationFrameDuration(state) {
+    const clip = state.clip;
+    const texture = state.texture;
+
+    let duration = null;
+
+    if(clip && clip.frameDuration != null) {
+        duration = Array.isArray(clip.frameDuration) ? clip.frameDuration[state.position] : clip.frameDuration;
+    }
+
+    if(duration == null && texture.frameDuration != null) {
+        duration = Array.isArray(texture.frameDuration) ? texture.frameDuration[state.frame] : texture.frameDuration;
+    }
+
+    if(!(duration > 0)) {
+        duration = DEFAULT_FRAME_DURATION;
+    }
+
+    return duration;
+}
+
+/**
+ * Advance an animation state by elapsed time, stepping through as many frames as have passed.
+ * @param {AnimationState} state - The animation state.
+ * @param {number} elapsed - The elapsed time in milliseconds.
+ */
+function advanceAnimation(state, elapsed) {
+    if(!state.playing || state.texture.loading) {
+        return;
+    }
+
+    state.elapsed += elapsed * state.speed;
+
+    // Catch up at most one full cycle after a long pause between draws
+    const maxSteps = getClipLength(state) * 2;
+
+    for(let steps = 0; steps < maxSteps; steps++) {
+        const duration = getAnimationFrameDuration(state);
+
+        if(state.elapsed < duration) {
+            return;
+        }
+
+        state.elapsed -= duration;
+        stepAnimation(state);
+
+        if(!state.playing) {
+            break;
+        }
+    }
+
+    state.elapsed = 0;
+}
+
+/**
+ * Move an animation state to the next position of its sequence, handling looping and pingpong,
+ * and fire its frame events.
+ * @param {AnimationState} state - The animation state.
+ */
+function stepAnimation(state) {
+    const clip = state.clip;
+    const length = getClipLength(state);
+    const loop = clip ? clip.loop : true;
+    const pingpong = clip ? clip.pingpong && length > 1 : false;
+
+    let next = state.position + state.direction;
+
+    if(pingpong && next >= length) {
+        state.direction = -1;
+        next = length - 2;
+    } else if(pingpong && next < 0) {
+        if(!loop) {
+            finishAnimation(state);
+            return;
+        }
+
+        state.direction = 1;
+        next = 1;
+    } else if(next >= length) {
+        if(!loop) {
+            finishAnimation(state);
+            return;
+        }
+
+        next = 0;
+    }
+
+    state.position = next;
+    state.frame = getClipFrame(state, next);
+
+    if(clip && clip.events && clip.events[next]) {
+        clip.events[next](state);
+    }
+
+    if(state.onFrame) {
+        state.onFrame(state.frame, state);
+    }
+}
+
+/**
+ * Stop an animation state at the end of a clip that doesn't loop.
+ * @param {AnimationState} state - The animation state.
+ */
+function finishAnimation(state) {
+    state.playing = false;
+    state.finished = true;
+    state.elapsed = 0;
+
+    if(state.onComplete) {
+        state.onComplete(state);
+    }
+}
+
+/**
+ * Bring an animation state up to date with the engine clock and get its frame.
+ * @param {AnimationState} state - The animation state.
+ * @returns {number} The texture frame to draw.
+ */
+function getAnimationFrame(state) {
+    if(state.autoUpdate) {
+        const elapsed = animationClock - state.clock;
+
+        state.clock = animationClock;
+
+        if(elapsed > 0) {
+            advanceAnimation(state, elapsed);
+        }
+    }
+
+    return state.frame;
+}
+
+function cycleTexture(texture) {
+    texture.curFrame++;
+
+    if(texture.type == "ppptoken") {
+
+        if(!texture.state) {
+            texture.state = "standing";
+        }
+
+        if(texture.state == "dead") {
+            texture.curFrame = 6;
+        }
+
+        if(texture.state == "standing") {
+            if(texture.facing == "w") {
+                texture.curFrame = 0;
+            } else {
+                texture.curFrame = 3;
+            }
+        }
+
+        if(texture.state == "walking") {
+            if(texture.facing == "w") {
+                if(texture.curFrame > 1) {
+                    texture.curFrame = 0;
+                }
+            } else {
+                if(texture.curFrame < 3 || texture.curFrame > 4) {
+                    texture.curFrame = 3;
+                }
+            }
+        }
+
+        if(texture.state == "using" || texture.state == "attacking") {
+            if(texture.facing == "w") {
+                texture.curFrame = 2;
+            } else {
+                texture.curFrame = 5;
+            }
+        }
+
+        return;
+    }
+
+    if(texture.curFrame >= texture.frames) {
+        texture.curFrame = 0;
+    }
+}
+
+function getCanvasCoordinatePrecise(instance, x, y) {
+    let hw;
+    let hh;
+
+    if(instance.fixedCanvas) {
+        hw = instance.canvas.width / instance.renderScale;
+        hh = instance.canvas.height / instance.renderScale;
+    } else {
+        const holder = instance.holder;
+        hw = holder.offsetWidth;
+        hh = holder.offsetHeight;
+    }
+
+    const xPer = x / hw;
+    const yPer = y / hh;
+
+    return {
+        x: instance.width * xPer,
+        y: instance.height * yPer
+    };
+}
+
+function getCanvasCoordinate(instance, x, y) {
+
+    const precice = getCanvasCoordinatePrecise(instance, x, y);
+
+    return {
+        x: Math.floor(precice.x),
+        y: Math.floor(precice.y)
+    };
+}
+
+function reportLeftTouchMove(instance) {
+
+    if(!instance.touchstickFunction) {
+        return;
+    }
+
+    let xDiff = instance.touchstickLeftMX - instance.touchstickLeftX;
+    let yDiff = instance.touchstickLeftMY - instance.touchstickLeftY;
+
+    if(xDiff > instance.touchstickRadius) {
+        xDiff = instance.touchstickRadius;
+    }
+
+    if(xDiff < -instance.touchstickRadius) {
+        xDiff = -instance.touchstickRadius;
+    }
+
+    if(yDiff > instance.touchstickRadius) {
+        yDiff = instance.touchstickRadius;
+    }
+
+    if(yDiff < -instance.touchstickRadius) {
+        yDiff = -instance.touchstickRadius;
+    }
+
+    const xPer = xDiff / instance.touchstickRadius;
+    const yPer = yDiff / instance.touchstickRadius;
+
+    instance.touchstickFunction("left", xPer, yPer);
+}
+
+function reportRightTouchMove(instance) {
+
+    if(!instance.touchstickFunction) {
+        return;
+    }
+
+    let xDiff = instance.touchstickRightMX - instance.touchstickRightX;
+    let yDiff = instance.touchstickRightMY - instance.touchstickRightY;
+
+    if(xDiff > instance.touchstickRadius) {
+        xDiff = instance.touchstickRadius;
+    }
+
+    if(xDiff < -instance.touchstickRadius) {
+        xDiff = -instance.touchstickRadius;
+    }
+
+    if(yDiff > instance.touchstickRadius) {
+        yDiff = instance.touchstickRadius;
+    }
+
+    if(yDiff < -instance.touchstickRadius) {
+        yDiff = -instance.touchstickRadius;
+    }
+
+    const xPer = xDiff / instance.touchstickRadius;
+    const yPer = yDiff / instance.touchstickRadius;
+
+    instance.touchstickFunction("right", xPer, yPer);
+}
+
+function pointerLocationToTile(instance, x, y) {
+        
+    const canCoord = getCanvasCoordinate(instance, x, y);
+
+    const canX = instance.viewX + (canCoord.x / instance.zoom);
+    const canY = instance.viewY + (canCoord.y / instance.zoom);
+
+    const tile = pickTile(instance, canX, canY);
+
+    return {
+        x: tile.x,
+        y: tile.y
+    };
+}
+
+function loadPPPTexture(texture) {
+    // ppp object
+    if(texture.rawData && texture.rawData.id && texture.rawData.frames) {
+
+        texture.height = texture.rawData.height;
+        texture.width = texture.rawData.width;
+        texture.frames = texture.rawData.frames.length;
+
+        let accessories = null;
+        let outlineColor = null;
+
+        if(texture.accessories) {
+            accessories = texture.accessories;
+        }
+
+        if(texture.outlineColor) {
+            outlineColor = texture.outlineColor;
+        }
+
+        if(accessories) {
+            for(let i = 0; i < accessories.length; i++) {
+                const acc = accessories[i];
+
+                if(acc.source) {
+                    const src = acc.source;
+
+                    if(src.width && src.width > texture.width) {
+                        texture.width = src.width;
+                    }
+
+                    if(src.height && src.height > texture.height) {
+                        texture.height = src.height;
+                    }
+                } 
+            }
+        }
+
+        renderPPP({
+            source: texture.rawData,
+            colorReplacements: texture.colorReplacements,
+            asCanvas: false,
+            frame: -1,
+            accessories: accessories,
+            outlineColor: outlineColor,
+            callback: function(img) {
+
+                let loadsRemaining = texture.frames;
+
+                const canvas = document.createElement("canvas");
+                const context = canvas.getContext("2d", {
+                    willReadFrequently: true
+                });
+                
+                for(let i = 0; i < texture.frames; i++) {
+                    const sx = texture.width * i;
+
+                    canvas.width = texture.width;
+                    canvas.height = texture.height;
+
+                    context.drawImage(img, sx, 0, texture.width, texture.height, 0, 0, texture.width, texture.height);
+
+                    const imgSrc = canvas.toDataURL();
+                    const imgData = context.getImageData(0, 0, canvas.width, canvas.height);
+
+                    texture.imageData.push(imgData);
+
+                    const outimg = new Image();
+                    outimg.onload = onPPPTxLoadInternal;
+                    outimg.src = imgSrc;
+
+                    texture.image.push(outimg);
+                }
+
+                function onPPPTxLoadInternal() {
+                    loadsRemaining--;
+
+                    if(loadsRemaining <= 0) {
+                        finishTextureLoad(texture);
+                    }
+                }
+            }
+        });
+
+        return;
+    }
+
+    if(texture.src) {
+        fetch(texture.src).then(async function(response) {
+            const data = await checkResponse(response, texture.src).json();
+
+            if(!data || !data.id || !data.frames) {
+                throw new Error(texture.src + " is not a PPP file");
+            }
+
+            texture.rawData = data;
+            loadPPPTexture(texture);
+        }).catch(function(error) {
+            failTextureLoad(texture, error);
+        });
+
+        return;
+    }
+
+    failTextureLoad(texture, new Error("Texture data is not a PPP object"));
+}
+
+function renderTile(instance, inst, outputData) {
+
+    if(inst.texture.loading) {
+        return;
+    }
+
+    const texture = inst.texture;
+
+    let frame = texture.curFrame;
+
+    if(inst.frame > -1) {
+        frame = inst.frame;
+    }
+
+    const frames = texture.imageData;
+    const data = frames[frame];
+
+    const opacity = inst.opacity;
+
+    const zoom = instance.zoom;
+    const zoomedTileSize = Math.max(instance.tileSize, texture.width, texture.height) * zoom;
+
+    const origin = getTileOrigin(instance, inst.x, inst.y, texture);
+
+    // Left unrounded when zoomed so neighboring tiles meet exactly, drawImageData rounds to output pixels
+    const dx = (origin.x - instance.viewX) * zoom;
+    const dy = (origin.y - instance.viewY) * zoom;
+
+    if(dx < -zoomedTileSize || dy < -zoomedTileSize) {
+        return;
+    }
+
+    if(dx > zoomedTileSize + instance.width || dy > zoomedTileSize + instance.height) {
+        return;
+    }
+
+    const inD = data.data;
+
+    drawImageData(instance, texture, inD, dx, dy, zoom, null, 0, opacity, inst.mirror, outputData, inst.ignoreLighting, null, inst.distortion, inst.distortionSpeed, inst.distortionScale, inst.reflectivity, inst.shimmer, inst.palette);
+}
+
+function renderSprite(instance, inst, outputData) {
+
+    if(inst.texture.loading) {
+        return;
+    }
+
+    const texture = inst.texture;
+    const frames = texture.imageData;
+    
+
+    let useFrame = texture.curFrame;
+
+    if(texture.type == "ppptoken") {
+        if(inst.useState != null && inst.useFacing != null) {
+            useFrame = getOverridePPPFrame(inst.useState, inst.useFacing);
+        }
+    }
+
+    if(inst.frame != -1) {
+        useFrame = inst.frame;
+    }
+
+    let data = frames[useFrame];
+
+    if(!data) {
+        useFrame = 0;
+        data = frames[useFrame];
+    }
+
+    if(!data) {
+        return;
+    }
+
+    let uvx = instance.viewX;
+
+    if(inst.useRaw) {
+        uvx = instance.viewXraw;
+    }
+
+    const zoom = instance.zoom;
+
+    const anchor = getCellAnchor(instance, inst.x, inst.y);
+
+    const dx = Math.round(anchor.x - uvx) * zoom;
+    const dy = (instance.roundingOp(anchor.y - instance.viewY) - texture.height) * zoom;
+
+    const inD = data.data;
+
+    drawImageData(instance, texture, inD, dx, dy, inst.scale * zoom, inst.composit, inst.rotation, inst.opacity, inst.mirror, outputData, inst.ignoreLighting, inst.colorFilter, 0, 1, 1, 0, 0, inst.palette);
+
+}
+
+let blobMasks = null;
+
+/**
+ * Get the 47 masks of a blob tileset in ascending order: every 8 bit mask where each corner bit is only set
+ * when both edge bits beside it are set.
+ * @returns {number[]} The blob masks.
+ */
+function getBlobMasks() {
+    if(!blobMasks) {
+        blobMasks = [];
+
+        for(let mask = 0; mask < 256; mask++) {
+            if(reduceBlobMask(mask) == mask) {
+                blobMasks.push(mask);
+            }
+        }
+    }
+
+    return blobMasks;
+}
+
+/**
+ * Clear the corner bits of an 8 bit neighbor mask that don't have both edges beside them set.
+ * @param {number} mask - The neighbor mask.
+ * @returns {number} The reduced mask.
+ */
+function reduceBlobMask(mask) {
+    const north = mask & 1;
+    const east = mask & 4;
+    const south = mask & 16;
+    const west = mask & 64;
+
+    if(!(north && east)) {
+        mask &= ~2;
+    }
+
+    if(!(south && east)) {
+        mask &= ~8;
+    }
+
+    if(!(south && west)) {
+        mask &= ~32;
+    }
+
+    if(!(north && west)) {
+        mask &= ~128;
+    }
+
+    return mask;
+}
+
+/**
+ * Check if a neighboring cell matches the terrain of a cell.
+ * @param {TerrainMap} map - The terrain map.
+ * @param {Object} terrain - The terrain of the cell.
+ * @param {string|number} id - The terrain id of the cell.
+ * @param {number} x - The x coordinate of the neighbor.
+ * @param {number} y - The y coordinate of the neighbor.
+ * @returns {boolean} True if the neighbor matches.
+ */
+function terrainMatches(map, terrain, id, x, y) {
+    if(x < 0 || y < 0 || x >= map.width || y >= map.height) {
+        return map.edges == "match";
+    }
+
+    const other = map.cells[(y * map.width) + x];
+
+    if(other == null) {
+        return false;
+    }
+
+    return other === id || terrain.connectsTo.indexOf(other) != -1;
+}
+
+/**
+ * Recompute the neighbor mask and frame of a terrain cell, and write it to the map's tile layer.
+ * @param {TerrainMap} map - The terrain map.
+ * @param {number} x - The x tile coordinate.
+ * @param {number} y - The y tile coordinate.
+ */
+function updateTerrainCell(map, x, y) {
+    if(x < 0 || y < 0 || x >= map.width || y >= map.height) {
+        return;
+    }
+
+    const idx = (y * map.width) + x;
+    const id = map.cells[idx];
+    const terrain = id == null ? null : map.terrains[id];
+
+    if(!terrain) {
+        map.masks[idx] = 0;
+        map.frames[idx] = -1;
+
+        if(map.layer) {
+            map.layer.clearTile(x, y);
+        }
+
+        return;
+    }
+
+    let mask = 0;
+
+    if(terrain.mode == "4bit") {
+        mask |= terrainMatches(map, terrain, id, x, y - 1) ? 1 : 0;
+        mask |= terrainMatches(map, terrain, id, x + 1, y) ? 2 : 0;
+        mask |= terrainMatches(map, terrain, id, x, y + 1) ? 4 : 0;
+        mask |= terrainMatches(map, terrain, id, x - 1, y) ? 8 : 0;
+    } else {
+        mask |= terrainMatches(map, terrain, id, x, y - 1) ? 1 : 0;
+        mask |= terrainMatches(map, terrain, id, x + 1, y - 1) ? 2 : 0;
+        mask |= terrainMatches(map, terrain, id, x + 1, y) ? 4 : 0;
+        mask |= terrainMatches(map, terrain, id, x + 1, y + 1) ? 8 : 0;
+        mask |= terrainMatches(map, terrain, id, x, y + 1) ? 16 : 0;
+        mask |= terrainMatches(map, terrain, id, x - 1, y + 1) ? 32 : 0;
+        mask |= terrainMatches(map, terrain, id, x - 1, y) ? 64 : 0;
+        mask |= terrainMatches(map, terrain, id, x - 1, y - 1) ? 128 : 0;
+
+        mask = reduceBlobMask(mask);
+    }
+
+    let frame = terrain.frameMap[mask];
+
+    if(frame < 0) {
+        frame = terrain.defaultFrame;
+    }
+
+    map.masks[idx] = mask;
+    map.frames[idx] = frame;
+
+    if(map.layer) {
+        map.layer.setTile(x, y, terrain.texture, frame);
+    }
+}
+
+/**
+ * Queue a draw instruction for every visible tile layer of the instance.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ */
+function queueTileLayers(instance) {
+    for(let i = 0; i < instance.tileLayers.length; i++) {
+        const layer = instance.tileLayers[i];
+
+        if(!layer.visible || layer.opacity <= 0) {
+            continue;
+        }
+
+        const drawOp = getFreshDrawOperation();
+
+        drawOp.type = "tilelayer";
+        drawOp.layer = layer;
+        drawOp.z = layer.z;
+        drawOp.y = i;
+        drawOp.opacity = layer.opacity;
+        drawOp.ignoreLighting = layer.ignoreLighting;
+
+        instance.renderInstructions.push(drawOp);
+    }
+}
+
+/**
+ * Queue a draw instruction for every visible parallax layer of the instance.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ */
+function queueParallaxLayers(instance) {
+    for(let i = 0; i < instance.parallaxLayers.length; i++) {
+        const layer = instance.parallaxLayers[i];
+
+        if(!layer.visible || layer.opacity <= 0) {
+            continue;
+        }
+
+        const drawOp = getFreshDrawOperation();
+
+        drawOp.type = "parallax";
+        drawOp.layer = layer;
+        drawOp.y = i;
+        drawOp.opacity = layer.opacity;
+        drawOp.ignoreLighting = layer.ignoreLighting;
+
+        instance.renderInstructions.push(drawOp);
+    }
+}
+
+/**
+ * Render a parallax layer across the whole view.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {DrawInstruction} inst - The "parallax" draw instruction.
+ * @param {ImageData} outputData - The output data to render to.
+ */
+function renderParallaxLayer(instance, inst, outputData) {
+    const layer = inst.layer;
+
+    let image = layer.imageData;
+
+    if(layer.texture) {
+        if(layer.texture.loading) {
+            return;
+        }
+
+        image = layer.texture.imageData[layer.frame > -1 ? layer.frame : layer.texture.curFrame];
+    }
+
+    if(!image) {
+        return;
+    }
+
+    const inD = image.data;
+    const imgW = image.width;
+    const imgH = image.height;
+
+    const repeatX = layer.repeat == "repeat" || layer.repeat == "repeat-x";
+    const repeatY = layer.repeat == "repeat" || layer.repeat == "repeat-y";
+
+    // Output pixels per world pixel
+    const pixelScale = instance.renderScale * instance.zoom;
+
+    // Position of the layer's top left corner relative to the top left of the view, in world pixels
+    const originX = layer.offsetX + layer.autoScrollX - (instance.viewX * layer.scrollX);
+    const originY = layer.offsetY + layer.autoScrollY - (instance.viewY * layer.scrollY);
+
+    const scaledWidth = instance.width * instance.renderScale;
+    const scaledHeight = instance.height * instance.renderScale;
+
+    for(let y = 0; y < scaledHeight; y++) {
+        let v = Math.floor((y / pixelScale) - originY);
+
+        if(repeatY) {
+            v = ((v % imgH) + imgH) % imgH;
+        } else if(v < 0 || v >= imgH) {
+            continue;
+        }
+
+        const rowIdx = v * imgW;
+
+        for(let x = 0; x < scaledWidth; x++) {
+            let u = Math.floor((x / pixelScale) - originX);
+
+            if(repeatX) {
+                u = ((u % imgW) + imgW) % imgW;
+            } else if(u < 0 || u >= imgW) {
+                continue;
+            }
+
+            const inIdx = (rowIdx + u) * 4;
+            const a = Math.round(inD[inIdx + 3] * inst.opacity);
+
+            if(a <= 0) {
+                continue;
+            }
+
+            setColorAtPoint(instance, outputData, x, y, inD[inIdx], inD[inIdx + 1], inD[inIdx + 2], a, null, inst.ignoreLighting);
+        }
+    }
+}
+
+/**
+ * Check if a tile layer chunk has to be re-rendered because a texture it uses finished loading or cycled its animation.
+ * @param {TileLayerChunk} chunk - The chunk to check.
+ * @returns {boolean} True if the chunk is out of date.
+ */
+function isChunkStale(chunk) {
+    if(chunk.dirty) {
+        return true;
+    }
+
+    for(let i = 0; i < chunk.watchTextures.length; i++) {
+        const texture = chunk.watchTextures[i];
+        const frame = texture.loading ? -1 : texture.curFrame;
+
+        if(frame != chunk.watchFrames[i]) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Render the tiles of a tile layer chunk into the chunk's cached buffer.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {TileLayer} layer - The tile layer.
+ * @param {TileLayerChunk} chunk - The chunk to render.
+ * @param {number} chunkX - The x coordinate of the chunk, in chunks.
+ * @param {number} chunkY - The y coordinate of the chunk, in chunks.
+ */
+function rasterizeChunk(instance, layer, chunk, chunkX, chunkY) {
+    const tileSize = instance.tileSize;
+    const chunkPixels = layer.chunkSize * tileSize;
+
+    if(!chunk.buffer || chunk.buffer.width != chunkPixels) {
+        chunk.buffer = createImageBuffer(chunkPixels, chunkPixels);
+    } else {
+        chunk.buffer.data.fill(0);
+    }
+
+    chunk.dirty = false;
+    chunk.empty = true;
+    chunk.watchTextures = [];
+    chunk.watchFrames = [];
+
+    const out = chunk.buffer.data;
+
+    const tx0 = chunkX * layer.chunkSize;
+    const ty0 = chunkY * layer.chunkSize;
+    const tx1 = Math.min(tx0 + layer.chunkSize, layer.width);
+    const ty1 = Math.min(ty0 + layer.chunkSize, layer.height);
+
+    for(let ty = ty0; ty < ty1; ty++) {
+        for(let tx = tx0; tx < tx1; tx++) {
+            const idx = (ty * layer.width) + tx;
+            const texture = layer.textures[idx];
+
+            if(!texture) {
+                continue;
+            }
+
+            let frame = layer.frames[idx];
+
+            if(texture.loading || frame < 0) {
+                if(chunk.watchTextures.indexOf(texture) == -1) {
+                    chunk.watchTextures.push(texture);
+                    chunk.watchFrames.push(texture.loading ? -1 : texture.curFrame);
+                }
+            }
+
+            if(texture.loading) {
+                continue;
+            }
+
+            if(frame < 0) {
+                frame = texture.curFrame;
+            }
+
+            const data = texture.imageData[frame];
+
+            if(!data) {
+                continue;
+            }
+
+            chunk.empty = false;
+
+            const flags = layer.flags[idx];
+            const flipX = flags & TILE_FLAGS.flipX;
+            const flipY = flags & TILE_FLAGS.flipY;
+            const flipDiagonal = flags & TILE_FLAGS.flipDiagonal;
+
+            const inD = data.data;
+            const texW = texture.width;
+            const texH = texture.height;
+
+            const ox = (tx - tx0) * tileSize;
+            const oy = (ty - ty0) * tileSize;
+
+            const drawW = flipDiagonal ? texH : texW;
+            const drawH = flipDiagonal ? texW : texH;
+
+            for(let y = 0; y < drawH; y++) {
+                const outY = oy + y;
+
+                if(outY >= chunkPixels) {
+                    break;
+                }
+
+                for(let x = 0; x < drawW; x++) {
+                    const outX = ox + x;
+
+                    if(outX >= chunkPixels) {
+                        break;
+                    }
+
+                    let sx = x;
+                    let sy = y;
+
+                    if(flipX) {
+                        sx = (drawW - 1) - sx;
+                    }
+
+                    if(flipY) {
+                        sy = (drawH - 1) - sy;
+                    }
+
+                    if(flipDiagonal) {
+                        const swap = sx;
+                        sx = sy;
+                        sy = swap;
+                    }
+
+                    const inIdx = ((sy * texW) + sx) * 4;
+
+                    if(inD[inIdx + 3] == 0) {
+                        continue;
+                    }
+
+                    const outIdx = ((outY * chunkPixels) + outX) * 4;
+
+                    out[outIdx] = inD[inIdx];
+                    out[outIdx + 1] = inD[inIdx + 1];
+                    out[outIdx + 2] = inD[inIdx + 2];
+                    out[outIdx + 3] = inD[inIdx + 3];
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Render the visible chunks of a tile layer, re-rendering any chunk that is out of date.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {DrawInstruction} inst - The "tilelayer" draw instruction.
+ * @param {ImageData} outputData - The output data to render to.
+ */
+function renderTileLayer(instance, inst, outputData) {
+    if(instance.projection != "orthogonal") {
+        renderProjectedTileLayer(instance, inst, outputData);
+        return;
+    }
+
+    const layer = inst.layer;
+    const renderScale = instance.renderScale;
+    const chunkPixels = layer.chunkSize * instance.tileSize;
+
+    // Output pixels per world pixel
+    const pixelScale = renderScale * instance.zoom;
+
+    const viewX = Math.round(instance.viewX);
+    const viewY = Math.round(instance.viewY);
+
+    const worldWidth = instance.width / instance.zoom;
+    const worldHeight = instance.height / instance.zoom;
+
+    const scaledWidth = instance.width * renderScale;
+    const scaledHeight = instance.height * renderScale;
+
+    const cxMin = Math.max(0, Math.floor(viewX / chunkPixels));
+    const cyMin = Math.max(0, Math.floor(viewY / chunkPixels));
+    const cxMax = Math.min(layer.chunksX - 1, Math.floor((viewX + worldWidth - 1) / chunkPixels));
+    const cyMax = Math.min(layer.chunksY - 1, Math.floor((viewY + worldHeight - 1) / chunkPixels));
+
+    const lastPixel = chunkPixels - 1;
+
+    for(let cy = cyMin; cy <= cyMax; cy++) {
+        for(let cx = cxMin; cx <= cxMax; cx++) {
+            const chunk = layer.chunks[(cy * layer.chunksX) + cx];
+
+            if(isChunkStale(chunk) || chunk.buffer.width != chunkPixels) {
+                rasterizeChunk(instance, layer, chunk, cx, cy);
+            }
+
+            if(chunk.empty) {
+                continue;
+            }
+
+            const inD = chunk.buffer.data;
+
+            const originX = ((cx * chunkPixels) - viewX) * pixelScale;
+            const originY = ((cy * chunkPixels) - viewY) * pixelScale;
+
+            const minX = Math.max(0, Math.round(originX));
+            const minY = Math.max(0, Math.round(originY));
+            const maxX = Math.min(scaledWidth, Math.round(originX + (chunkPixels * pixelScale)));
+            const maxY = Math.min(scaledHeight, Math.round(originY + (chunkPixels * pixelScale)));
+
+            for(let y = minY; y < maxY; y++) {
+                const srcY = Math.min(lastPixel, Math.floor((y - originY) / pixelScale));
+
+                for(let x = minX; x < maxX; x++) {
+                    const srcX = Math.min(lastPixel, Math.floor((x - originX) / pixelScale));
+                    const inIdx = ((srcY * chunkPixels) + srcX) * 4;
+
+                    const a = Math.round(inD[inIdx + 3] * inst.opacity);
+
+                    if(a <= 0) {
+                        continue;
+                    }
+
+                    setColorAtPoint(instance, outputData, x, y, inD[inIdx], inD[inIdx + 1], inD[inIdx + 2], a, null, inst.ignoreLighting);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Render a tile layer tile by tile for projections whose tiles don't line up with cached chunks.
+ * Tiles are drawn row by row, which keeps nearer isometric and pointy top hex tiles in front.  Flat top hex
+ * columns are staggered, so those tiles are drawn in order of their hex center instead.
+ * TILE_FLAGS.flipX is supported, the other flip flags are ignored.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {DrawInstruction} inst - The "tilelayer" draw instruction.
+ * @param {ImageData} outputData - The output data to render to.
+ */
+function renderProjectedTileLayer(instance, inst, outputData) {
+    const layer = inst.layer;
+    const bounds = instance.getViewBounds();
+
+    // Tall tiles below the view can still rise into it
+    const margin = 4;
+
+    const xMin = Math.max(0, bounds.xMin);
+    const yMin = Math.max(0, bounds.yMin);
+    const xMax = Math.min(layer.width - 1, bounds.xMax + margin);
+    const yMax = Math.min(layer.height - 1, bounds.yMax + margin);
+
+    const order = [];
+
+    for(let y = yMin; y <= yMax; y++) {
+        for(let x = xMin; x <= xMax; x++) {
+            const idx = (y * layer.width) + x;
+            const texture = layer.textures[idx];
+
+            if(texture && !texture.loading) {
+                order.push(idx);
+            }
+        }
+    }
+
+    if(instance.projection == "hex" && instance.hexOrientation == "flat") {
+        const depth = {};
+
+        for(let i = 0; i < order.length; i++) {
+            const idx = order[i];
+            depth[idx] = projectTile(instance, idx % layer.width, Math.floor(idx / layer.width)).y;
+        }
+
+        order.sort(function(a, b) {
+            return (depth[a] - depth[b]) || (a - b);
+        });
+    }
+
+    const cell = getFreshDrawOperation();
+
+    cell.type = "tile";
+    cell.opacity = inst.opacity;
+    cell.ignoreLighting = inst.ignoreLighting;
+
+    for(let i = 0; i < order.length; i++) {
+        const idx = order[i];
+
+        cell.x = idx % layer.width;
+        cell.y = Math.floor(idx / layer.width);
+        cell.texture = layer.textures[idx];
+        cell.frame = layer.frames[idx];
+        cell.mirror = (layer.flags[idx] & TILE_FLAGS.flipX) != 0;
+
+        renderTile(instance, cell, outputData);
+    }
+
+    recycleRenderInstructions([cell]);
+}
+
+function renderTouchStick(instance, cx, cy, sx, sy) {
+    const scale = instance.renderScale;
+    
+    instance.context.strokeStyle = "#ffffff";
+    instance.context.fillStyle = "rgba(255, 255, 255, 0.4)";
+
+    instance.context.beginPath();
+    instance.context.arc(cx * scale, cy * scale, instance.touchstickRadius * scale, 0, Math.PI * 2);
+    instance.context.stroke();
+
+    instance.context.beginPath();
+    instance.context.arc(sx * scale, sy * scale, Math.ceil(instance.touchstickRadius * 0.3 * scale), 0, Math.PI * 2);
+    instance.context.fill();
+}
+
+function drawImageData(instance, texture, inputData, dx, dy, scale, composit, rotation, opacity, mirror, outputData, ignoreLighting, colorFilter, distortion, distortionSpeed, distortionScale, reflectivity, shimmer, palette) {
+
+    const renderScale = instance.renderScale;
+
+    // Scale all dimensions and positions by renderScale
+    // Original sprite position and center (before rotation expansion)
+    const spriteMinX = Math.round(dx * renderScale);
+    const spriteMinY = Math.round(dy * renderScale);
+
+    // Measured from the rounded far edge so fractional positions (zoom) never leave gaps between neighbors
+    const drawHeight = Math.round((dy + (texture.height * scale)) * renderScale) - spriteMinY;
+    const drawWidth = Math.round((dx + (texture.width * scale)) * renderScale) - spriteMinX;
+    const spriteCenterX = spriteMinX + drawWidth / 2;
+    const spriteCenterY = spriteMinY + drawHeight / 2;
+
+    // Rendering bounds (may be expanded for rotation)
+    let minX = spriteMinX;
+    let maxX = spriteMinX + drawWidth;
+    let minY = spriteMinY;
+    let maxY = spriteMinY + drawHeight;
+
+    if(rotation != 0) {
+        // For rotation, expand bounds to fit the diagonal (worst case: 45° rotation)
+        const diagonal = Math.ceil(Math.sqrt(drawWidth * drawWidth + drawHeight * drawHeight));
+        
+        // Center the square on the sprite's original center
+        minX = Math.floor(spriteCenterX - diagonal / 2);
+        maxX = Math.ceil(spriteCenterX + diagonal / 2);
+        minY = Math.floor(spriteCenterY - diagonal / 2);
+        maxY = Math.ceil(spriteCenterY + diagonal / 2);
+    }
+
+    const scaledWidth = instance.width * renderScale;
+    const scaledHeight = instance.height * renderScale;
+
+    if(maxX < 0 || maxY < 0) {
+        return;
+    }
+
+    if(minX > scaledWidth || minY > scaledHeight) {
+        return;
+    }
+
+    const cx = Math.round(spriteCenterX);
+    const cy = Math.round(spriteCenterY);
+
+    let rotationMode = 0;
+    let rotCos = 0;
+    let rotSin = 0;
+
+    if(rotation != 0) {
+        const rotDegRaw = rotation / PI_ONE_EIGHTY;
+        const rotDeg = Math.round(rotDegRaw);
+        const is90Increment = Math.abs(rotDegRaw - rotDeg) < 0.001 && rotDeg % 90 == 0;
+
+        if(is90Increment) {
+            const quadrant = ((rotDeg % 360) + 360) % 360;
+
+            if(quadrant == 90) {
+                rotationMode = 1;
+            } else if(quadrant == 180) {
+                rotationMode = 2;
+            } else if(quadrant == 270) {
+                rotationMode = 3;
+            }
+        } else {
+            rotationMode = 4;
+            rotCos = Math.cos(rotation);
+            rotSin = Math.sin(rotation);
+        }
+    }
+
+    // Sprites are mostly runs of the same color, so remember the last remapped color
+    let lastSourceColor = -1;
+    let lastPaletteColor = -1;
+
+    let sunDirX = 0;
+    let sunDirY = 0;
+
+    if(reflectivity > 0) {
+        sunDirX = Math.cos(instance.sunAngle);
+        sunDirY = Math.sin(instance.sunAngle);
+    }
+
+    for(let x = minX; x < maxX; x++) {
+
+        if(x < 0 || x >= scaledWidth) {
+            continue;
+        }
+
+        const ncx = x - cx;
+
+        for(let y = minY; y < maxY; y++) {
+            if(y < 0 || y >= scaledHeight) {
+                continue;
+            }
+
+            const ncy = y - cy;
+
+            let ucx = x;
+            let ucy = y;
+
+            if(rotationMode == 1) {
+                // 90° clockwise
+                ucx = cy + ncy;
+                ucy = cx - ncx;
+            } else if(rotationMode == 2) {
+                // 180°
+                ucx = cx - ncx;
+                ucy = cy - ncy;
+            } else if(rotationMode == 3) {
+                // 270° clockwise (-90°)
+                ucx = cy - ncy;
+                ucy = cx + ncx;
+            } else if(rotationMode == 4) {
+                // General rotation with cached trig values
+                ucx = Math.round((rotCos * (ncx)) - (rotSin * (ncy)) + cx);
+                ucy = Math.round((rotCos * (ncy)) + (rotSin * (ncx)) + cy);
+            }
+
+            // Calculate texture coordinates relative to the ORIGINAL sprite bounds, not expanded bounds
+            let xPer = (ucx - spriteMinX) / drawWidth;
+            let yPer = (ucy - spriteMinY) / drawHeight;
+
+            // Early rejection: skip pixels that are clearly outside the sprite bounds (optimization for rotation)
+            if(rotation != 0 && (xPer < -0.01 || xPer > 1.01 || yPer < -0.01 || yPer > 1.01)) {
+                continue;
+            }
+
+            // Apply distortion effect (water refraction)
+            if(distortion > 0) {
+                const time = instance.rndAngle * distortionSpeed;
+                const distortAmount = distortion * 0.05; // Scale distortion to reasonable amount
+                
+                // Create wave patterns using different frequencies
+                const xOffset = Math.sin((time + yPer * 10) * distortionScale) * distortAmount;
+                const yOffset = Math.cos((time + xPer * 10) * distortionScale) * distortAmount;
+                
+                xPer += xOffset;
+                yPer += yOffset;
+                
+                // Wrap coordinates to prevent gaps (seamless tiling)
+                xPer = xPer - Math.floor(xPer);
+                yPer = yPer - Math.floor(yPer);
+            }
+
+            let srcX = Math.round(texture.width * xPer);
+
+            if(mirror) {
+                srcX = (texture.width - 1) - srcX;
+            }
+
+            let srcY = Math.round(texture.height * yPer);
+
+            // Skip pixels outside texture bounds (for rotation) instead of clamping
+            // This prevents edge pixels from being stretched at rotated corners
+            if(rotation != 0 && (srcX < 0 || srcX >= texture.width || srcY < 0 || srcY >= texture.height)) {
+                continue;
+            }
+
+            // Clamp to texture bounds for non-rotated sprites
+            if(srcX < 0) srcX = 0;
+            if(srcX >= texture.width) srcX = texture.width - 1;
+            if(srcY < 0) srcY = 0;
+            if(srcY >= texture.height) srcY = texture.height - 1;
+
+            const inputIndex = ((srcY * texture.width) + srcX) * 4;
+
+            const incomingA = Math.round(inputData[inputIndex + 3] * opacity);
+
+            if(incomingA <= 0) {
+                continue;
+            }
+
+            let incomingR = inputData[inputIndex + 0];
+            let incomingG = inputData[inputIndex + 1];
+            let incomingB = inputData[inputIndex + 2];
+
+            if(palette) {
+                const sourceColor = (incomingR << 16) | (incomingG << 8) | incomingB;
+
+                if(sourceColor != lastSourceColor) {
+                    lastSourceColor = sourceColor;
+                    lastPaletteColor = palette.get(sourceColor) ?? -1;
+                }
+
+                if(lastPaletteColor != -1) {
+                    incomingR = (lastPaletteColor >> 16) & 255;
+                    incomingG = (lastPaletteColor >> 8) & 255;
+                    incomingB = lastPaletteColor & 255;
+                }
+            }
+
+            if(colorFilter) {
+                incomingR += colorFilter.r;
+                incomingG += colorFilter.g;
+                incomingB += colorFilter.b;
+
+                if(incomingR > 255) {
+                    incomingR = 255;
+                }
+
+                if(incomingG > 255) {
+                    incomingG = 255;
+                }
+
+                if(incomingB > 255) {
+                    incomingB = 255;
+                }
+            }
+
+            // Apply sun reflection/specular highlights
+            if(reflectivity > 0) {
+                // Normalize screen position (0-1)
+                const screenX = x / scaledWidth;
+                const screenY = y / scaledHeight;
+                
+                // Calculate how aligned this pixel is with sun direction
+                // Using dot product concept: pixels facing the sun get more reflection
+                const alignment = (screenX * sunDirX + screenY * sunDirY) * 0.5 + 0.5;
+                
+                // Create highlight falloff from optimal reflection point
+                let highlight = Math.pow(alignment, 8) * reflectivity;
+                
+                // Add shimmer effect if enabled
+                if(shimmer > 0) {
+                    const time = instance.rndAngle;
+                    // Create animated noise pattern for sparkles
+                    const sparkle1 = Math.sin(time * 3 + x * 0.5 + y * 0.3);
+                    const sparkle2 = Math.cos(time * 2 + x * 0.3 + y * 0.5);
+                    const sparkleNoise = (sparkle1 * sparkle2 + 1) * 0.5; // 0-1 range
+                    
+                    // Shimmer modulates the highlight with noise
+                    highlight *= (1 - shimmer) + (sparkleNoise * shimmer);
+                }
+                
+                // Apply highlight as additive brightness (screen blend)
+                if(highlight > 0) {
+                    const brightBoost = Math.round(highlight * 255);
+                    incomingR = Math.min(255, incomingR + brightBoost);
+                    incomingG = Math.min(255, incomingG + brightBoost);
+                    incomingB = Math.min(255, incomingB + brightBoost);
+                }
+            }
+
+            setColorAtPoint(instance, outputData, x, y, incomingR, incomingG, incomingB, incomingA, composit, ignoreLighting);
+            
+        }
+    }
+}
+
+/**
+ * Compile a palette passed to drawSprite or drawTile into a lookup from packed source RGB to packed target RGB.
+ * Lookups are cached per palette object, so reuse the same object rather than building a new one every draw.
+ * @param {Object<string, string>|{from: string[], to: string[]}} palette - A map of source hex colors to target hex colors,
+ * or an index table where each color in from is replaced by the color at the same index in to.
+ * @returns {Map<number, number>} The lookup.
+ */
+function getPaletteLookup(palette) {
+    let lookup = paletteLookups.get(palette);
+
+    if(lookup) {
+        return lookup;
+    }
+
+    lookup = new Map();
+
+    if(Array.isArray(palette.from) && Array.isArray(palette.to)) {
+        const count = Math.min(palette.from.length, palette.to.length);
+
+        for(let i = 0; i < count; i++) {
+            lookup.set(packHexColor(palette.from[i]), packHexColor(palette.to[i]));
+        }
+    } else {
+        for(const source in palette) {
+            lookup.set(packHexColor(source), packHexColor(palette[source]));
+        }
+    }
+
+    paletteLookups.set(palette, lookup);
+
+    return lookup;
+}
+
+/**
+ * Pack a hex color into a single RGB number.
+ * @param {string} hex - The hex color.
+ * @returns {number} The packed color.
+ */
+function packHexColor(hex) {
+    const rgb = hexToRGB(hex);
+
+    return (rgb.r << 16) | (rgb.g << 8) | rgb.b;
+}
+
+function getOverridePPPFrame(state, facing) {
+    if(state == "dead") {
+        return 6;
+    }
+
+    let frame = 0;
+
+    if(state == "walking" && overrideOffTurn) {
+        frame = 1;
+    }
+
+    if(state == "attacking" || state == "using") {
+        frame = 2;
+    }
+
+    if(facing == "e") {
+        frame += 3;
+    }
+
+    return frame;
+}
+
+function setColorAtPoint(instance, outputData, x, y, r, g, b, a, composit, ignoreLighting) {
+
+    if(instance.profiler) {
+        instance.profiler.current.pixelsWritten++;
+    }
+
+    if(!ignoreLighting) {
+        if(instance.activeLights.length > 0) {
+            const lighting = instance.getLightingAtPosition(x / instance.renderScale, y / instance.renderScale);
+
+            r = multiplyColors(r, lighting.r, false);
+            g = multiplyColors(g, lighting.g, false);
+            b = multiplyColors(b, lighting.b, false);
+        } else if(instance.hasWeightedLighting) {
+            r = multiplyColors(r, instance.weightedLighting.r, false);
+            g = multiplyColors(g, instance.weightedLighting.g, false);
+            b = multiplyColors(b, instance.weightedLighting.b, false);
+        }
+    }
+    
+    const d = outputData.data;
+    const imJ = (y + instance.outputOffsetY) * instance.outputStride;
+    const idx = (imJ + x + instance.outputOffsetX) * 4;
+    const dl = d.length;
+
+    if(a >= 255 && !composit) {
+        setColorAtIndex(d, idx, r, dl);
+        setColorAtIndex(d, idx + 1, g, dl);
+        setColorAtIndex(d, idx + 2, b, dl);
+        setColorAtIndex(d, idx + 3, 255, dl);
+
+        return;
+    }
+
+    const exR = d[idx];
+    const exG = d[idx + 1];
+    const exB = d[idx + 2];
+
+    if(composit) {
+        if(composit == "hard-light") {
+            r = hardLight(r, exR);
+            g = hardLight(g, exG);
+            b = hardLight(b, exB);
+        }
+
+        if(composit == "lighten") {
+            r = lightenColors(r, exR);
+            g = lightenColors(g, exG);
+            b = lightenColors(b, exB);
+        }
+
+        if(composit == "lighter") {
+            r = lighterColors(r, exR);
+            g = lighterColors(g, exG);
+            b = lighterColors(b, exB);
+        }
+
+        if(composit == "screen") {
+            r = screenColors(r, exR);
+            g = screenColors(g, exG);
+            b = screenColors(b, exB);
+        }
+
+        if(composit == "multiply") {
+            r = multiplyColors(r, exR);
+            g = multiplyColors(g, exG);
+            b = multiplyColors(b, exB);
+        }
+
+        if(composit == "overlay") {
+            r = screenColors(r, multiplyColors(r, exR));
+            g = screenColors(g, multiplyColors(g, exG));
+            b = screenColors(b, multiplyColors(b, exB));
+        }
+
+        if(composit == "darken") {
+            r = darkenColors(r, exR);
+            g = darkenColors(g, exG);
+            b = darkenColors(b, exB);
+        }
+
+        if(composit == "darker") {
+            r = darkerColors(r, exR);
+            g = darkerColors(g, exG);
+            b = darkerColors(b, exB);
+        }
+    } else if(a && a < 255) {
+        // Apply alpha blending for non-composited pixels
+        const alPer = a / 255;
+        r = weighColors(exR, r, 1, alPer);
+        g = weighColors(exG, g, 1, alPer);
+        b = weighColors(exB, b, 1, alPer);
+    }
+
+    // Apply alpha to composited result if needed
+    if(composit && a && a < 255) {
+        const alPer = a / 255;
+        r = weighColors(exR, r, 1, alPer);
+        g = weighColors(exG, g, 1, alPer);
+        b = weighColors(exB, b, 1, alPer);
+    }
+
+    setColorAtIndex(d, idx, r, dl);
+    setColorAtIndex(d, idx + 1, g, dl);
+    setColorAtIndex(d, idx + 2, b, dl);
+    setColorAtIndex(d, idx + 3, 255, dl);
+}
+
+function multiplyColors(c1, c2, alreadySingled) {
+    if(alreadySingled) {
+        return colorSingle(c1 * c2);
+    } else {
+        return colorSingle(singleColor(c1) * singleColor(c2));
+    }
+}
+
+function setColorAtIndex(data, index, color, dLen) {
+    if(index < dLen) {
+        data[index] = color;
+    }
+}
+
+function hardLight(c1,c2) {
+
+    if(c2 < 130) {
+        return multiplyColors(singleColor(c1),singleColor(c2) * 2,true);
+    } else {
+        return screenColors(singleColor(c1),2 * singleColor(c2) - 1,true);
+    }
+}
+
+function lightenColors(c1, c2) {
+    return Math.max(c1,c2);
+}
+
+function lighterColors(c1, c2) {
+    const col = c1 + c2;
+
+    if(col > 255) {
+        return 255;
+    }
+
+    return col;
+}
+
+/**
+ * Calculate the screen effect of two color values.
+ * @param {number} c1 - The first color value.
+ * @param {number} c2 - The second color value.
+ * @param {boolean} alreadySingled - Whether the color values are already in the 0-1 range.
+ * @returns {number} The resulting color value after applying the screen effect.
+ * If the result exceeds 255, it returns 255.
+ * If the result is negative, it returns 0.
+ */
+function screenColors(c1, c2, alreadySingled) {
+    if(alreadySingled) {
+        return colorSingle(1 - ((1 - c1) * (1 - c2)));
+    } else {
+        const s1 = singleColor(c1);
+        const s2 = singleColor(c2);
+
+        return colorSingle(1 - ((1 - s1) * (1 - s2)));
+    }
+}
+
+/**
+ * Get the darker of two color values.
+ * @param {number} c1 - The first color value.
+ * @param {number} c2 - The second color value.
+ * @returns {number} The darker color value.
+ * If both colors are equal, it returns the color value.
+ */
+function darkenColors(c1, c2) {
+    return Math.min(c1,c2);
+}
+
+/**
+ * Calculate the difference between two color values.
+ * @param {number} c1 - The first color value.
+ * @param {number} c2 - The second color value.
+ * @returns {number} The difference between the two color values.
+ * If the difference is negative, it returns 0.
+ */
+function darkerColors(c1, c2) {
+    let col = c1 - c2;
+
+    if(col < 0) {
+        col = 0;
+    }
+
+    return col;
+}
+
+/**
+ * Convert a color value from 0-1 range to a 0-255 range.
+ * @param {number} s - The color value (0-1).
+ * @returns {number} The color value in the range of 0-255.
+ */
+function colorSingle(s) {
+    return Math.round(s * 255);
+}
+
+/**
+ * Convert a color value from 0-255 range to a 0-1 range.
+ * @param {number} c - The color value (0-255).
+ * @returns {number} The color value in the range of 0-1.
+ */
+function singleColor(c) {
+    return c / 255;
+}
+
+/**
+ * Get a new particle operation from the recycling pool or create a new one if none are available.
+ * @returns {ParticleInstruction} A new or recycled ParticleInstruction object.
+ */
+function getFreshParticleOperation() {
+    const op = particleInstructionRecycling.pop();
+
+    if(op) {
+        op.x = 0;
+        op.y = 0;
+        op.z = 0;
+
+        op.px = 0;
+        op.py = 0;
+
+        op.zI = 0;
+
+        op.color = "#ff0000";
+        op.colorVariance = 0;
+        op.size = 1;
+
+        op.vx = 0;
+        op.vy = 0;
+        op.vz = 0;
+        
+        op.gz = 0.01;
+        op.tv = 0.04;
+
+        op.composit = null;
+
+        op.life = -1;
+        op.cashed = false;
+
+        op.opacity = 1;
+
+        op.stayOnGround = false;
+        op.lifeOnGround = -1;
+
+        op.glowRadius = 0;
+        op.glowBrightness = 0;
+
+        op.fadeSpeed = 0;
+
+        op.trails = false;
+        op.ignoreLighting = false;
+        op.useRaw = false;
+        op.useGlobalAngle = false;
+        op.loopsBack = false;
+        op.splatOnImpact = false;
+    } else {
+        return new ParticleInstruction();
+    }
+
+    return op;
+}
+
+/**
+ * Program for the "Splat" effect.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {Object} options - Options for the splat effect.
+ * @param {string} options.color - Color of the splat.
+ * @param {number} options.size - Size of each splat particle.
+ * @param {number} options.amount - Number of splat particles to create.
+ * @param {number} options.x - X coordinate of the splat center.
+ * @param {number} options.y - Y coordinate of the splat center.
+ * @param {number} options.z - Simulated elevation of the splat.
+ * @param {number} options.zI - zIndex of the effect.
+ * @param {boolean} options.useRaw - Whether to use raw coordinates.
+ * @param {boolean} options.stayOnGround - Whether the splat should stay on the ground.
+ */
+function partProgSplat(instance, options) {
+    const color = options.color || "#ff0000";
+    const size = options.size || 1;
+    const zIndex = options.zI || 0;
+    const z = options.z || 0.5;
+    const useRaw = options.useRaw || false;
+
+    let amount = options.amount || instance.randomInt(15, 60);
+
+    while(amount > 0) {
+        amount--;
+
+        const vx = (instance.randomInt(0, 100) - 50) / 1000;
+        const vy = (instance.randomInt(0, 100) - 50) / 1000;
+        const vz = (instance.randomInt(0, 100) - 50) / 1000;
+
+        instance.insertParticleInstruction({
+            color: color,
+            x: options.x,
+            y: options.y,
+            z: z,
+            zI: zIndex,
+            vx: vx,
+            vy: vy,
+            vz: vz,
+            size: size,
+            stayOnGround: options.stayOnGround ?? true,
+            lifeOnGround: 800,
+            useRaw: useRaw,
+        });
+    }
+}
+
+/**
+ * Update the particle instance.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {ParticleInstruction} inst - The particle instruction to update.
+ * @param {number} delta - The time delta since the last update.
+ * @param {Object} bounds - The current view bounds.
+ */
+function updateParticle(instance, inst, delta, bounds) {
+    // Fixed steps are already limited by maxSimSteps, so only variable frames after a stall are capped
+    if(instance.fixedStepMs <= 0 && delta > MAX_PARTICLE_DELTA) {
+        delta = MAX_PARTICLE_DELTA;
+    }
+
+    inst.opacity -= inst.fadeSpeed * delta;
+
+    if(inst.opacity <= 0) {
+        inst.cashed = true;
+        return;
+    }
+
+    if(inst.life > -1) {
+        inst.life -= delta;
+
+        if(inst.life <= 0) {
+            inst.cashed = true;
+            return;
+        }
+    }
+
+    const ox = inst.x;
+    const oy = inst.y;
+    const oz = inst.z;
+
+    inst.px = ox;
+    inst.py = oy;
+
+    // Apply horizontal velocity
+    if(inst.useGlobalAngle) {
+        // Global wind effect: subtle unified drift for all particles (pixel-art scale)
+        const globalDrift = Math.sin(instance.rndAngle * PI_ONE_EIGHTY) * 0.01; // ±0.01 tiles/frame
+        inst.x += (inst.vx + globalDrift) * delta;
+    } else {
+        inst.x += inst.vx * delta;
+    }
+    
+    inst.y += inst.vy * delta;
+
+    if(inst.life == -1) {
+        if(inst.x < bounds.xMin && inst.vx < 0) {
+            if(inst.loopsBack) {
+                inst.x = bounds.xMax;
+                inst.px = inst.x;
+            } else {
+                inst.cashed = true;
+            }
+            return;
+        }
+    
+        if(inst.x > bounds.xMax && inst.vx > 0) {
+            if(inst.loopsBack) {
+                inst.x = bounds.xMin;
+                inst.px = inst.x;
+            } else {
+                inst.cashed = true;
+            }
+            return;
+        }
+    
+        if(inst.y < bounds.yMin && inst.vy < 0) {
+            inst.cashed = true;
+            return;
+        }
+    
+        if(inst.y > bounds.yMax && inst.vy > 0) {
+            inst.cashed = true;
+            return;
+        }
+    }
+    
+    let velZ = inst.vz;
+
+    if(velZ > inst.tv) {
+        velZ = inst.tv;
+    }
+
+    inst.vz += inst.gz * delta;
+
+    inst.z -= velZ * delta;
+
+    if(inst.z <= 0) {
+        if(inst.stayOnGround) {
+            inst.z = 0;
+            inst.vx = 0;
+            inst.vy = 0;
+            inst.vz = 0;
+            inst.gz = 0;
+            inst.tv = 0;
+
+            if(inst.life == -1 && inst.lifeOnGround > -1) {
+                inst.life = inst.lifeOnGround;
+            }
+        } else {
+            inst.cashed = true;
+
+            if(inst.splatOnImpact) {
+                partProgSplat(instance, {
+                    color: inst.color,
+                    size: inst.size,
+                    amount: instance.randomInt(0, 6),
+                    x: ox,
+                    y: oy,
+                    z: oz,
+                    zI: inst.zI,
+                    useRaw: inst.useRaw,
+                    stayOnGround: false
+                });
+            }
+
+            return;
+        }
+    }
+
+    if(inst.trails) {
+        instance.insertParticleInstruction({
+            x: ox,
+            y: oy,
+            z: oz,
+            vx: 0,
+            vy: 0,
+            vz: 0,
+            gz: 0,
+            tv: 0,
+            color: inst.color,
+            size: inst.size,
+            opacity: inst.opacity,
+            composit: inst.composit,
+            fadeSpeed: inst.fadeSpeed + 0.02,
+            ignoreLighting: inst.ignoreLighting,
+            trails: false,
+            useRaw: inst.useRaw,
+        });
+    }
+}
+
+/**
+ * Render the particle instance.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {DrawInstruction} inst - The draw instruction to render.
+ * @param {Object} outputData - The output data to render to.
+ */
+function renderParticle(instance, inst, outputData) {
+    const color = inst.useState;
+
+    if(!color || inst.opacity <= 0) {
+        return;
+    }
+
+    let uvx = instance.viewX;
+
+    if(inst.useRaw) {
+        uvx = instance.viewXraw;
+    }
+
+    const zoom = instance.zoom;
+
+    const elevationOffset = Math.round(inst.z * instance.tileSize);
+
+    const anchor = getCellAnchor(instance, inst.x, inst.y);
+
+    const dx = Math.round((anchor.x - uvx) * instance.renderScale * zoom);
+    const dy = Math.round(((instance.roundingOp(anchor.y - instance.viewY) - inst.scale) * instance.renderScale - elevationOffset) * zoom);
+
+    const scaledSize = Math.max(1, Math.round(inst.scale * instance.renderScale * zoom));
+
+    let minX = dx;
+    let maxX = dx + scaledSize;
+
+    let minY = dy;
+    let maxY = dy + scaledSize;
+
+    const rgb = hexToRGB(color);
+
+    let r = rgb.r;
+    let g = rgb.g;
+    let b = rgb.b;
+
+    const a = Math.round(inst.opacity * 255);
+
+    if(inst.colorFilter) {
+        r += inst.colorFilter.r;
+        g += inst.colorFilter.g;
+        b += inst.colorFilter.b;
+
+        if(r > 255) {
+            r = 255;
+        }
+
+        if(g > 255) {
+            g = 255;
+        }
+
+        if(b > 255) {
+            b = 255;
+        }
+
+        if(r < 0) {
+            r = 0;
+        }
+
+        if(g < 0) {
+            g = 0;
+        }
+
+        if(b < 0) {
+            b = 0;
+        }
+    }
+
+    const scaledWidth = instance.width * instance.renderScale;
+    const scaledHeight = instance.height * instance.renderScale;
+
+    for(let x = minX; x < maxX; x++) {
+        if(x < 0 || x >= scaledWidth) {
+            continue;
+        }
+
+        for(let y = minY; y < maxY; y++) {
+            if(y < 0 || y >= scaledHeight) {
+                continue;
+            }
+
+            setColorAtPoint(instance, outputData, x, y, r, g, b, a, inst.composit, inst.ignoreLighting);
+        }
+    }
+}
+
+/**
+ * Get the view bounds that particles and weather are simulated in: one per visible viewport, or the instance view
+ * when it has no visible viewports.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @returns {Object[]} The view bounds.
+ */
+function getSimulationViewBounds(instance) {
+    const bounds = [];
+
+    for(let i = 0; i < instance.viewports.length; i++) {
+        const viewport = instance.viewports[i];
+
+        if(viewport.visible) {
+            bounds.push(viewport.getViewBounds());
+        }
+    }
+
+    if(bounds.length == 0) {
+        bounds.push(instance.getViewBounds());
+    }
+
+    return bounds;
+}
+
+/**
+ * Combine several view bounds into one that covers all of them, so particles aren't culled while another view shows them.
+ * @param {Object[]} list - The view bounds to combine.
+ * @returns {Object} The combined view bounds.
+ */
+function mergeViewBounds(list) {
+    const merged = Object.assign({}, list[0]);
+
+    for(let i = 1; i < list.length; i++) {
+        merged.xMin = Math.min(merged.xMin, list[i].xMin);
+        merged.yMin = Math.min(merged.yMin, list[i].yMin);
+        merged.xMax = Math.max(merged.xMax, list[i].xMax);
+        merged.yMax = Math.max(merged.yMax, list[i].yMax);
+    }
+
+    return merged;
+}
+
+/**
+ * Find the view bounds a particle is in, so it is culled and looped within the view that shows it.
+ * @param {Object[]} list - The view bounds to search.
+ * @param {Object} fallback - The bounds to use when the point is in none of them.
+ * @param {number} x - The x position in tiles.
+ * @param {number} y - The y position in tiles.
+ * @returns {Object} The view bounds.
+ */
+function findViewBounds(list, fallback, x, y) {
+    for(let i = 0; i < list.length; i++) {
+        const bounds = list[i];
+
+        if(x >= bounds.xMin && x <= bounds.xMax && y >= bounds.yMin && y <= bounds.yMax) {
+            return bounds;
+        }
+    }
+
+    return fallback;
+}
+
+/**
+ * Run the environmental conditions for the given instance.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {Object} bounds - The current view bounds.
+ */
+function runEnvironmentalConditions(instance, bounds) {
+    if(instance.environmentalEffect == ENVIRONMENTAL_EFFECTS.none) {
+        return;
+    }
+
+    if(instance.environmentalEffect == ENVIRONMENTAL_EFFECTS.rain) {
+        handleInstanceRain(instance, bounds);
+    }
+
+    if(instance.environmentalEffect == ENVIRONMENTAL_EFFECTS.snow) {
+        handleInstanceSnow(instance, bounds);
+    }
+
+    if(instance.environmentalEffect == ENVIRONMENTAL_EFFECTS.embers) {
+        handleInstanceEmbers(instance, bounds);
+    }
+}
+
+/** 
+ * Handle the rain effect for the given instance.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {Object} bounds - The current view bounds.
+ */
+function handleInstanceRain(instance, bounds) {
+    let dropCount = instance.randomInt(0, 3);
+
+    while(dropCount > 0) {
+        dropCount--;
+
+        const rx = instance.randomInt((bounds.xMin - 1) * 100, (bounds.xMax + 1) * 100);
+        const ry = instance.randomInt((bounds.yMin - 1) * 100, (bounds.yMax + 1) * 100);
+
+        const rv = instance.randomInt(6, 14) / 100;
+
+        instance.insertParticleInstruction({
+            x: rx / 100,
+            y: ry / 100,
+            z: instance.height / instance.tileSize,
+            vx: 0,
+            vy: rv,
+            vz: 0,
+            gz: 0,
+            tv: 0,
+            color: "#42A5F5",
+            size: 1,
+            opacity: 0.3,
+            composit: null,
+            ignoreLighting: false,
+            trails: true,
+            useRaw: false,
+            zI: instance.environmentalEffectZIndex || 0
+        });
+    }
+}
+
+/**
+ * Handle the snow effect for the given instance.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {Object} bounds - The current view bounds.
+ */
+function handleInstanceSnow(instance, bounds) {
+    const snowChance = instance.randomInt(0, 4);
+
+    if(snowChance == 2) {
+        const rx = instance.randomInt((bounds.xMin - 1) * 100, (bounds.xMax + 1) * 100);
+        const ry = instance.randomInt((bounds.yMin - 1) * 100, (bounds.yMax + 1) * 100);
+
+        // Pixel-art scale: fall 0.01-0.03 pixels/frame, drift barely at all
+        const fallSpeed = instance.randomInt(1, 3) / 100; // 0.01-0.03 pixels/frame downward
+        const drift = (instance.randomInt(-1, 1) / 10000); // ±0.0001 pixels/frame drift
+
+        instance.insertParticleInstruction({
+            x: rx / 100,
+            y: ry / 100,
+            z: instance.height / instance.tileSize,
+            vx: drift,
+            vy: fallSpeed,
+            vz: 0,
+            gz: 0,
+            tv: 0,
+            color: "#ffffff",
+            size: 2,
+            opacity: 0.9,
+            composit: null,
+            ignoreLighting: false,
+            trails: false,
+            useRaw: false,
+            useGlobalAngle: true,
+            loopsBack: true,
+            stayOnGround: true,
+            lifeOnGround: 300,
+            zI: instance.environmentalEffectZIndex || 0
+        });
+    }
+}
+
+/**
+ * Handle the embers effect for the given instance.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {Object} bounds - The current view bounds.
+ */
+function handleInstanceEmbers(instance, bounds) {
+    // Spawn multiple embers per frame from near the bottom of the screen
+    const emberCount = instance.randomInt(1, 3); // 1-3 embers per frame
+    
+    for(let i = 0; i < emberCount; i++) {
+        const rx = instance.randomInt((bounds.xMin + 1) * 100, (bounds.xMax - 1) * 100);
+        const ryOffset = instance.randomInt(0, 20) / 10; // 0 to 2 tiles variance
+
+        partProgEmber(instance, {
+            x: rx / 100,
+            y: bounds.yMax - ryOffset, // Vary Y position to prevent stacking
+            z: 0.1, // Small elevation so they don't get culled immediately
+            maxChance: 0, // Always spawn (bypass chance for debugging)
+            loopBack: false, // Don't loop, let them disappear at top
+            zI: instance.environmentalEffectZIndex || 0
+        });
+    }
+}
+
+/**
+ * Render a smoke effect for the given instance.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {Object} options - Options for the smoke effect.
+ * @param {string} options.color - Color of the smoke.
+ * @param {number} options.x - X coordinate of the smoke origin.
+ * @param {number} options.y - Y coordinate of the smoke origin.
+ * @param {number} options.z - Simulated elevation of the smoke origin.
+ * @param {number} options.zI - zIndex of the effect.
+ */
+function partProgSmoke(instance, options) {
+    const chance = instance.randomInt(0, 16);
+
+    if(chance < 13) {
+        return;
+    }
+
+    const color = options.color || "#666666";
+
+    const vx = (instance.randomInt(0, 100) / 10000) - 0.005;
+    const vy = (instance.randomInt(0, 100) / 10000) - 0.005;
+
+    const z = options.z || 0;
+    const zIndex = options.zI || 0;
+
+    instance.insertParticleInstruction({
+        x: options.x,
+        y: options.y,
+        z: z,
+        zI: zIndex,
+        color: color,
+        vx: vx,
+        vy: vy,
+        vz: -0.0002,
+        gz: -0.0002,
+        fadeSpeed: 0.01,
+        colorVariance: 32
+    });
+}
+
+function variateHexColor(instance, hex, variance) {
+    const rgb = hexToRGB(hex);
+
+    let r = rgb.r + instance.randomInt(-variance, variance);
+    let g = rgb.g + instance.randomInt(-variance, variance);
+    let b = rgb.b + instance.randomInt(-variance, variance);
+
+    // Clamp values to 0-255 range
+    if(r < 0) r = 0;
+    if(r > 255) r = 255;
+    if(g < 0) g = 0;
+    if(g > 255) g = 255;
+    if(b < 0) b = 0;
+    if(b > 255) b = 255;
+
+    return rgbToHex(r, g, b);
+}
+
+/**
+ * Render an ember effect for the given instance.
+ * @param {PixelEngineInstance} instance - The pixel engine instance.
+ * @param {Object} options - Options for the ember effect.
+ * @param {string} options.color - Color of the ember.
+ * @param {number} options.maxChance - Maximum chance of ember generation.
+ * @param {number} options.x - X coordinate of the ember origin.
+ * @param {number} options.y - Y coordinate of the ember origin.
+ * @param {number} options.z - Simulated elevation of the ember origin.
+ * @param {number} options.zI - zIndex of the effect.
+ * @param {number} options.colorVariance - Variance in color for the ember.
+ * @param {boolean} options.loopBack - Whether the ember should loop back.
+ */
+function partProgEmber(instance, options) {
+
+    const maxChance = options.maxChance ?? 40;
+
+    const chance = instance.randomInt(0, maxChance);
+
+    if(chance > 0) {
+        return;
+    }
+
+    const z = options.z || 0;
+    const zIndex = options.zI || 0;
+    
+    // Ember colors: orange-yellow spectrum
+    const emberColors = ["#FF6600", "#FF7700", "#FF8800", "#FF9900", "#FFAA00"];
+    const color = emberColors[instance.randomInt(0, emberColors.length - 1)];
+    const colorVariance = 30; // Color variation for natural look
+    const loopBack = options.loopBack || false;
+
+    // Much slower rise - particles move in TILE coordinates
+    const riseSpeed = -instance.randomInt(2, 7) / 500; // -0.004 to -0.012 tiles/frame
+    const drift = (instance.randomInt(-2, 2) / 1000); // ±0.001 tiles/frame individual drift
+
+    instance.insertParticleInstruction({
+        x: options.x,
+        y: options.y,
+        z: z,
+        zI: zIndex,
+        vx: drift,
+        vy: riseSpeed,
+        vz: 0,
+        gz: -0.00001, // Very slight upward force to keep them airborne
+        tv: 0.04,
+        color: color,
+        size: 2,
+        opacity: 0.9, // Slightly transparent for glow effect
+        composit: "lighter", // Additive blending for fire-like glow
+        ignoreLighting: true, // Embers emit their own light
+        trails: false,
+        useRaw: false,
+        useGlobalAngle: true,
+        loopsBack: loopBack,
+        colorVariance: colorVariance,
+        glowRadius: 0.45,
+        glowBrightness: 0.35,
+        life: 1800 // 30 seconds at 60fps - enough time to cross the viewport
+    });
+}
 
-    let sunDirX = 0;
-    let sunDirY = 0;
+/**
+ * Check if a string passed to loadTiledMap is map text rather than a URL.
+ * @param {string} text - The string.
+ * @returns {boolean} True if the string is JSON or XML.
+ */
+function isTiledText(text) {
+    const first = text.trimStart().charAt(0);
 
-    if(reflectivity > 0) {
-        sunDirX = Math.cos(instance.sunAngle);
-        sunDirY = Math.sin(instance.sunAngle);
+    return first == "{" || first == "<";
+}
+
+/**
+ * Parse a Tiled map or tileset from JSON or TMX text into the Tiled JSON structure.
+ * @param {Object|string} data - Parsed JSON, or JSON or TMX text.
+ * @returns {Object} The Tiled JSON.
+ */
+function parseTiledDocument(data) {
+    if(typeof data != "string") {
+        return data;
     }
 
-    for(let x = minX; x < maxX; x++) {
+    if(data.trimStart().charAt(0) == "{") {
+        return JSON.parse(data);
+    }
 
-        if(x < 0 || x >= scaledWidth) {
-            continue;
-        }
+    const root = parseXML(data);
 
-        const ncx = x - cx;
+    if(root && root.name == "tileset") {
+        return tmxTilesetToJson(root);
+    }
 
-        for(let y = minY; y < maxY; y++) {
-            if(y < 0 || y >= scaledHeight) {
-                continue;
-            }
+    return tmxMapToJson(root);
+}
 
-            const ncy = y - cy;
+/**
+ * Build a TiledMap from Tiled JSON: load the tilesets, then convert every layer.
+ * @param {Object} json - The Tiled map JSON.
+ * @param {string} baseUrl - The URL that paths in the map are relative to.
+ * @param {Object} options - The options passed to loadTiledMap.
+ * @returns {Promise<TiledMap>} The map.
+ */
+async function buildTiledMap(json, baseUrl, options) {
+    if(!json) {
+        throw new Error("Not a Tiled map");
+    }
 
-            let ucx = x;
-            let ucy = y;
+    if(json.infinite) {
+        throw new Error("Infinite Tiled maps are not supported");
+    }
 
-            if(rotationMode == 1) {
-                // 90° clockwise
-                ucx = cy + ncy;
-                ucy = cx - ncx;
-            } else if(rotationMode == 2) {
-                // 180°
-                ucx = cx - ncx;
-                ucy = cy - ncy;
-            } else if(rotationMode == 3) {
-                // 270° clockwise (-90°)
-                ucx = cy - ncy;
-                ucy = cx + ncx;
-            } else if(rotationMode == 4) {
-                // General rotation with cached trig values
-                ucx = Math.round((rotCos * (ncx)) - (rotSin * (ncy)) + cx);
-                ucy = Math.round((rotCos * (ncy)) + (rotSin * (ncx)) + cy);
-            }
+    const map = new TiledMap(json);
+    const tilesets = json.tilesets || [];
 
-            // Calculate texture coordinates relative to the ORIGINAL sprite bounds, not expanded bounds
-            let xPer = (ucx - spriteMinX) / drawWidth;
-            let yPer = (ucy - spriteMinY) / drawHeight;
+    for(let i = 0; i < tilesets.length; i++) {
+        let tileset = tilesets[i];
+        let tilesetUrl = baseUrl;
 
-            // Early rejection: skip pixels that are clearly outside the sprite bounds (optimization for rotation)
-            if(rotation != 0 && (xPer < -0.01 || xPer > 1.01 || yPer < -0.01 || yPer > 1.01)) {
-                continue;
-            }
+        if(tileset.source) {
+            tilesetUrl = resolveTiledPath(tileset.source, baseUrl);
 
-            // Apply distortion effect (water refraction)
-            if(distortion > 0) {
-                const time = instance.rndAngle * distortionSpeed;
-                const distortAmount = distortion * 0.05; // Scale distortion to reasonable amount
-                
-                // Create wave patterns using different frequencies
-                const xOffset = Math.sin((time + yPer * 10) * distortionScale) * distortAmount;
-                const yOffset = Math.cos((time + xPer * 10) * distortionScale) * distortAmount;
-                
-                xPer += xOffset;
-                yPer += yOffset;
-                
-                // Wrap coordinates to prevent gaps (seamless tiling)
-                xPer = xPer - Math.floor(xPer);
-                yPer = yPer - Math.floor(yPer);
-            }
+            const response = checkResponse(await fetch(tilesetUrl), tilesetUrl);
+            tileset = Object.assign(parseTiledDocument(await response.text()), { firstgid: tilesets[i].firstgid });
+        }
 
-            let srcX = Math.round(texture.width * xPer);
+        map.tilesets.push(createTiledTileset(tileset, tilesetUrl, options));
+    }
 
-            if(mirror) {
-                srcX = (texture.width - 1) - srcX;
-            }
+    map.tilesets.sort(function(a, b) {
+        return a.firstGid - b.firstGid;
+    });
 
-            let srcY = Math.round(texture.height * yPer);
+    const parent = {
+        name: "",
+        visible: true,
+        opacity: 1,
+        offsetX: 0,
+        offsetY: 0
+    };
 
-            // Skip pixels outside texture bounds (for rotation) instead of clamping
-            // This prevents edge pixels from being stretched at rotated corners
-            if(rotation != 0 && (srcX < 0 || srcX >= texture.width || srcY < 0 || srcY >= texture.height)) {
-                continue;
-            }
+    await addTiledLayers(map, json.layers || [], parent, options.z || 0);
 
-            // Clamp to texture bounds for non-rotated sprites
-            if(srcX < 0) srcX = 0;
-            if(srcX >= texture.width) srcX = texture.width - 1;
-            if(srcY < 0) srcY = 0;
-            if(srcY >= texture.height) srcY = texture.height - 1;
+    return map;
+}
 
-            const inputIndex = ((srcY * texture.width) + srcX) * 4;
+/**
+ * Create a tileset and its textures from Tiled tileset JSON.  Tiles with an animation get their own texture
+ * playing it as a clip, so they animate wherever they are placed.
+ * @param {Object} json - The Tiled tileset JSON, with its firstgid.
+ * @param {string} baseUrl - The URL that the tileset's image paths are relative to.
+ * @param {Object} options - The options passed to loadTiledMap.
+ * @returns {Object} The tileset.
+ */
+function createTiledTileset(json, baseUrl, options) {
+    const tileset = {
+        name: json.name || "",
+        firstGid: json.firstgid || 1,
+        tileCount: json.tilecount || 0,
+        columns: json.columns || 0,
+        tileWidth: json.tilewidth || DEF_TILE_SIZE,
+        tileHeight: json.tileheight || DEF_TILE_SIZE,
+        properties: getTiledProperties(json.properties),
+        texture: null,
+        tiles: {}
+    };
 
-            const incomingA = Math.round(inputData[inputIndex + 3] * opacity);
+    if(json.image) {
+        const sheet = getTiledImageOptions(json.image, json.name, baseUrl, options);
 
-            if(incomingA <= 0) {
-                continue;
-            }
+        sheet.type = "spritesheet";
+        sheet.frameWidth = tileset.tileWidth;
+        sheet.frameHeight = tileset.tileHeight;
+        sheet.margin = json.margin || 0;
+        sheet.spacing = json.spacing || 0;
 
-            let incomingR = inputData[inputIndex + 0];
-            let incomingG = inputData[inputIndex + 1];
-            let incomingB = inputData[inputIndex + 2];
+        tileset.texture = loadTexture(sheet);
+    }
 
-            if(colorFilter) {
-                incomingR += colorFilter.r;
-                incomingG += colorFilter.g;
-                incomingB += colorFilter.b;
+    const tiles = json.tiles || [];
 
-                if(incomingR > 255) {
-                    incomingR = 255;
-                }
+    for(let i = 0; i < tiles.length; i++) {
+        const tile = tiles[i];
 
-                if(incomingG > 255) {
-                    incomingG = 255;
-                }
+        const info = {
+            id: tile.id,
+            type: tile.type ?? tile.class ?? "",
+            properties: getTiledProperties(tile.properties),
+            texture: null,
+            frame: tile.id
+        };
 
-                if(incomingB > 255) {
-                    incomingB = 255;
-                }
-            }
+        if(tile.image) {
+            // Image collection tilesets have a texture per tile
+            info.texture = loadTexture(Object.assign(getTiledImageOptions(tile.image, null, baseUrl, options), { type: "image" }));
+            info.frame = 0;
+        } else if(tileset.texture && tile.animation && tile.animation.length > 0) {
+            // Animated tiles share the tileset's frames instead of loading the sheet again for every clip
+            info.texture = loadTexture({
+                type: "imagedata",
+                data: tileset.texture,
+                clips: [{
+                    name: "tiled",
+                    frames: tile.animation.map(function(frame) {
+                        return frame.tileid;
+                    }),
+                    frameDuration: tile.animation.map(function(frame) {
+                        return frame.duration;
+                    })
+                }],
+                clip: "tiled"
+            });
+            info.frame = -1;
+        }
 
-            // Apply sun reflection/specular highlights
-            if(reflectivity > 0) {
-                // Normalize screen position (0-1)
-                const screenX = x / scaledWidth;
-                const screenY = y / scaledHeight;
-                
-                // Calculate how aligned this pixel is with sun direction
-                // Using dot product concept: pixels facing the sun get more reflection
-                const alignment = (screenX * sunDirX + screenY * sunDirY) * 0.5 + 0.5;
-                
-                // Create highlight falloff from optimal reflection point
-                let highlight = Math.pow(alignment, 8) * reflectivity;
-                
-                // Add shimmer effect if enabled
-                if(shimmer > 0) {
-                    const time = instance.rndAngle;
-                    // Create animated noise pattern for sparkles
-                    const sparkle1 = Math.sin(time * 3 + x * 0.5 + y * 0.3);
-                    const sparkle2 = Math.cos(time * 2 + x * 0.3 + y * 0.5);
-                    const sparkleNoise = (sparkle1 * sparkle2 + 1) * 0.5; // 0-1 range
-                    
-                    // Shimmer modulates the highlight with noise
-                    highlight *= (1 - shimmer) + (sparkleNoise * shimmer);
-                }
-                
-                // Apply highlight as additive brightness (screen blend)
-                if(highlight > 0) {
-                    const brightBoost = Math.round(highlight * 255);
-                    incomingR = Math.min(255, incomingR + brightBoost);
-                    incomingG = Math.min(255, incomingG + brightBoost);
-                    incomingB = Math.min(255, incomingB + brightBoost);
-                }
-            }
+        tileset.tiles[tile.id] = info;
+    }
 
-            setColorAtPoint(instance, outputData, x, y, incomingR, incomingG, incomingB, incomingA, composit, ignoreLighting);
-            
-        }
+    return tileset;
+}
+
+/**
+ * Get the texture options that load a Tiled image, from options.images if it was passed in, otherwise from its URL.
+ * @param {string} path - The image path in the map.
+ * @param {string} name - The tileset name, to look up in options.images.
+ * @param {string} baseUrl - The URL that the path is relative to.
+ * @param {Object} options - The options passed to loadTiledMap.
+ * @returns {Object} Texture options with data or src set.
+ */
+function getTiledImageOptions(path, name, baseUrl, options) {
+    const images = options.images || {};
+    const image = images[path] || (name ? images[name] : null);
+
+    if(image) {
+        return { data: image };
     }
+
+    return { src: resolveTiledPath(path, baseUrl) };
 }
 
-function getOverridePPPFrame(state, facing) {
-    if(state == "dead") {
-        return 6;
+/**
+ * Resolve a path in a Tiled file against the URL of the file.
+ * @param {string} path - The path.
+ * @param {string} baseUrl - The URL of the file the path is in.
+ * @returns {string} The resolved URL.
+ */
+function resolveTiledPath(path, baseUrl) {
+    if(!baseUrl || path.charAt(0) == "/" || /^[a-z][a-z0-9+.-]*:/i.test(path)) {
+        return path;
     }
 
-    let frame = 0;
+    return baseUrl.substring(0, baseUrl.lastIndexOf("/") + 1) + path;
+}
 
-    if(state == "walking" && overrideOffTurn) {
-        frame = 1;
+/**
+ * Convert a Tiled property list to an object of property values.
+ * @param {Object[]|Object} properties - The Tiled properties.
+ * @returns {Object} The values by property name.
+ */
+function getTiledProperties(properties) {
+    const values = {};
+
+    if(!properties) {
+        return values;
     }
 
-    if(state == "attacking" || state == "using") {
-        frame = 2;
+    // Maps saved by old versions of Tiled store properties as an object
+    if(!Array.isArray(properties)) {
+        return Object.assign(values, properties);
     }
 
-    if(facing == "e") {
-        frame += 3;
+    for(let i = 0; i < properties.length; i++) {
+        values[properties[i].name] = properties[i].value;
     }
 
-    return frame;
+    return values;
 }
 
-function setColorAtPoint(instance, outputData, x, y, r, g, b, a, composit, ignoreLighting) {
+/**
+ * Find the tileset tile of a gid and its flip flags.
+ * @param {TiledMap} map - The map.
+ * @param {number} gid - The gid, including Tiled's flip bits.
+ * @returns {{tileset: Object, id: number, info: Object, flags: number}|null} The tile, or null for an empty or unknown gid.
+ */
+function getTiledTile(map, gid) {
+    const id = gid & 0x0fffffff;
 
-    if(!ignoreLighting) {
-        if(instance.activeLights.length > 0) {
-            const lighting = instance.getLightingAtPosition(x / instance.renderScale, y / instance.renderScale);
+    if(id == 0) {
+        return null;
+    }
 
-            r = multiplyColors(r, lighting.r, false);
-            g = multiplyColors(g, lighting.g, false);
-            b = multiplyColors(b, lighting.b, false);
-        } else if(instance.hasWeightedLighting) {
-            r = multiplyColors(r, instance.weightedLighting.r, false);
-            g = multiplyColors(g, instance.weightedLighting.g, false);
-            b = multiplyColors(b, instance.weightedLighting.b, false);
+    let tileset = null;
+
+    for(let i = 0; i < map.tilesets.length; i++) {
+        if(map.tilesets[i].firstGid <= id) {
+            tileset = map.tilesets[i];
         }
     }
-    
-    const d = outputData.data;
-    const scaledWidth = instance.width * instance.renderScale;
-    const imJ = y * scaledWidth;
-    const idx = (imJ + x) * 4;
-    const dl = d.length;
 
-    if(a >= 255 && !composit && (!instance.filters || instance.filters.length == 0)) {
-        setColorAtIndex(d, idx, r, dl);
-        setColorAtIndex(d, idx + 1, g, dl);
-        setColorAtIndex(d, idx + 2, b, dl);
-        setColorAtIndex(d, idx + 3, 255, dl);
+    if(!tileset) {
+        return null;
+    }
 
-        return;
+    let flags = TILE_FLAGS.none;
+
+    if(gid & 0x80000000) {
+        flags |= TILE_FLAGS.flipX;
     }
 
-    const exR = d[idx];
-    const exG = d[idx + 1];
-    const exB = d[idx + 2];
+    if(gid & 0x40000000) {
+        flags |= TILE_FLAGS.flipY;
+    }
 
-    if(composit) {
-        if(composit == "hard-light") {
-            r = hardLight(r, exR);
-            g = hardLight(g, exG);
-            b = hardLight(b, exB);
-        }
+    if(gid & 0x20000000) {
+        flags |= TILE_FLAGS.flipDiagonal;
+    }
 
-        if(composit == "lighten") {
-            r = lightenColors(r, exR);
-            g = lightenColors(g, exG);
-            b = lightenColors(b, exB);
-        }
+    const localId = id - tileset.firstGid;
 
-        if(composit == "lighter") {
-            r = lighterColors(r, exR);
-            g = lighterColors(g, exG);
-            b = lighterColors(b, exB);
-        }
+    return {
+        tileset: tileset,
+        id: localId,
+        info: tileset.tiles[localId] || null,
+        flags: flags
+    };
+}
 
-        if(composit == "screen") {
-            r = screenColors(r, exR);
-            g = screenColors(g, exG);
-            b = screenColors(b, exB);
-        }
+/**
+ * Get the texture and frame that draw a tileset tile.
+ * @param {Object} tile - The tile from getTiledTile.
+ * @returns {{texture: Texture, frame: number}|null} The texture and frame, or null if the tile has no image.
+ */
+function getTiledTileTexture(tile) {
+    if(tile.info && tile.info.texture) {
+        return tile.info;
+    }
 
-        if(composit == "multiply") {
-            r = multiplyColors(r, exR);
-            g = multiplyColors(g, exG);
-            b = multiplyColors(b, exB);
-        }
+    if(!tile.tileset.texture) {
+        return null;
+    }
 
-        if(composit == "overlay") {
-            r = screenColors(r, multiplyColors(r, exR));
-            g = screenColors(g, multiplyColors(g, exG));
-            b = screenColors(b, multiplyColors(b, exB));
+    return {
+        texture: tile.tileset.texture,
+        frame: tile.id
+    };
+}
+
+/**
+ * Convert Tiled layers to map layers, flattening groups into their children.
+ * @param {TiledMap} map - The map to add the layers to.
+ * @param {Object[]} layers - The Tiled layer JSON.
+ * @param {Object} parent - The name, visibility, opacity and offset the layers inherit from their group.
+ * @param {number} baseZ - The zIndex of the map's first layer.
+ */
+async function addTiledLayers(map, layers, parent, baseZ) {
+    for(let i = 0; i < layers.length; i++) {
+        const json = layers[i];
+
+        const layer = {
+            id: json.id,
+            name: parent.name + (json.name || ""),
+            type: json.type,
+            z: baseZ + map.layers.length,
+            visible: parent.visible && json.visible !== false,
+            opacity: parent.opacity * (json.opacity ?? 1),
+            offsetX: parent.offsetX + (json.offsetx || 0),
+            offsetY: parent.offsetY + (json.offsety || 0),
+            properties: getTiledProperties(json.properties)
+        };
+
+        if(json.type == "group") {
+            await addTiledLayers(map, json.layers || [], {
+                name: layer.name + "/",
+                visible: layer.visible,
+                opacity: layer.opacity,
+                offsetX: layer.offsetX,
+                offsetY: layer.offsetY
+            }, baseZ);
+
+            continue;
         }
 
-        if(composit == "darken") {
-            r = darkenColors(r, exR);
-            g = darkenColors(g, exG);
-            b = darkenColors(b, exB);
+        if(json.type == "tilelayer") {
+            await fillTiledTileLayer(map, layer, json);
         }
 
-        if(composit == "darker") {
-            r = darkerColors(r, exR);
-            g = darkerColors(g, exG);
-            b = darkerColors(b, exB);
+        if(json.type == "objectgroup") {
+            layer.objects = (json.objects || []).map(function(object) {
+                return getTiledObject(map, object);
+            });
         }
-    } else if(a && a < 255) {
-        // Apply alpha blending for non-composited pixels
-        const alPer = a / 255;
-        r = weighColors(exR, r, 1, alPer);
-        g = weighColors(exG, g, 1, alPer);
-        b = weighColors(exB, b, 1, alPer);
-    }
 
-    // Apply alpha to composited result if needed
-    if(composit && a && a < 255) {
-        const alPer = a / 255;
-        r = weighColors(exR, r, 1, alPer);
-        g = weighColors(exG, g, 1, alPer);
-        b = weighColors(exB, b, 1, alPer);
+        if(json.type == "imagelayer") {
+            layer.image = json.image || null;
+        }
+
+        map.layers.push(layer);
     }
+}
 
-    if(instance.filters && instance.filters.length > 0) {
-        for(let i = 0; i < instance.filters.length; i++) {
-            const filter = instance.filters[i];
+/**
+ * Create the TileLayer of a Tiled tile layer and set its tiles.
+ * @param {TiledMap} map - The map.
+ * @param {Object} layer - The map layer to fill.
+ * @param {Object} json - The Tiled layer JSON.
+ */
+async function fillTiledTileLayer(map, layer, json) {
+    const width = json.width || map.width;
+    const height = json.height || map.height;
+
+    const tileLayer = new TileLayer({
+        width: width,
+        height: height,
+        z: layer.z,
+        opacity: layer.opacity
+    });
 
-            if(!filter) {
-                continue;
-            }
+    tileLayer.visible = layer.visible;
 
-            if(filter == "red") {
-                g = 0;
-                b = 0;
-            }
+    const gids = await decodeTiledData(json);
 
-            if(filter == "cyan") {
-                r = 0;
-            }
+    for(let i = 0; i < gids.length && i < width * height; i++) {
+        const tile = getTiledTile(map, gids[i]);
 
-            if(filter == "blue") {
-                r = 0;
-                g = 0;
-            }
+        if(!tile) {
+            continue;
+        }
 
-            if(filter == "green") {
-                r = 0;
-                b = 0;
-            }
+        const image = getTiledTileTexture(tile);
 
-            if(filter == "crt") {
-                if(y % 2 == 0) {
-                    r -= 12;
-                    g -= 12;
-                    b -= 12;
+        if(image) {
+            tileLayer.setTile(i % width, Math.floor(i / width), image.texture, image.frame, tile.flags);
+        }
+    }
 
-                    if(r < 0) {
-                        r = 0;
-                    }
+    layer.tileLayer = tileLayer;
+    layer.gids = gids;
+}
 
-                    if(g < 0) {
-                        g = 0;
-                    }
+/**
+ * Decode the gids of a Tiled tile layer from an array or base64 data, inflating zlib or gzip compressed data.
+ * @param {Object} json - The Tiled layer JSON.
+ * @returns {Promise<Uint32Array>} The gids in rows.
+ */
+async function decodeTiledData(json) {
+    if(Array.isArray(json.data)) {
+        return Uint32Array.from(json.data);
+    }
 
-                    if(b < 0) {
-                        b = 0;
-                    }
-                }
-            }
+    if(json.encoding != "base64" || typeof json.data != "string") {
+        return new Uint32Array(0);
+    }
 
-            if(filter == "lcd") {
-                if(y % 2 == 0) {
-                    r -= 6;
-                    g -= 6;
-                    b -= 6;
+    const binary = atob(json.data.trim());
+    let bytes = new Uint8Array(binary.length);
 
-                    
-                } else {
-                    if(x % 2 == 0) {
-                        r += 10;
-                        g += 10;
-                        b += 10;
-                    }
-                }
+    for(let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
 
-                if(r < 0) {
-                    r = 0;
-                }
+    if(json.compression) {
+        if((json.compression != "zlib" && json.compression != "gzip") || typeof DecompressionStream == "undefined") {
+            throw new Error("Unsupported Tiled layer compression: " + json.compression);
+        }
 
-                if(g < 0) {
-                    g = 0;
-                }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(json.compression == "zlib" ? "deflate" : "gzip"));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    }
 
-                if(b < 0) {
-                    b = 0;
-                }
+    const gids = new Uint32Array(Math.floor(bytes.length / 4));
 
-                if(r > 255) {
-                    r = 255;
-                }
+    for(let i = 0; i < gids.length; i++) {
+        const b = i * 4;
+        gids[i] = (bytes[b] | (bytes[b + 1] << 8) | (bytes[b + 2] << 16) | (bytes[b + 3] << 24)) >>> 0;
+    }
 
-                if(g > 255) {
-                    g = 255;
-                }
+    return gids;
+}
 
-                if(b > 255) {
-                    b = 255;
-                }
-            }
+/**
+ * Convert a Tiled object to tile units, with its tile texture and flags if it is a tile object.
+ * @param {TiledMap} map - The map.
+ * @param {Object} json - The Tiled object JSON.
+ * @returns {Object} The object.
+ */
+function getTiledObject(map, json) {
+    const tw = map.tileWidth;
+    const th = map.tileHeight;
+
+    const object = {
+        id: json.id,
+        name: json.name || "",
+        type: json.type ?? json.class ?? "",
+        shape: "rectangle",
+        x: (json.x || 0) / tw,
+        y: (json.y || 0) / th,
+        width: (json.width || 0) / tw,
+        height: (json.height || 0) / th,
+        rotation: json.rotation || 0,
+        visible: json.visible !== false,
+        properties: getTiledProperties(json.properties),
+        points: null,
+        text: null,
+        texture: null,
+        frame: -1,
+        flags: TILE_FLAGS.none
+    };
 
-            if(filter == "grid") {
-                if(y % 2 == 0) {
-                    r -= 12;
-                    g -= 12;
-                    b -= 12;
+    const points = json.polygon || json.polyline;
 
-                    if(r < 0) {
-                        r = 0;
-                    }
+    if(points) {
+        object.shape = json.polygon ? "polygon" : "polyline";
+        object.points = points.map(function(point) {
+            return {
+                x: point.x / tw,
+                y: point.y / th
+            };
+        });
+    } else if(json.ellipse) {
+        object.shape = "ellipse";
+    } else if(json.point) {
+        object.shape = "point";
+    } else if(json.text) {
+        object.shape = "text";
+        object.text = json.text.text ?? "";
+    } else if(json.gid) {
+        object.shape = "tile";
+
+        const tile = getTiledTile(map, json.gid);
+        const image = tile ? getTiledTileTexture(tile) : null;
+
+        if(image) {
+            object.texture = image.texture;
+            object.frame = image.frame;
+            object.flags = tile.flags;
+        }
+    }
 
-                    if(g < 0) {
-                        g = 0;
-                    }
+    return object;
+}
 
-                    if(b < 0) {
-                        b = 0;
-                    }
-                }
+/**
+ * Convert a TMX map element to the Tiled JSON structure.
+ * @param {Object} node - The map element from parseXML.
+ * @returns {Object} The Tiled map JSON.
+ */
+function tmxMapToJson(node) {
+    if(!node || node.name != "map") {
+        return null;
+    }
 
-                if(x % 2 == 0) {
-                    r += 12;
-                    g += 12;
-                    b += 12;
+    const attr = node.attributes;
+
+    const json = {
+        width: tmxNumber(attr.width, 0),
+        height: tmxNumber(attr.height, 0),
+        tilewidth: tmxNumber(attr.tilewidth, DEF_TILE_SIZE),
+        tileheight: tmxNumber(attr.tileheight, DEF_TILE_SIZE),
+        orientation: attr.orientation,
+        infinite: attr.infinite == "1",
+        properties: tmxProperties(node),
+        tilesets: [],
+        layers: tmxLayers(node)
+    };
 
-                    if(r > 255) {
-                        r = 255;
-                    }
+    for(let i = 0; i < node.children.length; i++) {
+        const child = node.children[i];
 
-                    if(g > 255) {
-                        g = 255;
-                    }
+        if(child.name == "tileset") {
+            json.tilesets.push(tmxTilesetToJson(child));
+        }
+    }
 
-                    if(b > 255) {
-                        b = 255;
-                    }
-                }
-            }
+    return json;
+}
 
-            if(filter == "noise") {
-                const rnd = randomIntFromInterval(0, 10) - 5;
+/**
+ * Convert a TMX tileset element, embedded or from a .tsx file, to the Tiled JSON structure.
+ * @param {Object} node - The tileset element from parseXML.
+ * @returns {Object} The Tiled tileset JSON.
+ */
+function tmxTilesetToJson(node) {
+    const attr = node.attributes;
+
+    const json = {
+        firstgid: tmxNumber(attr.firstgid, 1),
+        source: attr.source,
+        name: attr.name,
+        tilewidth: tmxNumber(attr.tilewidth, DEF_TILE_SIZE),
+        tileheight: tmxNumber(attr.tileheight, DEF_TILE_SIZE),
+        margin: tmxNumber(attr.margin, 0),
+        spacing: tmxNumber(attr.spacing, 0),
+        tilecount: tmxNumber(attr.tilecount, 0),
+        columns: tmxNumber(attr.columns, 0),
+        properties: tmxProperties(node),
+        image: null,
+        tiles: []
+    };
 
-                r += rnd;
-                g += rnd;
-                b += rnd;
+    for(let i = 0; i < node.children.length; i++) {
+        const child = node.children[i];
 
-                if(r > 255) {
-                    r = 255;
-                }
+        if(child.name == "image") {
+            json.image = child.attributes.source;
+        }
 
-                if(g > 255) {
-                    g = 255;
-                }
+        if(child.name != "tile") {
+            continue;
+        }
 
-                if(b > 255) {
-                    b = 255;
-                }
+        const tile = {
+            id: tmxNumber(child.attributes.id, 0),
+            type: child.attributes.type ?? child.attributes.class,
+            properties: tmxProperties(child)
+        };
 
-                if(r < 0) {
-                    r = 0;
-                }
+        for(let j = 0; j < child.children.length; j++) {
+            const part = child.children[j];
 
-                if(g < 0) {
-                    g = 0;
-                }
+            if(part.name == "image") {
+                tile.image = part.attributes.source;
+            }
 
-                if(b < 0) {
-                    b = 0;
-                }
+            if(part.name == "animation") {
+                tile.animation = part.children.map(function(frame) {
+                    return {
+                        tileid: tmxNumber(frame.attributes.tileid, 0),
+                        duration: tmxNumber(frame.attributes.duration, 0)
+                    };
+                });
             }
+        }
 
-            if(filter == "film") {
-                let ch = randomIntFromInterval(0, 6);
+        json.tiles.push(tile);
+    }
 
-                if(ch == 3) {
-                    const rnd = randomIntFromInterval(0, 8);
+    return json;
+}
 
-                    r += rnd;
-                    g += rnd;
-                    b += rnd;
+/**
+ * Convert the layer elements of a TMX map or group to the Tiled JSON structure.
+ * @param {Object} node - The map or group element from parseXML.
+ * @returns {Object[]} The Tiled layer JSON.
+ */
+function tmxLayers(node) {
+    const layers = [];
+    const types = {
+        "layer": "tilelayer",
+        "objectgroup": "objectgroup",
+        "imagelayer": "imagelayer",
+        "group": "group"
+    };
 
-                    if(r > 255) {
-                        r = 255;
-                    }
+    for(let i = 0; i < node.children.length; i++) {
+        const child = node.children[i];
+        const type = types[child.name];
 
-                    if(g > 255) {
-                        g = 255;
-                    }
+        if(!type) {
+            continue;
+        }
 
-                    if(b > 255) {
-                        b = 255;
-                    }
-                }
-            }
+        const attr = child.attributes;
+
+        const layer = {
+            id: tmxNumber(attr.id, 0),
+            name: attr.name,
+            type: type,
+            visible: attr.visible != "0",
+            opacity: tmxNumber(attr.opacity, 1),
+            offsetx: tmxNumber(attr.offsetx, 0),
+            offsety: tmxNumber(attr.offsety, 0),
+            properties: tmxProperties(child)
+        };
 
-            if(filter == "mono") {
-                const tot = Math.round(( r + g + b) / 3);
+        if(type == "tilelayer") {
+            layer.width = tmxNumber(attr.width, 0);
+            layer.height = tmxNumber(attr.height, 0);
 
-                r = tot;
-                g = tot;
-                b = tot;
-            }
+            const data = tmxChild(child, "data");
 
-            if(filter == "invert") {
-                r = 255 - r;
-                g = 255 - g;
-                b = 255 - b;
+            if(data) {
+                Object.assign(layer, tmxLayerData(data));
             }
+        }
 
-            if(filter == "sepia") {
-                const baseR = r;
-                const baseG = g;
-                const baseB = b;
+        if(type == "objectgroup") {
+            layer.objects = child.children.filter(function(part) {
+                return part.name == "object";
+            }).map(tmxObjectToJson);
+        }
 
-                r = Math.round((baseR * 0.393) + (baseG * 0.769) + (baseB * 0.189));
-                g = Math.round((baseR * 0.349) + (baseG * 0.686) + (baseB * 0.168));
-                b = Math.round((baseR * 0.272) + (baseG * 0.534) + (baseB * 0.131));
+        if(type == "imagelayer") {
+            const image = tmxChild(child, "image");
+            layer.image = image ? image.attributes.source : null;
+        }
 
-                if(r > 255) {
-                    r = 255;
-                }
+        if(type == "group") {
+            layer.layers = tmxLayers(child);
+        }
 
-                if(g > 255) {
-                    g = 255;
-                }
+        layers.push(layer);
+    }
 
-                if(b > 255) {
-                    b = 255;
-                }
-            }
+    return layers;
+}
 
-            if(filter == "sepiaalt") {
-                if(r > 119) {
-                    r = 119;
-                }
+/**
+ * Convert the data element of a TMX tile layer to Tiled JSON data.  CSV and tile elements become a gid array,
+ * base64 stays encoded for decodeTiledData.
+ * @param {Object} node - The data element from parseXML.
+ * @returns {Object} The data, encoding and compression of the layer JSON.
+ */
+function tmxLayerData(node) {
+    const encoding = node.attributes.encoding;
 
-                if(g > 66) {
-                    g = 66;
-                }
+    if(encoding == "csv") {
+        return {
+            data: node.text.split(",").map(function(value) {
+                return tmxNumber(value.trim(), 0);
+            })
+        };
+    }
 
-                if(b > 18) {
-                    b = 18;
-                }
-            }
-        }
+    if(encoding == "base64") {
+        return {
+            data: node.text.trim(),
+            encoding: "base64",
+            compression: node.attributes.compression
+        };
     }
 
-    setColorAtIndex(d, idx, r, dl);
-    setColorAtIndex(d, idx + 1, g, dl);
-    setColorAtIndex(d, idx + 2, b, dl);
-    setColorAtIndex(d, idx + 3, 255, dl);
+    return {
+        data: node.children.map(function(tile) {
+            return tmxNumber(tile.attributes.gid, 0);
+        })
+    };
 }
 
-function multiplyColors(c1, c2, alreadySingled) {
-    if(alreadySingled) {
-        return colorSingle(c1 * c2);
-    } else {
-        return colorSingle(singleColor(c1) * singleColor(c2));
-    }
-}
+/**
+ * Convert a TMX object element to the Tiled JSON structure.
+ * @param {Object} node - The object element from parseXML.
+ * @returns {Object} The Tiled object JSON.
+ */
+function tmxObjectToJson(node) {
+    const attr = node.attributes;
+
+    const json = {
+        id: tmxNumber(attr.id, 0),
+        name: attr.name,
+        type: attr.type ?? attr.class,
+        x: tmxNumber(attr.x, 0),
+        y: tmxNumber(attr.y, 0),
+        width: tmxNumber(attr.width, 0),
+        height: tmxNumber(attr.height, 0),
+        rotation: tmxNumber(attr.rotation, 0),
+        gid: tmxNumber(attr.gid, 0),
+        visible: attr.visible != "0",
+        properties: tmxProperties(node)
+    };
 
-function setColorAtIndex(data, index, color, dLen) {
-    if(index < dLen) {
-        data[index] = color;
+    for(let i = 0; i < node.children.length; i++) {
+        const child = node.children[i];
+
+        if(child.name == "ellipse" || child.name == "point") {
+            json[child.name] = true;
+        }
+
+        if(child.name == "polygon" || child.name == "polyline") {
+            json[child.name] = (child.attributes.points || "").trim().split(/\s+/).map(function(pair) {
+                const parts = pair.split(",");
+
+                return {
+                    x: tmxNumber(parts[0], 0),
+                    y: tmxNumber(parts[1], 0)
+                };
+            });
+        }
+
+        if(child.name == "text") {
+            json.text = {
+                text: child.text
+            };
+        }
     }
+
+    return json;
 }
 
-function hardLight(c1,c2) {
+/**
+ * Convert the properties element of a TMX element to a Tiled JSON property list, converting values by type.
+ * @param {Object} node - The element that may have a properties child.
+ * @returns {Object[]} The Tiled property list.
+ */
+function tmxProperties(node) {
+    const properties = [];
+    const list = tmxChild(node, "properties");
 
-    if(c2 < 130) {
-        return multiplyColors(singleColor(c1),singleColor(c2) * 2,true);
-    } else {
-        return screenColors(singleColor(c1),2 * singleColor(c2) - 1,true);
+    if(!list) {
+        return properties;
     }
-}
 
-function lightenColors(c1, c2) {
-    return Math.max(c1,c2);
-}
+    for(let i = 0; i < list.children.length; i++) {
+        const attr = list.children[i].attributes;
+        const type = attr.type || "string";
 
-function lighterColors(c1, c2) {
-    const col = c1 + c2;
+        let value = attr.value ?? list.children[i].text;
 
-    if(col > 255) {
-        return 255;
+        if(type == "int" || type == "float" || type == "object") {
+            value = tmxNumber(value, 0);
+        } else if(type == "bool") {
+            value = value == "true";
+        } else if(type == "class") {
+            value = getTiledProperties(tmxProperties(list.children[i]));
+        }
+
+        properties.push({
+            name: attr.name,
+            type: type,
+            value: value
+        });
     }
 
-    return col;
+    return properties;
 }
 
 /**
- * Calculate the screen effect of two color values.
- * @param {number} c1 - The first color value.
- * @param {number} c2 - The second color value.
- * @param {boolean} alreadySingled - Whether the color values are already in the 0-1 range.
- * @returns {number} The resulting color value after applying the screen effect.
- * If the result exceeds 255, it returns 255.
- * If the result is negative, it returns 0.
+ * Get the first child element of a TMX element with a name.
+ * @param {Object} node - The element from parseXML.
+ * @param {string} name - The name of the child.
+ * @returns {Object|null} The child, or null if there is none.
  */
-function screenColors(c1, c2, alreadySingled) {
-    if(alreadySingled) {
-        return colorSingle(1 - ((1 - c1) * (1 - c2)));
-    } else {
-        const s1 = singleColor(c1);
-        const s2 = singleColor(c2);
-
-        return colorSingle(1 - ((1 - s1) * (1 - s2)));
+function tmxChild(node, name) {
+    for(let i = 0; i < node.children.length; i++) {
+        if(node.children[i].name == name) {
+            return node.children[i];
+        }
     }
+
+    return null;
 }
 
 /**
- * Get the darker of two color values.
- * @param {number} c1 - The first color value.
- * @param {number} c2 - The second color value.
- * @returns {number} The darker color value.
- * If both colors are equal, it returns the color value.
+ * Parse a number from a TMX attribute.
+ * @param {string} value - The attribute value.
+ * @param {number} fallback - The value to use if the attribute is missing or not a number.
+ * @returns {number} The number.
  */
-function darkenColors(c1, c2) {
-    return Math.min(c1,c2);
+function tmxNumber(value, fallback) {
+    const number = parseFloat(value);
+
+    return isNaN(number) ? fallback : number;
 }
 
 /**
- * Calculate the difference between two color values.
- * @param {number} c1 - The first color value.
- * @param {number} c2 - The second color value.
- * @returns {number} The difference between the two color values.
- * If the difference is negative, it returns 0.
+ * Parse XML into a tree of elements.  Enough for Tiled files: no namespaces or DTDs, and comments and
+ * processing instructions are skipped.
+ * @param {string} text - The XML text.
+ * @returns {{name: string, attributes: Object, children: Object[], text: string}|null} The root element, or null if there is none.
  */
-function darkerColors(c1, c2) {
-    let col = c1 - c2;
+function parseXML(text) {
+    const root = {
+        name: "",
+        attributes: {},
+        children: [],
+        text: ""
+    };
 
-    if(col < 0) {
-        col = 0;
+    const stack = [root];
+    const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+
+    let last = 0;
+    let match;
+
+    while((match = pattern.exec(text))) {
+        const parent = stack[stack.length - 1];
+
+        parent.text += decodeXMLEntities(text.substring(last, match.index));
+        last = pattern.lastIndex;
+
+        if(match[1] != undefined) {
+            parent.text += match[1];
+        } else if(match[2]) {
+            if(stack.length > 1) {
+                stack.pop();
+            }
+        } else if(match[3]) {
+            const element = {
+                name: match[3],
+                attributes: {},
+                children: [],
+                text: ""
+            };
+
+            const attrPattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            let attr;
+
+            while((attr = attrPattern.exec(match[4]))) {
+                element.attributes[attr[1]] = decodeXMLEntities(attr[2] ?? attr[3]);
+            }
+
+            parent.children.push(element);
+
+            if(!match[5]) {
+                stack.push(element);
+            }
+        }
     }
 
-    return col;
+    return root.children[0] || null;
 }
 
 /**
- * Convert a color value from 0-1 range to a 0-255 range.
- * @param {number} s - The color value (0-1).
- * @returns {number} The color value in the range of 0-255.
+ * Replace the XML entities in a string with the characters they stand for.
+ * @param {string} text - The text.
+ * @returns {string} The decoded text.
  */
-function colorSingle(s) {
-    return Math.round(s * 255);
+function decodeXMLEntities(text) {
+    const named = {
+        "lt": "<",
+        "gt": ">",
+        "amp": "&",
+        "quot": "\"",
+        "apos": "'"
+    };
+
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|lt|gt|amp|quot|apos);/gi, function(entity, code) {
+        if(code.charAt(0) == "#") {
+            return String.fromCodePoint(code.charAt(1).toLowerCase() == "x" ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10));
+        }
+
+        return named[code.toLowerCase()];
+    });
 }
 
 /**
- * Convert a color value from 0-255 range to a 0-1 range.
- * @param {number} c - The color value (0-255).
- * @returns {number} The color value in the range of 0-1.
+ * Concatenate byte arrays and plain arrays of bytes into one Uint8Array.
+ * @param {Array<Uint8Array|number[]>} parts - The parts to join.
+ * @returns {Uint8Array} The joined bytes.
  */
-function singleColor(c) {
-    return c / 255;
+function concatBytes(parts) {
+    let length = 0;
+
+    for(let i = 0; i < parts.length; i++) {
+        length += parts[i].length;
+    }
+
+    const out = new Uint8Array(length);
+    let offset = 0;
+
+    for(let i = 0; i < parts.length; i++) {
+        out.set(parts[i], offset);
+        offset += parts[i].length;
+    }
+
+    return out;
+}
+
+/**
+ * Encode a number as 4 big-endian bytes.
+ * @param {number} value - The value.
+ * @returns {number[]} The bytes.
+ */
+function uint32BE(value) {
+    return [(value >>> 24) & 255, (value >>> 16) & 255, (value >>> 8) & 255, value & 255];
 }
 
 /**
- * Get a new particle operation from the recycling pool or create a new one if none are available.
- * @returns {ParticleInstruction} A new or recycled ParticleInstruction object.
+ * Encode a number as 2 big-endian bytes.
+ * @param {number} value - The value.
+ * @returns {number[]} The bytes.
  */
-function getFreshParticleOperation() {
-    const op = particleInstructionRecycling.pop();
-
-    if(op) {
-        op.x = 0;
-        op.y = 0;
-        op.z = 0;
-
-        op.zI = 0;
-
-        op.color = "#ff0000";
-        op.colorVariance = 0;
-        op.size = 1;
+function uint16BE(value) {
+    return [(value >>> 8) & 255, value & 255];
+}
 
-        op.vx = 0;
-        op.vy = 0;
-        op.vz = 0;
-        
-        op.gz = 0.01;
-        op.tv = 0.04;
+/**
+ * Encode a number as 2 little-endian bytes.
+ * @param {number} value - The value.
+ * @returns {number[]} The bytes.
+ */
+function uint16LE(value) {
+    return [value & 255, (value >>> 8) & 255];
+}
 
-        op.composit = null;
+let crcTable = null;
 
-        op.life = -1;
-        op.cashed = false;
+/**
+ * Calculate the CRC-32 used by PNG chunks.
+ * @param {Uint8Array} bytes - The bytes to check.
+ * @returns {number} The CRC.
+ */
+function crc32(bytes) {
+    if(!crcTable) {
+        crcTable = new Uint32Array(256);
 
-        op.opacity = 1;
+        for(let n = 0; n < 256; n++) {
+            let c = n;
 
-        op.stayOnGround = false;
-        op.lifeOnGround = -1;
+            for(let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
 
-        op.glowRadius = 0;
-        op.glowBrightness = 0;
+            crcTable[n] = c;
+        }
+    }
 
-        op.fadeSpeed = 0;
+    let crc = 0xFFFFFFFF;
 
-        op.trails = false;
-        op.ignoreLighting = false;
-        op.useRaw = false;
-        op.useGlobalAngle = false;
-        op.loopsBack = false;
-        op.splatOnImpact = false;
-    } else {
-        return new ParticleInstruction();
+    for(let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
     }
 
-    return op;
+    return (crc ^ 0xFFFFFFFF) >>> 0;
 }
 
 /**
- * Program for the "Splat" effect.
- * @param {PixelEngineInstance} instance - The pixel engine instance.
- * @param {Object} options - Options for the splat effect.
- * @param {string} options.color - Color of the splat.
- * @param {number} options.size - Size of each splat particle.
- * @param {number} options.amount - Number of splat particles to create.
- * @param {number} options.x - X coordinate of the splat center.
- * @param {number} options.y - Y coordinate of the splat center.
- * @param {number} options.z - Simulated elevation of the splat.
- * @param {number} options.zI - zIndex of the effect.
- * @param {boolean} options.useRaw - Whether to use raw coordinates.
- * @param {boolean} options.stayOnGround - Whether the splat should stay on the ground.
+ * Calculate the Adler-32 checksum used by zlib streams.
+ * @param {Uint8Array} bytes - The bytes to check.
+ * @returns {number} The checksum.
  */
-function partProgSplat(instance, options) {
-    const color = options.color || "#ff0000";
-    const size = options.size || 1;
-    const zIndex = options.zI || 0;
-    const z = options.z || 0.5;
-    const useRaw = options.useRaw || false;
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
 
-    let amount = options.amount || randomIntFromInterval(15, 60);
+    for(let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
 
-    while(amount > 0) {
-        amount--;
+    return ((b << 16) | a) >>> 0;
+}
 
-        const vx = (randomIntFromInterval(0, 100) - 50) / 1000;
-        const vy = (randomIntFromInterval(0, 100) - 50) / 1000;
-        const vz = (randomIntFromInterval(0, 100) - 50) / 1000;
+const DEFLATE_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const DEFLATE_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DEFLATE_DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DEFLATE_DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
 
-        instance.insertParticleInstruction({
-            color: color,
-            x: options.x,
-            y: options.y,
-            z: z,
-            zI: zIndex,
-            vx: vx,
-            vy: vy,
-            vz: vz,
-            size: size,
-            stayOnGround: options.stayOnGround ?? true,
-            lifeOnGround: 800,
-            useRaw: useRaw,
-        });
-    }
-}
+const DEFLATE_WINDOW = 32768;
+const DEFLATE_MAX_CHAIN = 32;
 
 /**
- * Update the particle instance.
- * @param {PixelEngineInstance} instance - The pixel engine instance.
- * @param {ParticleInstruction} inst - The particle instruction to update.
- * @param {number} delta - The time delta since the last update.
- * @param {Object} bounds - The current view bounds.
+ * Compress bytes into a zlib stream, using LZ77 matching and the fixed deflate Huffman codes.
+ * @param {Uint8Array} data - The bytes to compress.
+ * @returns {Uint8Array} The zlib stream.
  */
-function updateParticle(instance, inst, delta, bounds) {
-    if(delta > 20) {
-        delta = 1;
-    }
+function zlibCompress(data) {
+    // Fixed Huffman codes never need more than 9 bits for a byte
+    const out = new Uint8Array(Math.ceil(data.length * 9 / 8) + 16);
+    let pos = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    out[pos++] = 0x78;
+    out[pos++] = 0x01;
+
+    const writeBits = function(value, count) {
+        bitBuffer |= value << bitCount;
+        bitCount += count;
+
+        while(bitCount >= 8) {
+            out[pos++] = bitBuffer & 255;
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
 
-    inst.opacity -= inst.fadeSpeed * delta;
+    // Huffman codes are packed starting from their most significant bit
+    const writeCode = function(code, length) {
+        let reversed = 0;
 
-    if(inst.opacity <= 0) {
-        inst.cashed = true;
-        return;
-    }
+        for(let i = 0; i < length; i++) {
+            reversed = (reversed << 1) | ((code >>> i) & 1);
+        }
 
-    if(inst.life > -1) {
-        inst.life -= delta;
+        writeBits(reversed, length);
+    };
 
-        if(inst.life <= 0) {
-            inst.cashed = true;
-            return;
+    const writeSymbol = function(symbol) {
+        if(symbol < 144) {
+            writeCode(0x30 + symbol, 8);
+        } else if(symbol < 256) {
+            writeCode(0x190 + symbol - 144, 9);
+        } else if(symbol < 280) {
+            writeCode(symbol - 256, 7);
+        } else {
+            writeCode(0xC0 + symbol - 280, 8);
         }
-    }
+    };
 
-    const ox = inst.x;
-    const oy = inst.y;
-    const oz = inst.z;
+    // Single final block using the fixed codes
+    writeBits(1, 1);
+    writeBits(1, 2);
 
-    // Apply horizontal velocity
-    if(inst.useGlobalAngle) {
-        // Global wind effect: subtle unified drift for all particles (pixel-art scale)
-        const globalDrift = Math.sin(instance.rndAngle * PI_ONE_EIGHTY) * 0.01; // ±0.01 tiles/frame
-        inst.x += (inst.vx + globalDrift) * delta;
-    } else {
-        inst.x += inst.vx * delta;
-    }
-    
-    inst.y += inst.vy * delta;
+    const head = new Int32Array(1 << 15).fill(-1);
+    const prev = new Int32Array(DEFLATE_WINDOW);
 
-    if(inst.life == -1) {
-        if(inst.x < bounds.xMin && inst.vx < 0) {
-            if(inst.loopsBack) {
-                inst.x = bounds.xMax;
-            } else {
-                inst.cashed = true;
-            }
+    const hashAt = function(i) {
+        return ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & 0x7FFF;
+    };
+
+    const insertHash = function(i) {
+        if(i + 2 >= data.length) {
             return;
         }
-    
-        if(inst.x > bounds.xMax && inst.vx > 0) {
-            if(inst.loopsBack) {
-                inst.x = bounds.xMin;
-            } else {
-                inst.cashed = true;
+
+        const h = hashAt(i);
+        prev[i % DEFLATE_WINDOW] = head[h];
+        head[h] = i;
+    };
+
+    let i = 0;
+
+    while(i < data.length) {
+        let bestLength = 0;
+        let bestDistance = 0;
+
+        if(i + 2 < data.length) {
+            let candidate = head[hashAt(i)];
+            let chain = DEFLATE_MAX_CHAIN;
+            const maxLength = Math.min(258, data.length - i);
+
+            while(candidate >= 0 && i - candidate <= DEFLATE_WINDOW && chain > 0) {
+                let length = 0;
+
+                while(length < maxLength && data[candidate + length] == data[i + length]) {
+                    length++;
+                }
+
+                if(length > bestLength) {
+                    bestLength = length;
+                    bestDistance = i - candidate;
+
+                    if(length == maxLength) {
+                        break;
+                    }
+                }
+
+                candidate = prev[candidate % DEFLATE_WINDOW];
+                chain--;
             }
-            return;
-        }
-    
-        if(inst.y < bounds.yMin && inst.vy < 0) {
-            inst.cashed = true;
-            return;
         }
-    
-        if(inst.y > bounds.yMax && inst.vy > 0) {
-            inst.cashed = true;
-            return;
+
+        if(bestLength < 3) {
+            writeSymbol(data[i]);
+            insertHash(i);
+            i++;
+            continue;
         }
-    }
-    
-    let velZ = inst.vz;
 
-    if(velZ > inst.tv) {
-        velZ = inst.tv;
-    }
+        let lengthCode = DEFLATE_LENGTH_BASE.length - 1;
 
-    inst.vz += inst.gz * delta;
+        while(DEFLATE_LENGTH_BASE[lengthCode] > bestLength) {
+            lengthCode--;
+        }
 
-    inst.z -= velZ * delta;
+        writeSymbol(257 + lengthCode);
+        writeBits(bestLength - DEFLATE_LENGTH_BASE[lengthCode], DEFLATE_LENGTH_EXTRA[lengthCode]);
 
-    if(inst.z <= 0) {
-        if(inst.stayOnGround) {
-            inst.z = 0;
-            inst.vx = 0;
-            inst.vy = 0;
-            inst.vz = 0;
-            inst.gz = 0;
-            inst.tv = 0;
+        let distCode = DEFLATE_DIST_BASE.length - 1;
 
-            if(inst.life == -1 && inst.lifeOnGround > -1) {
-                inst.life = inst.lifeOnGround;
-            }
-        } else {
-            inst.cashed = true;
+        while(DEFLATE_DIST_BASE[distCode] > bestDistance) {
+            distCode--;
+        }
 
-            if(inst.splatOnImpact) {
-                partProgSplat(instance, {
-                    color: inst.color,
-                    size: inst.size,
-                    amount: randomIntFromInterval(0, 6),
-                    x: ox,
-                    y: oy,
-                    z: oz,
-                    zI: inst.zI,
-                    useRaw: inst.useRaw,
-                    stayOnGround: false
-                });
-            }
+        writeCode(distCode, 5);
+        writeBits(bestDistance - DEFLATE_DIST_BASE[distCode], DEFLATE_DIST_EXTRA[distCode]);
 
-            return;
+        for(let j = 0; j < bestLength; j++) {
+            insertHash(i + j);
         }
+
+        i += bestLength;
     }
 
-    if(inst.trails) {
-        instance.insertParticleInstruction({
-            x: ox,
-            y: oy,
-            z: oz,
-            vx: 0,
-            vy: 0,
-            vz: 0,
-            gz: 0,
-            tv: 0,
-            color: inst.color,
-            size: inst.size,
-            opacity: inst.opacity,
-            composit: inst.composit,
-            fadeSpeed: inst.fadeSpeed + 0.02,
-            ignoreLighting: inst.ignoreLighting,
-            trails: false,
-            useRaw: inst.useRaw,
-        });
+    writeSymbol(256);
+
+    if(bitCount > 0) {
+        out[pos++] = bitBuffer & 255;
     }
 
-    if(inst.glowRadius > 0 && inst.glowBrightness > 0) {
-        instance.drawLight({
-            color: inst.color,
-            x: inst.x,
-            y: inst.y,
-            intensity: inst.glowBrightness,
-            radius: inst.glowRadius
-        });
+    const checksum = uint32BE(adler32(data));
+
+    for(let j = 0; j < 4; j++) {
+        out[pos++] = checksum[j];
     }
+
+    return out.slice(0, pos);
 }
 
 /**
- * Render the particle instance.
- * @param {PixelEngineInstance} instance - The pixel engine instance.
- * @param {DrawInstruction} inst - The draw instruction to render.
- * @param {Object} outputData - The output data to render to.
+ * Build a PNG chunk.
+ * @param {string} type - The four character chunk type.
+ * @param {Uint8Array|number[]} body - The chunk data.
+ * @returns {Uint8Array} The chunk, including its length and CRC.
  */
-function renderParticle(instance, inst, outputData) {
-    const color = inst.useState;
+function pngChunk(type, body) {
+    const typeAndBody = new Uint8Array(4 + body.length);
 
-    if(!color || inst.opacity <= 0) {
-        return;
+    for(let i = 0; i < 4; i++) {
+        typeAndBody[i] = type.charCodeAt(i);
     }
 
-    let uvx = instance.viewX;
+    typeAndBody.set(body, 4);
 
-    if(inst.useRaw) {
-        uvx = instance.viewXraw;
+    return concatBytes([uint32BE(body.length), typeAndBody, uint32BE(crc32(typeAndBody))]);
+}
+
+/**
+ * Filter and compress RGBA pixels into PNG image data.
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @param {Uint8ClampedArray} data - The RGBA pixels.
+ * @returns {Uint8Array} The compressed image data.
+ */
+function compressPNGPixels(width, height, data) {
+    const rowLength = width * 4;
+    const raw = new Uint8Array((rowLength + 1) * height);
+
+    // Every row uses filter type 0, repeated pixels and rows are left to the LZ77 matching
+    for(let y = 0; y < height; y++) {
+        raw.set(data.subarray(y * rowLength, (y + 1) * rowLength), (y * (rowLength + 1)) + 1);
     }
 
-    const elevationOffset = Math.round(inst.z * instance.tileSize);
+    return zlibCompress(raw);
+}
+
+/**
+ * Build the PNG signature and header chunk.
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @returns {Uint8Array[]} The signature and IHDR chunk.
+ */
+function pngHeader(width, height) {
+    return [
+        new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]),
+        pngChunk("IHDR", [].concat(uint32BE(width), uint32BE(height), [8, 6, 0, 0, 0]))
+    ];
+}
+
+/**
+ * Encode RGBA pixels as a PNG file.
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @param {Uint8ClampedArray} data - The RGBA pixels.
+ * @returns {Uint8Array} The PNG file.
+ */
+function encodePNG(width, height, data) {
+    const parts = pngHeader(width, height);
+
+    parts.push(pngChunk("IDAT", compressPNGPixels(width, height, data)));
+    parts.push(pngChunk("IEND", []));
+
+    return concatBytes(parts);
+}
+
+/**
+ * Encode recorded frames as an animated PNG that loops forever.
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @param {Object[]} frames - The frames as { data, delay } with the delay in milliseconds.
+ * @returns {Uint8Array} The APNG file.
+ */
+function encodeAPNG(width, height, frames) {
+    const parts = pngHeader(width, height);
+
+    parts.push(pngChunk("acTL", [].concat(uint32BE(frames.length), uint32BE(0))));
 
-    const dx = Math.round(((inst.x * instance.tileSize) - uvx) * instance.renderScale);
-    const dy = (instance.roundingOp((inst.y * instance.tileSize) - instance.viewY) - (inst.scale - instance.tileSize)) * instance.renderScale - elevationOffset;
+    let sequence = 0;
 
-    const scaledSize = inst.scale * instance.renderScale;
+    for(let i = 0; i < frames.length; i++) {
+        const frame = frames[i];
+        const delay = Math.min(65535, Math.max(1, Math.round(frame.delay)));
 
-    let minX = dx;
-    let maxX = dx + scaledSize;
+        parts.push(pngChunk("fcTL", [].concat(
+            uint32BE(sequence++),
+            uint32BE(width),
+            uint32BE(height),
+            uint32BE(0),
+            uint32BE(0),
+            uint16BE(delay),
+            uint16BE(1000),
+            [0, 0]
+        )));
 
-    let minY = dy;
-    let maxY = dy + scaledSize;
+        const compressed = compressPNGPixels(width, height, frame.data);
 
-    const rgb = hexToRGB(color);
+        if(i == 0) {
+            parts.push(pngChunk("IDAT", compressed));
+        } else {
+            const body = new Uint8Array(4 + compressed.length);
+            body.set(uint32BE(sequence++), 0);
+            body.set(compressed, 4);
 
-    let r = rgb.r;
-    let g = rgb.g;
-    let b = rgb.b;
+            parts.push(pngChunk("fdAT", body));
+        }
+    }
 
-    const a = Math.round(inst.opacity * 255);
+    parts.push(pngChunk("IEND", []));
 
-    if(inst.colorFilter) {
-        r += inst.colorFilter.r;
-        g += inst.colorFilter.g;
-        b += inst.colorFilter.b;
+    return concatBytes(parts);
+}
 
-        if(r > 255) {
-            r = 255;
-        }
+/**
+ * Map a frame's RGBA pixels to palette indices for GIF encoding.  Frames with more colors than
+ * a GIF palette holds are mapped onto a fixed 6x7x6 color cube.
+ * @param {Uint8ClampedArray} data - The RGBA pixels.
+ * @returns {{palette: number[], indices: Uint8Array, transparentIndex: number}} The palette as packed RGB values, the pixel indices and the transparent index (-1 if none).
+ */
+function indexGIFFrame(data) {
+    const pixelCount = data.length / 4;
+    const indices = new Uint8Array(pixelCount);
+    const colors = new Map();
+    const palette = [];
+
+    let transparentIndex = -1;
+    let overflow = false;
+
+    for(let i = 0; i < pixelCount; i++) {
+        const idx = i * 4;
+
+        if(data[idx + 3] < 128) {
+            if(transparentIndex < 0) {
+                transparentIndex = palette.length;
+                palette.push(0);
+            }
 
-        if(g > 255) {
-            g = 255;
+            indices[i] = transparentIndex;
+            continue;
         }
 
-        if(b > 255) {
-            b = 255;
-        }
+        const rgb = (data[idx] << 16) | (data[idx + 1] << 8) | data[idx + 2];
+        let index = colors.get(rgb);
 
-        if(r < 0) {
-            r = 0;
-        }
+        if(index == undefined) {
+            if(palette.length >= 256) {
+                overflow = true;
+                break;
+            }
 
-        if(g < 0) {
-            g = 0;
+            index = palette.length;
+            colors.set(rgb, index);
+            palette.push(rgb);
         }
 
-        if(b < 0) {
-            b = 0;
+        indices[i] = index;
+    }
+
+    if(!overflow) {
+        return {
+            palette: palette,
+            indices: indices,
+            transparentIndex: transparentIndex
+        };
+    }
+
+    const cube = [];
+
+    for(let r = 0; r < 6; r++) {
+        for(let g = 0; g < 7; g++) {
+            for(let b = 0; b < 6; b++) {
+                cube.push((Math.round(r * 255 / 5) << 16) | (Math.round(g * 255 / 6) << 8) | Math.round(b * 255 / 5));
+            }
         }
     }
 
-    const scaledWidth = instance.width * instance.renderScale;
-    const scaledHeight = instance.height * instance.renderScale;
+    const cubeTransparent = cube.length;
+    cube.push(0);
 
-    for(let x = minX; x < maxX; x++) {
-        if(x < 0 || x >= scaledWidth) {
+    let hasTransparency = false;
+
+    for(let i = 0; i < pixelCount; i++) {
+        const idx = i * 4;
+
+        if(data[idx + 3] < 128) {
+            indices[i] = cubeTransparent;
+            hasTransparency = true;
             continue;
         }
 
-        for(let y = minY; y < maxY; y++) {
-            if(y < 0 || y >= scaledHeight) {
-                continue;
-            }
+        const r = Math.round(data[idx] * 5 / 255);
+        const g = Math.round(data[idx + 1] * 6 / 255);
+        const b = Math.round(data[idx + 2] * 5 / 255);
 
-            setColorAtPoint(instance, outputData, x, y, r, g, b, a, inst.composit, inst.ignoreLighting);
-        }
+        indices[i] = (((r * 7) + g) * 6) + b;
     }
+
+    return {
+        palette: cube,
+        indices: indices,
+        transparentIndex: hasTransparency ? cubeTransparent : -1
+    };
 }
 
 /**
- * Run the environmental conditions for the given instance.
- * @param {PixelEngineInstance} instance - The pixel engine instance.
- * @param {Object} bounds - The current view bounds.
+ * Compress palette indices with GIF flavored LZW, split into data sub-blocks.
+ * @param {Uint8Array} indices - The palette indices.
+ * @param {number} minCodeSize - The LZW minimum code size.
+ * @returns {Uint8Array} The sub-blocks, including the closing empty block.
  */
-function runEnvironmentalConditions(instance, bounds) {
-    if(instance.environmentalEffect == ENVIRONMENTAL_EFFECTS.none) {
-        return;
-    }
+function lzwEncodeGIF(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    const dictionary = new Map();
+
+    const emit = function(code) {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+
+        while(bitCount >= 8) {
+            bytes.push(bitBuffer & 255);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
 
-    if(instance.environmentalEffect == ENVIRONMENTAL_EFFECTS.rain) {
-        handleInstanceRain(instance, bounds);
-    }
+    emit(clearCode);
 
-    if(instance.environmentalEffect == ENVIRONMENTAL_EFFECTS.snow) {
-        handleInstanceSnow(instance, bounds);
-    }
+    let prefix = indices[0];
 
-    if(instance.environmentalEffect == ENVIRONMENTAL_EFFECTS.embers) {
-        handleInstanceEmbers(instance, bounds);
-    }
-}
+    for(let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const existing = dictionary.get(key);
 
-/** 
- * Handle the rain effect for the given instance.
- * @param {PixelEngineInstance} instance - The pixel engine instance.
- * @param {Object} bounds - The current view bounds.
- */
-function handleInstanceRain(instance, bounds) {
-    let dropCount = randomIntFromInterval(0, 3);
+        if(existing != undefined) {
+            prefix = existing;
+            continue;
+        }
 
-    while(dropCount > 0) {
-        dropCount--;
+        emit(prefix);
 
-        const rx = randomIntFromInterval((bounds.xMin - 1) * 100, (bounds.xMax + 1) * 100);
-        const ry = randomIntFromInterval((bounds.yMin - 1) * 100, (bounds.yMax + 1) * 100);
+        if(nextCode == 4096) {
+            emit(clearCode);
+            dictionary.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if(nextCode >= (1 << codeSize)) {
+                codeSize++;
+            }
 
-        const rv = randomIntFromInterval(6, 14) / 100;
+            dictionary.set(key, nextCode++);
+        }
 
-        instance.insertParticleInstruction({
-            x: rx / 100,
-            y: ry / 100,
-            z: instance.height / instance.tileSize,
-            vx: 0,
-            vy: rv,
-            vz: 0,
-            gz: 0,
-            tv: 0,
-            color: "#42A5F5",
-            size: 1,
-            opacity: 0.3,
-            composit: null,
-            ignoreLighting: false,
-            trails: true,
-            useRaw: false,
-            zI: instance.environmentalEffectZIndex || 0
-        });
+        prefix = k;
     }
-}
 
-/**
- * Handle the snow effect for the given instance.
- * @param {PixelEngineInstance} instance - The pixel engine instance.
- * @param {Object} bounds - The current view bounds.
- */
-function handleInstanceSnow(instance, bounds) {
-    const snowChance = randomIntFromInterval(0, 4);
+    emit(prefix);
+    emit(endCode);
 
-    if(snowChance == 2) {
-        const rx = randomIntFromInterval((bounds.xMin - 1) * 100, (bounds.xMax + 1) * 100);
-        const ry = randomIntFromInterval((bounds.yMin - 1) * 100, (bounds.yMax + 1) * 100);
+    if(bitCount > 0) {
+        bytes.push(bitBuffer & 255);
+    }
 
-        // Pixel-art scale: fall 0.01-0.03 pixels/frame, drift barely at all
-        const fallSpeed = randomIntFromInterval(1, 3) / 100; // 0.01-0.03 pixels/frame downward
-        const drift = (randomIntFromInterval(-1, 1) / 10000); // ±0.0001 pixels/frame drift
+    const blocks = [];
 
-        instance.insertParticleInstruction({
-            x: rx / 100,
-            y: ry / 100,
-            z: instance.height / instance.tileSize,
-            vx: drift,
-            vy: fallSpeed,
-            vz: 0,
-            gz: 0,
-            tv: 0,
-            color: "#ffffff",
-            size: 2,
-            opacity: 0.9,
-            composit: null,
-            ignoreLighting: false,
-            trails: false,
-            useRaw: false,
-            useGlobalAngle: true,
-            loopsBack: true,
-            stayOnGround: true,
-            lifeOnGround: 300,
-            zI: instance.environmentalEffectZIndex || 0
-        });
+    for(let i = 0; i < bytes.length; i += 255) {
+        const block = bytes.slice(i, i + 255);
+        blocks.push(block.length);
+
+        for(let j = 0; j < block.length; j++) {
+            blocks.push(block[j]);
+        }
     }
-}
 
-/**
- * Handle the embers effect for the given instance.
- * @param {PixelEngineInstance} instance - The pixel engine instance.
- * @param {Object} bounds - The current view bounds.
- */
-function handleInstanceEmbers(instance, bounds) {
-    // Spawn multiple embers per frame from near the bottom of the screen
-    const emberCount = randomIntFromInterval(1, 3); // 1-3 embers per frame
-    
-    for(let i = 0; i < emberCount; i++) {
-        const rx = randomIntFromInterval((bounds.xMin + 1) * 100, (bounds.xMax - 1) * 100);
-        const ryOffset = randomIntFromInterval(0, 20) / 10; // 0 to 2 tiles variance
+    blocks.push(0);
 
-        partProgEmber(instance, {
-            x: rx / 100,
-            y: bounds.yMax - ryOffset, // Vary Y position to prevent stacking
-            z: 0.1, // Small elevation so they don't get culled immediately
-            maxChance: 0, // Always spawn (bypass chance for debugging)
-            loopBack: false, // Don't loop, let them disappear at top
-            zI: instance.environmentalEffectZIndex || 0
-        });
-    }
+    return new Uint8Array(blocks);
 }
 
 /**
- * Render a smoke effect for the given instance.
- * @param {PixelEngineInstance} instance - The pixel engine instance.
- * @param {Object} options - Options for the smoke effect.
- * @param {string} options.color - Color of the smoke.
- * @param {number} options.x - X coordinate of the smoke origin.
- * @param {number} options.y - Y coordinate of the smoke origin.
- * @param {number} options.z - Simulated elevation of the smoke origin.
- * @param {number} options.zI - zIndex of the effect.
+ * Encode recorded frames as an animated GIF that loops forever.  Each frame gets its own color table,
+ * pixels under 50% alpha become transparent.
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @param {Object[]} frames - The frames as { data, delay } with the delay in milliseconds.
+ * @returns {Uint8Array} The GIF file.
  */
-function partProgSmoke(instance, options) {
-    const chance = randomIntFromInterval(0, 16);
+function encodeGIF(width, height, frames) {
+    const parts = [];
 
-    if(chance < 13) {
-        return;
-    }
+    parts.push([71, 73, 70, 56, 57, 97]); // GIF89a
+    parts.push([].concat(uint16LE(width), uint16LE(height), [0, 0, 0]));
 
-    const color = options.color || "#666666";
+    // Loop forever
+    parts.push([0x21, 0xFF, 0x0B, 78, 69, 84, 83, 67, 65, 80, 69, 50, 46, 48, 0x03, 0x01, 0, 0, 0]);
 
-    const vx = (randomIntFromInterval(0, 100) / 10000) - 0.005;
-    const vy = (randomIntFromInterval(0, 100) / 10000) - 0.005;
+    for(let i = 0; i < frames.length; i++) {
+        const frame = frames[i];
+        const indexed = indexGIFFrame(frame.data);
 
-    const z = options.z || 0;
-    const zIndex = options.zI || 0;
+        let tableBits = 1;
 
-    instance.insertParticleInstruction({
-        x: options.x,
-        y: options.y,
-        z: z,
-        zI: zIndex,
-        color: color,
-        vx: vx,
-        vy: vy,
-        vz: -0.0002,
-        gz: -0.0002,
-        fadeSpeed: 0.01,
-        colorVariance: 32
-    });
-}
+        while((1 << tableBits) < indexed.palette.length) {
+            tableBits++;
+        }
 
-function variateHexColor(hex, variance) {
-    const rgb = hexToRGB(hex);
+        const hasTransparency = indexed.transparentIndex >= 0;
 
-    let r = rgb.r + randomIntFromInterval(-variance, variance);
-    let g = rgb.g + randomIntFromInterval(-variance, variance);
-    let b = rgb.b + randomIntFromInterval(-variance, variance);
+        // Transparent frames restore to the background so earlier frames don't show through
+        const disposal = hasTransparency ? 2 : 1;
+        const delay = Math.max(2, Math.round(frame.delay / 10));
 
-    // Clamp values to 0-255 range
-    if(r < 0) r = 0;
-    if(r > 255) r = 255;
-    if(g < 0) g = 0;
-    if(g > 255) g = 255;
-    if(b < 0) b = 0;
-    if(b > 255) b = 255;
+        parts.push([0x21, 0xF9, 0x04, (disposal << 2) | (hasTransparency ? 1 : 0)].concat(uint16LE(delay), [hasTransparency ? indexed.transparentIndex : 0, 0]));
+        parts.push([0x2C].concat(uint16LE(0), uint16LE(0), uint16LE(width), uint16LE(height), [0x80 | (tableBits - 1)]));
 
-    return rgbToHex(r, g, b);
-}
+        const table = new Uint8Array((1 << tableBits) * 3);
 
-/**
- * Render an ember effect for the given instance.
- * @param {PixelEngineInstance} instance - The pixel engine instance.
- * @param {Object} options - Options for the ember effect.
- * @param {string} options.color - Color of the ember.
- * @param {number} options.maxChance - Maximum chance of ember generation.
- * @param {number} options.x - X coordinate of the ember origin.
- * @param {number} options.y - Y coordinate of the ember origin.
- * @param {number} options.z - Simulated elevation of the ember origin.
- * @param {number} options.zI - zIndex of the effect.
- * @param {number} options.colorVariance - Variance in color for the ember.
- * @param {boolean} options.loopBack - Whether the ember should loop back.
- */
-function partProgEmber(instance, options) {
+        for(let c = 0; c < indexed.palette.length; c++) {
+            const rgb = indexed.palette[c];
 
-    const maxChance = options.maxChance ?? 40;
+            table[c * 3] = (rgb >> 16) & 255;
+            table[(c * 3) + 1] = (rgb >> 8) & 255;
+            table[(c * 3) + 2] = rgb & 255;
+        }
 
-    const chance = randomIntFromInterval(0, maxChance);
+        parts.push(table);
 
-    if(chance > 0) {
-        return;
-    }
+        const minCodeSize = Math.max(2, tableBits);
 
-    const z = options.z || 0;
-    const zIndex = options.zI || 0;
-    
-    // Ember colors: orange-yellow spectrum
-    const emberColors = ["#FF6600", "#FF7700", "#FF8800", "#FF9900", "#FFAA00"];
-    const color = emberColors[randomIntFromInterval(0, emberColors.length - 1)];
-    const colorVariance = 30; // Color variation for natural look
-    const loopBack = options.loopBack || false;
+        parts.push([minCodeSize]);
+        parts.push(lzwEncodeGIF(indexed.indices, minCodeSize));
+    }
 
-    // Much slower rise - particles move in TILE coordinates
-    const riseSpeed = -randomIntFromInterval(2, 7) / 500; // -0.004 to -0.012 tiles/frame
-    const drift = (randomIntFromInterval(-2, 2) / 1000); // ±0.001 tiles/frame individual drift
+    parts.push([0x3B]);
 
-    instance.insertParticleInstruction({
-        x: options.x,
-        y: options.y,
-        z: z,
-        zI: zIndex,
-        vx: drift,
-        vy: riseSpeed,
-        vz: 0,
-        gz: -0.00001, // Very slight upward force to keep them airborne
-        tv: 0.04,
-        color: color,
-        size: 2,
-        opacity: 0.9, // Slightly transparent for glow effect
-        composit: "lighter", // Additive blending for fire-like glow
-        ignoreLighting: true, // Embers emit their own light
-        trails: false,
-        useRaw: false,
-        useGlobalAngle: true,
-        loopsBack: loopBack,
-        colorVariance: colorVariance,
-        glowRadius: 0.45,
-        glowBrightness: 0.35,
-        life: 1800 // 30 seconds at 60fps - enough time to cross the viewport
-    });
+    return concatBytes(parts);
 }
 
 export default {
     getPixelEngineInstance,
+    getHeadlessEngineInstance,
     loadTexture,
+    loadTiledMap,
+    preloadTextures,
+    registerFilter,
     getTargetFramerate,
     isOdd,
     onResize,
+    start,
+    stop,
+    isRunning,
+    stepFrame,
     PixelEngineInstance,
     Texture,
+    AnimationState,
+    Camera,
+    Viewport,
+    TileLayer,
+    TerrainMap,
+    TiledMap,
+    ParallaxLayer,
     EFFECT_PROGRAMS,
-    ENVIRONMENTAL_EFFECTS
+    ENVIRONMENTAL_EFFECTS,
+    QUANTIZE_PALETTES,
+    TILE_FLAGS
 };
 
-globalRender();
\ No newline at end of file
+start();
\ No newline at end of file